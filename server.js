@@ -78,7 +78,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match'],
+  exposedHeaders: ['ETag']
 };
 
 // Security Middleware
@@ -125,7 +126,8 @@ app.get('/health', (req, res) => {
     message: 'CareNote Backend API is running',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
-    version: '1.0.0'
+    version: '1.0.0',
+    corti: require('./src/services/cortiService').getHealth()
   });
 });
 
@@ -133,7 +135,10 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', require('./src/routes/auth'));
 app.use('/api/users', require('./src/routes/users'));
 app.use('/api/sessions', require('./src/routes/sessions'));
+app.use('/api/patients', require('./src/routes/patients'));
 app.use('/api/templates', require('./src/routes/templates'));
+app.use('/api/document-templates', require('./src/routes/documentTemplates'));
+app.use('/api/journal', require('./src/routes/journal'));
 app.use('/api/subscriptions', require('./src/routes/subscriptions'));
 app.use('/api/admin', require('./src/routes/admin'));
 app.use('/api/clinic', require('./src/routes/clinic'));
@@ -208,6 +213,11 @@ const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
   try {
+    // Stop background jobs and close audio stream relays
+    require('./src/services/tokenCleanupService').stop();
+    require('./src/services/transcriptService').stop();
+    require('./src/services/streamRelayService').close();
+
     // Close database connection
     await disconnectDB();
     logger.info('Database connection closed.');
@@ -257,8 +267,15 @@ process.on('unhandledRejection', (reason, promise) => {
 // Start server
 async function startServer() {
   try {
+    // Fail fast on a missing or malformed encryption keyring
+    require('./src/utils/fieldEncryption').validateKeyring();
+
     // Connect to database
     await connectDB();
+
+    // Start background jobs
+    require('./src/services/tokenCleanupService').start();
+    require('./src/services/transcriptService').start();
     
     // Start HTTP server
     const server = app.listen(PORT, () => {
@@ -267,6 +284,9 @@ async function startServer() {
       logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
     });
 
+    // WebSocket relay for audio streaming to Corti
+    require('./src/services/streamRelayService').attach(server);
+
     // Store server reference for graceful shutdown
     global.server = server;
     
@@ -0,0 +1,26 @@
+/**
+ * Built-in Document Templates
+ * Available to every clinic; clinics add their own with DocumentTemplate.
+ *
+ * layout decides how the provider's sections become the document text:
+ *   headings - "Name:\ntext" per section
+ *   plain    - section text only
+ *   single   - the first section only
+ */
+
+const DOCUMENT_LAYOUTS = ['headings', 'plain', 'single'];
+
+const BUILTIN_DOCUMENT_TEMPLATES = [
+  { key: 'soap', name: 'SOAP Note', corti_template_key: 'corti-soap', layout: 'headings' },
+  { key: 'brief-clinical-note', name: 'Brief Clinical Note', corti_template_key: 'corti-brief-clinical-note', layout: 'single' },
+  { key: 'nursing-note', name: 'Nursing Note', corti_template_key: 'corti-nursing-note', layout: 'headings' },
+  { key: 'referral', name: 'Referral Note', corti_template_key: 'corti-referral-c2f', layout: 'plain' }
+];
+
+const DEFAULT_DOCUMENT_TEMPLATE = 'brief-clinical-note';
+
+module.exports = {
+  DOCUMENT_LAYOUTS,
+  BUILTIN_DOCUMENT_TEMPLATES,
+  DEFAULT_DOCUMENT_TEMPLATE
+};
@@ -0,0 +1,21 @@
+/**
+ * Document Export Formats
+ * Formats clinical notes and sessions can be downloaded in
+ */
+
+const EXPORT_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: {
+    extension: 'docx',
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' }
+};
+
+const DEFAULT_EXPORT_FORMAT = 'pdf';
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_FORMAT
+};
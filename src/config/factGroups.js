@@ -0,0 +1,24 @@
+/**
+ * Default Fact Groups
+ * Used when the AI provider can't list its fact groups (and by the mock provider)
+ */
+
+const DEFAULT_FACT_GROUPS = [
+  { key: 'symptoms', name: 'Symptoms' },
+  { key: 'diagnosis', name: 'Diagnosis' },
+  { key: 'medications', name: 'Medications' },
+  { key: 'allergies', name: 'Allergies' },
+  { key: 'vitals', name: 'Vital Signs' },
+  { key: 'procedures', name: 'Procedures' },
+  { key: 'family-history', name: 'Family History' },
+  { key: 'social-history', name: 'Social History' },
+  { key: 'physical-exam', name: 'Physical Exam' },
+  { key: 'lab-results', name: 'Lab Results' },
+  { key: 'imaging', name: 'Imaging' },
+  { key: 'treatment-plan', name: 'Treatment Plan' },
+  { key: 'other', name: 'Other' }
+];
+
+module.exports = {
+  DEFAULT_FACT_GROUPS
+};
@@ -0,0 +1,35 @@
+/**
+ * Journal Systems (EPJ)
+ * The electronic patient journals our clinics use, and the connector that produces the format
+ * each one imports. User.journalSystem (free text from registration) is matched against the
+ * key, name and aliases, case-insensitively.
+ *
+ * Connectors: see journalExportService
+ *   clipboard - plain text laid out for pasting into the journal's note field
+ *   xml       - structured CareNote journal XML for systems with a file import
+ *   fhir      - HL7 FHIR R4 document Bundle (JSON)
+ */
+
+const JOURNAL_SYSTEMS = [
+  { key: 'xmo', name: 'XMO', connector: 'xml', aliases: ['xmo'] },
+  { key: 'novax', name: 'Novax', connector: 'xml', aliases: ['novax'] },
+  { key: 'clinea', name: 'EG Clinea', connector: 'fhir', aliases: ['clinea', 'eg clinea'] },
+  { key: 'multimed', name: 'MultiMed Web', connector: 'clipboard', aliases: ['multimed', 'multimed web'] },
+  { key: 'webpatient', name: 'WebPatient', connector: 'clipboard', aliases: ['webpatient', 'web patient'] },
+  { key: 'fhir', name: 'Andet system (FHIR)', connector: 'fhir', aliases: ['fhir'] },
+  { key: 'other', name: 'Andet system', connector: 'clipboard', aliases: ['other', 'andet', 'none', ''] }
+];
+
+// Used when the user's journal system isn't set or isn't one we know
+const DEFAULT_JOURNAL_SYSTEM = 'other';
+
+// download: the file is returned in the response
+// drop_folder: written to the clinic's folder under JOURNAL_DROP_FOLDER, where the journal picks it up
+// sftp: uploaded to the clinic's inbox (a local stand-in under JOURNAL_SFTP_DIR until SFTP accounts exist)
+const JOURNAL_DELIVERY_METHODS = ['download', 'drop_folder', 'sftp'];
+
+module.exports = {
+  JOURNAL_SYSTEMS,
+  DEFAULT_JOURNAL_SYSTEM,
+  JOURNAL_DELIVERY_METHODS
+};
@@ -0,0 +1,84 @@
+/**
+ * Security Configuration
+ * Brute-force protection thresholds for login and account emails, lifetimes of emailed account tokens
+ * and the password policy
+ * All values can be overridden through environment variables
+ */
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const toBool = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value === 'true' || value === '1';
+};
+
+const securityConfig = {
+  // Per-account login protection (counters stored on User)
+  login: {
+    backoffAfterAttempts: toInt(process.env.LOGIN_BACKOFF_AFTER_ATTEMPTS, 3), // Failures before delays start
+    backoffBaseSeconds: toInt(process.env.LOGIN_BACKOFF_BASE_SECONDS, 2), // Delay doubles with each further failure
+    backoffMaxSeconds: toInt(process.env.LOGIN_BACKOFF_MAX_SECONDS, 60),
+    lockoutAfterAttempts: toInt(process.env.LOGIN_LOCKOUT_AFTER_ATTEMPTS, 10),
+    lockoutMinutes: toInt(process.env.LOGIN_LOCKOUT_MINUTES, 30),
+    lockNotificationHours: toInt(process.env.LOGIN_LOCK_NOTIFICATION_HOURS, 24) // At most one lock email per account in this period
+  },
+
+  // Per-IP failed login limit (across all accounts)
+  loginIp: {
+    windowMinutes: toInt(process.env.LOGIN_IP_WINDOW_MINUTES, 15),
+    maxFailures: toInt(process.env.LOGIN_IP_MAX_FAILURES, 30)
+  },
+
+  // Account email endpoints (forgot-password, resend-verification)
+  accountEmail: {
+    windowMinutes: toInt(process.env.ACCOUNT_EMAIL_WINDOW_MINUTES, 60),
+    maxPerEmail: toInt(process.env.ACCOUNT_EMAIL_MAX_PER_EMAIL, 3),
+    maxPerIp: toInt(process.env.ACCOUNT_EMAIL_MAX_PER_IP, 10)
+  },
+
+  // Emailed account tokens (stored as SHA-256 hashes on User)
+  accountTokens: {
+    verificationHours: toInt(process.env.EMAIL_VERIFICATION_EXPIRATION_HOURS, 48),
+    passwordResetHours: toInt(process.env.PASSWORD_RESET_EXPIRATION_HOURS, 1),
+    invitationDays: toInt(process.env.INVITATION_EXPIRATION_DAYS, 7),
+    cleanupIntervalMinutes: toInt(process.env.TOKEN_CLEANUP_INTERVAL_MINUTES, 60)
+  },
+
+  // Password policy (applied on register, change, reset and invitation accept)
+  password: {
+    minLength: toInt(process.env.PASSWORD_MIN_LENGTH, 8),
+    maxLength: toInt(process.env.PASSWORD_MAX_LENGTH, 128),
+    requireLowercase: toBool(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+    requireUppercase: toBool(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+    requireDigit: toBool(process.env.PASSWORD_REQUIRE_DIGIT, true),
+    requireSymbol: toBool(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+    disallowPersonalInfo: toBool(process.env.PASSWORD_DISALLOW_PERSONAL_INFO, true),
+    checkCommonPasswords: toBool(process.env.PASSWORD_CHECK_COMMON, true),
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || null, // Extra list, one password per line
+    historySize: toInt(process.env.PASSWORD_HISTORY_SIZE, 5) // Last N passwords (including current) can't be reused
+  }
+};
+
+/**
+ * Get the delay required before the next login attempt
+ * @param {number} failedAttempts - Consecutive failed attempts for the account
+ * @returns {number} Delay in seconds (0 if no backoff applies)
+ */
+function getLoginBackoffSeconds(failedAttempts) {
+  const { backoffAfterAttempts, backoffBaseSeconds, backoffMaxSeconds } = securityConfig.login;
+
+  if (failedAttempts < backoffAfterAttempts) {
+    return 0;
+  }
+
+  const exponent = failedAttempts - backoffAfterAttempts;
+  return Math.min(backoffBaseSeconds * 2 ** exponent, backoffMaxSeconds);
+}
+
+module.exports = {
+  securityConfig,
+  getLoginBackoffSeconds
+};
@@ -4,6 +4,8 @@ const Subscription = require('../models/Subscription');
 const Lead = require('../models/Lead');
 const { successResponse, errorResponse } = require('../utils/responses');
 const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
+const aiProviderService = require('../services/aiProviderService');
 const { calculatePrice, getTierLabel } = require('../config/pricing');
 
 /**
@@ -649,6 +651,13 @@ const getUserDetails = async (req, res) => {
       specialty: user.specialty,
       workplace: user.workplace,
       phone: user.phone || null,
+      login_protection: {
+        is_locked: user.isLocked(),
+        locked_until: user.locked_until,
+        failed_login_attempts: user.failed_login_attempts,
+        last_failed_login_at: user.last_failed_login_at,
+        last_failed_login_ip: user.last_failed_login_ip
+      },
       subscription: user.subscription_id ? {
         id: user.subscription_id._id,
         numLicenses: user.subscription_id.numLicenses,
@@ -671,6 +680,114 @@ const getUserDetails = async (req, res) => {
   }
 };
 
+/**
+ * Unlock a user account locked by failed login attempts
+ * POST /api/admin/users/:id/unlock
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return errorResponse(res, 'Bruger ikke fundet', 404);
+    }
+
+    await User.resetFailedLogins(user._id);
+
+    console.log(`Account ${user.email} unlocked by super admin ${req.user.email}`);
+
+    return successResponse(res, {
+      message: 'Konto låst op succesfuldt',
+      was_locked: user.isLocked()
+    }, 'Konto låst op succesfuldt');
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    return errorResponse(res, 'Kunne ikke låse konto op', 500);
+  }
+};
+
+/**
+ * Set the AI provider for a clinic's (or individual user's) sessions
+ * PUT /api/admin/users/:id/ai-provider
+ * null falls back to the AI_PROVIDER default. Existing sessions keep their provider.
+ */
+const setAiProvider = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { userId } = req.params;
+    const { ai_provider = null } = req.body;
+
+    // The mock provider makes up facts and documents - never for real patients
+    if (ai_provider && !aiProviderService.isAllowed(ai_provider)) {
+      return errorResponse(res, `AI-udbyderen "${ai_provider}" kan ikke bruges i produktion`, 400);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return errorResponse(res, 'Bruger ikke fundet', 404);
+    }
+
+    // Invited users follow their clinic's setting
+    if (user.invited_by) {
+      return errorResponse(res, 'AI-udbyder kan kun sættes for klinikkens hovedbruger', 400);
+    }
+
+    user.ai_provider = ai_provider;
+    await user.save();
+
+    console.log(`AI provider for ${user.email} set to ${ai_provider || 'default'} by super admin ${req.user.email}`);
+
+    return successResponse(res, {
+      user_id: user._id,
+      ai_provider: user.ai_provider,
+      effective_provider: user.ai_provider || aiProviderService.defaultProvider
+    }, 'AI-udbyder opdateret succesfuldt');
+
+  } catch (error) {
+    console.error('Set AI provider error:', error);
+    return errorResponse(res, 'Kunne ikke opdatere AI-udbyder', 500);
+  }
+};
+
+/**
+ * Map a clinician to their Corti user (used as the interaction's assigned user)
+ * PUT /api/admin/users/:id/corti-user
+ */
+const setCortiUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { userId } = req.params;
+    const { corti_user_id = null } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return errorResponse(res, 'Bruger ikke fundet', 404);
+    }
+
+    user.corti_user_id = corti_user_id;
+    await user.save();
+
+    return successResponse(res, {
+      user_id: user._id,
+      corti_user_id: user.corti_user_id
+    }, 'Corti bruger opdateret succesfuldt');
+
+  } catch (error) {
+    console.error('Set Corti user error:', error);
+    return errorResponse(res, 'Kunne ikke opdatere Corti bruger', 500);
+  }
+};
+
 /**
  * Get all leads with pagination
  * GET /api/admin/leads
@@ -742,6 +859,36 @@ const getAllLeads = async (req, res) => {
   }
 };
 
+/**
+ * Get audit log of clinical data access
+ * GET /api/admin/audit
+ * Filters: user_id, session_id, subject_user_id, clinic_id, action, outcome, from, to
+ */
+const getAuditEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const query = auditService.buildQuery(req.query);
+    if (req.query.clinic_id) {
+      query.clinic_id = req.query.clinic_id;
+    }
+
+    const result = await auditService.listEvents(query, page, limit);
+
+    return successResponse(res, result, 'Auditlog hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    return errorResponse(res, 'Kunne ikke hente auditlog', 500);
+  }
+};
+
 module.exports = {
   getAllUsers,
   getAnalytics,
@@ -750,5 +897,9 @@ module.exports = {
   markSubscription,
   getUserDetails,
   deleteUser,
-  getAllLeads
+  unlockUser,
+  setAiProvider,
+  setCortiUser,
+  getAllLeads,
+  getAuditEvents
 }; 
\ No newline at end of file
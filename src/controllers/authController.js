@@ -1,11 +1,14 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { validationResult } = require('express-validator');
-const crypto = require('crypto');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginSession = require('../models/LoginSession');
 const Subscription = require('../models/Subscription');
 const emailService = require('../services/emailService');
+const loginProtectionService = require('../services/loginProtectionService');
 const { successResponse, errorResponse } = require('../utils/responses');
+const { generateTokens, verifyRefreshToken, completeLogin } = require('../utils/tokens');
+const { getPasswordRequirements } = require('../utils/passwordPolicy');
 const { calculatePrice, getTierLabel, getMaxLicensesForTier } = require('../config/pricing');
 
 /**
@@ -13,25 +16,6 @@ const { calculatePrice, getTierLabel, getMaxLicensesForTier } = require('../conf
  * Handles user registration, login, logout, and JWT token management
  */
 
-/**
- * Generate JWT tokens
- */
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
-
-  const refreshToken = jwt.sign(
-    { userId },
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-  );
-
-  return { accessToken, refreshToken };
-};
-
 /**
  * Register new user
  * POST /api/auth/register
@@ -51,9 +35,6 @@ const register = async (req, res) => {
       return errorResponse(res, 'Bruger med denne e-mail findes allerede', 400);
     }
 
-    // Generate email verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-
     // All registered users are company admins (main users) and can invite others
     // This includes both individual (1+ tier) and clinic (3+, 5+, 10+ tier) users
     const licenseCount = numLicenses || 1;
@@ -70,11 +51,19 @@ const register = async (req, res) => {
       role: role || 'user', // Always 'user' or 'super_admin', no 'company_admin' role
       is_company_admin: true, // All main users are company admins (can invite users)
       invited_by: null, // Main user, not invited
-      email_verified: false,
-      verification_token: verificationToken
+      email_verified: false
     };
 
     const user = new User(userData);
+
+    // Enforce password policy
+    const passwordErrors = await user.validateNewPassword(password);
+    if (passwordErrors.length > 0) {
+      return errorResponse(res, 'Adgangskoden opfylder ikke kravene', 400, passwordErrors);
+    }
+
+    // Generate email verification token (only the hash is stored)
+    const verificationToken = user.createAccountToken('verification');
     await user.save();
 
     // Create trial subscription for the user (only main users have subscriptions)
@@ -124,8 +113,8 @@ const register = async (req, res) => {
       console.error('Failed to send welcome email:', emailError.message);
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    // Generate tokens (or a 2FA challenge if required for this user)
+    const loginResult = await completeLogin(req, user);
 
     // Remove password and sensitive data from response
     const userResponse = user.toJSON();
@@ -134,10 +123,7 @@ const register = async (req, res) => {
 
     const response = {
       user: userResponse,
-      tokens: {
-        access: accessToken,
-        refresh: refreshToken
-      },
+      ...loginResult,
       message: 'Registrering gennemført. Tjek venligst din e-mail for at verificere din konto.'
     };
 
@@ -177,7 +163,22 @@ const login = async (req, res) => {
 
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
+
+    // Brute-force protection: per-IP limit, progressive backoff and account lockout
+    // A locked account answers like a wrong password and its password is not checked
+    const blocked = await loginProtectionService.checkAttempt(req, user, { hideLock: true });
+    if (blocked) {
+      if (blocked.retryAfter === null) {
+        // Counts towards the IP limit like an unknown email
+        await loginProtectionService.registerFailure(req, null);
+      } else {
+        res.set('Retry-After', String(blocked.retryAfter));
+      }
+      return errorResponse(res, blocked.message, blocked.status);
+    }
+
     if (!user) {
+      await loginProtectionService.registerFailure(req, null);
       return errorResponse(res, 'Ugyldig e-mail eller adgangskode', 401);
     }
 
@@ -187,16 +188,32 @@ const login = async (req, res) => {
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const locked = await loginProtectionService.registerFailure(req, user);
+      if (locked) {
+        return errorResponse(res, 'Kontoen er midlertidigt låst på grund af for mange mislykkede loginforsøg. Tjek din e-mail for detaljer.', 423);
+      }
       return errorResponse(res, 'Ugyldig e-mail eller adgangskode', 401);
     }
 
+    // With 2FA enabled the counter is only cleared once the second factor succeeds
+    if (!user.two_factor_enabled) {
+      await loginProtectionService.registerSuccess(user);
+    }
+
     // Check if email is verified
     if (!user.email_verified) {
       return errorResponse(res, 'E-mail ikke verificeret. Tjek venligst din e-mail og verificer din konto før login.', 401);
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    // Generate tokens, or a challenge token if a second factor is needed
+    const loginResult = await completeLogin(req, user);
+
+    if (loginResult.two_factor) {
+      const message = loginResult.two_factor.status === 'setup_required'
+        ? 'To-faktor-godkendelse skal opsættes før login'
+        : 'Indtast koden fra din godkendelsesapp';
+      return successResponse(res, loginResult, message);
+    }
 
     // Get user without password
     const userResponse = await User.findById(user._id)
@@ -204,10 +221,7 @@ const login = async (req, res) => {
 
     return successResponse(res, {
       user: userResponse.toJSON(),
-      tokens: {
-        access: accessToken,
-        refresh: refreshToken
-      }
+      ...loginResult
     }, 'Login succesfuldt');
 
   } catch (error) {
@@ -297,10 +311,6 @@ const changePassword = async (req, res) => {
       return errorResponse(res, 'Nuværende adgangskode og ny adgangskode er påkrævet', 400);
     }
 
-    if (new_password.length < 6) {
-      return errorResponse(res, 'Ny adgangskode skal være mindst 6 tegn', 400);
-    }
-
     const user = await User.findById(req.user._id).select('+password');
     if (!user) {
       return errorResponse(res, 'Bruger ikke fundet', 404);
@@ -312,6 +322,12 @@ const changePassword = async (req, res) => {
       return errorResponse(res, 'Nuværende adgangskode er forkert', 400);
     }
 
+    // Enforce password policy and history
+    const passwordErrors = await user.validateNewPassword(new_password);
+    if (passwordErrors.length > 0) {
+      return errorResponse(res, 'Adgangskoden opfylder ikke kravene', 400, passwordErrors);
+    }
+
     // Update password
     user.password = new_password;
     await user.save();
@@ -324,6 +340,16 @@ const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * Get password policy requirements (for showing rules in the frontend)
+ * GET /api/auth/password-policy
+ */
+const getPasswordPolicy = (req, res) => {
+  return successResponse(res, {
+    policy: getPasswordRequirements()
+  }, 'Adgangskodepolitik hentet succesfuldt');
+};
+
 /**
  * Forgot password - Send password reset email
  * POST /api/auth/forgot-password
@@ -344,13 +370,8 @@ const forgotPassword = async (req, res) => {
       return successResponse(res, null, 'Hvis e-mailen findes, vil et nulstillingslink blive sendt');
     }
 
-    // Generate secure reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetTokenExpiry = new Date(Date.now() + parseInt(process.env.PASSWORD_RESET_EXPIRATION_HOURS || '1') * 60 * 60 * 1000);
-    
-    // Save reset token to user
-    user.reset_password_token = resetToken;
-    user.reset_password_expires = resetTokenExpiry;
+    // Generate secure reset token (only the hash is stored)
+    const resetToken = user.createAccountToken('password_reset');
     await user.save();
 
     // Send password reset email
@@ -367,8 +388,7 @@ const forgotPassword = async (req, res) => {
       console.error('Failed to send password reset email:', emailError.message);
       
       // Clear the reset token if email fails
-      user.reset_password_token = null;
-      user.reset_password_expires = null;
+      user.clearAccountToken('password_reset');
       await user.save();
       
       return errorResponse(res, 'Kunne ikke sende nulstil e-mail. Prøv venligst igen senere.', 500);
@@ -394,24 +414,22 @@ const resetPassword = async (req, res) => {
       return errorResponse(res, 'Token and new password are required', 400);
     }
 
-    if (new_password.length < 6) {
-      return errorResponse(res, 'Password must be at least 6 characters long', 400);
-    }
-
     // Find user with valid reset token
-    const user = await User.findOne({
-      reset_password_token: token,
-      reset_password_expires: { $gt: new Date() }
-    });
+    const user = await User.findByAccountToken('password_reset', token);
 
     if (!user) {
       return errorResponse(res, 'Ugyldig eller udløbet nulstillings token', 400);
     }
 
+    // Enforce password policy and history
+    const passwordErrors = await user.validateNewPassword(new_password);
+    if (passwordErrors.length > 0) {
+      return errorResponse(res, 'Adgangskoden opfylder ikke kravene', 400, passwordErrors);
+    }
+
     // Update password and clear reset token
     user.password = new_password;
-    user.reset_password_token = null;
-    user.reset_password_expires = null;
+    user.clearAccountToken('password_reset');
     await user.save();
 
     return successResponse(res, null, 'Adgangskode nulstillet succesfuldt');
@@ -435,10 +453,7 @@ const verifyEmail = async (req, res) => {
     }
 
     // Find user with valid verification token
-    const user = await User.findOne({
-      verification_token: token,
-      email_verified: false
-    });
+    const user = await User.findByAccountToken('verification', token, { email_verified: false });
 
     if (!user) {
       return errorResponse(res, 'Ugyldig eller udløbet verifikations token', 400);
@@ -446,7 +461,7 @@ const verifyEmail = async (req, res) => {
 
     // Verify the email
     user.email_verified = true;
-    user.verification_token = null;
+    user.clearAccountToken('verification');
     await user.save();
 
     return successResponse(res, null, 'E-mail verificeret succesfuldt');
@@ -482,9 +497,8 @@ const resendVerification = async (req, res) => {
       return errorResponse(res, 'Account is deactivated', 400);
     }
 
-    // Generate new verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
-    user.verification_token = verificationToken;
+    // Generate new verification token (replaces any previous one)
+    const verificationToken = user.createAccountToken('verification');
     await user.save();
 
     // Send verification email
@@ -509,14 +523,103 @@ const resendVerification = async (req, res) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+const refresh = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const decoded = verifyRefreshToken(req.body.refresh_token);
+    if (!decoded) {
+      return errorResponse(res, 'Ugyldig eller udløbet refresh token', 401);
+    }
+
+    // Mark the token as used atomically so two concurrent refreshes cannot both succeed
+    const storedToken = await RefreshToken.findOneAndUpdate(
+      { jti: decoded.jti, used_at: null, revoked_at: null },
+      { used_at: new Date() },
+      { new: true }
+    );
+
+    if (!storedToken) {
+      const existingToken = await RefreshToken.findOne({ jti: decoded.jti });
+
+      // A used token being presented again means it has leaked - revoke the whole login
+      if (existingToken && existingToken.used_at && !existingToken.revoked_at) {
+        await LoginSession.revoke({ family_id: existingToken.family_id }, 'reuse_detected');
+        console.warn(`Refresh token reuse detected for user ${existingToken.user_id}, family ${existingToken.family_id} revoked`);
+      }
+
+      return errorResponse(res, 'Ugyldig eller udløbet refresh token', 401);
+    }
+
+    const loginSession = await LoginSession.findOne({ family_id: storedToken.family_id });
+    if (!loginSession || loginSession.revoked_at) {
+      return errorResponse(res, 'Ugyldig eller udløbet refresh token', 401);
+    }
+
+    const user = await User.findById(storedToken.user_id);
+    if (!user || !user.is_active) {
+      await LoginSession.revoke({ family_id: storedToken.family_id }, 'logout');
+      return errorResponse(res, 'Ugyldig eller udløbet refresh token', 401);
+    }
+
+    // Issue a new pair in the same family
+    const tokens = await generateTokens(user._id, storedToken.family_id);
+    storedToken.replaced_by = tokens.jti;
+    await storedToken.save();
+
+    // Extend the login to the new refresh token's lifetime
+    loginSession.expires_at = tokens.refreshExpiresAt;
+    loginSession.last_seen_at = new Date();
+    loginSession.ip_address = req.ip;
+    await loginSession.save();
+
+    return successResponse(res, {
+      tokens: {
+        access: tokens.accessToken,
+        refresh: tokens.refreshToken
+      }
+    }, 'Token fornyet succesfuldt');
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    return errorResponse(res, 'Kunne ikke forny token', 500);
+  }
+};
+
+/**
+ * Logout user
+ * Revokes the login of the access token used for the request and of the
+ * refresh token in the body, so neither can be used again.
  * POST /api/auth/logout
  */
 const logout = async (req, res) => {
   try {
-    // For JWT, logout is typically handled client-side by removing the token
-    // Could implement token blacklisting here if needed
-    
+    const familyIds = new Set();
+
+    if (req.tokenFamilyId) {
+      familyIds.add(req.tokenFamilyId);
+    }
+
+    if (req.body.refresh_token) {
+      const decoded = verifyRefreshToken(req.body.refresh_token);
+
+      // Only allow revoking the user's own tokens
+      if (decoded && decoded.userId && decoded.userId.toString() === req.user._id.toString()) {
+        familyIds.add(decoded.fid);
+      }
+    }
+
+    await LoginSession.revoke({
+      user_id: req.user._id,
+      family_id: { $in: [...familyIds] }
+    }, 'logout');
+
     return successResponse(res, null, 'Logget ud succesfuldt');
 
   } catch (error) {
@@ -525,6 +628,96 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * Format a login session for API responses
+ */
+const formatLoginSession = (loginSession, currentFamilyId) => ({
+  id: loginSession._id,
+  device: loginSession.device,
+  ip_address: loginSession.ip_address,
+  user_agent: loginSession.user_agent,
+  last_seen_at: loginSession.last_seen_at,
+  created_at: loginSession.created_at,
+  expires_at: loginSession.expires_at,
+  is_current: loginSession.family_id === currentFamilyId
+});
+
+/**
+ * Get active logins (devices) for the current user
+ * GET /api/auth/sessions
+ */
+const getLoginSessions = async (req, res) => {
+  try {
+    const loginSessions = await LoginSession.findActiveForUser(req.user._id);
+
+    return successResponse(res, {
+      sessions: loginSessions.map(loginSession => formatLoginSession(loginSession, req.tokenFamilyId))
+    }, 'Aktive logins hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get login sessions error:', error);
+    return errorResponse(res, 'Kunne ikke hente aktive logins', 500);
+  }
+};
+
+/**
+ * Revoke a single login of the current user
+ * DELETE /api/auth/sessions/:loginSessionId
+ */
+const revokeLoginSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { loginSessionId } = req.params;
+
+    const loginSession = await LoginSession.findOne({
+      _id: loginSessionId,
+      user_id: req.user._id
+    });
+
+    if (!loginSession || !loginSession.isActive()) {
+      return errorResponse(res, 'Login ikke fundet', 404);
+    }
+
+    await LoginSession.revoke({ _id: loginSession._id }, 'revoked_by_user', req.user._id);
+
+    return successResponse(res, {
+      session_id: loginSession._id,
+      was_current: loginSession.family_id === req.tokenFamilyId
+    }, 'Login tilbagekaldt succesfuldt');
+
+  } catch (error) {
+    console.error('Revoke login session error:', error);
+    return errorResponse(res, 'Kunne ikke tilbagekalde login', 500);
+  }
+};
+
+/**
+ * Revoke all logins of the current user except the one making the request
+ * DELETE /api/auth/sessions
+ */
+const revokeOtherLoginSessions = async (req, res) => {
+  try {
+    const filter = { user_id: req.user._id };
+    if (req.tokenFamilyId) {
+      filter.family_id = { $ne: req.tokenFamilyId };
+    }
+
+    const revokedCount = await LoginSession.revoke(filter, 'revoked_by_user', req.user._id);
+
+    return successResponse(res, {
+      revoked_count: revokedCount
+    }, 'Andre logins tilbagekaldt succesfuldt');
+
+  } catch (error) {
+    console.error('Revoke other login sessions error:', error);
+    return errorResponse(res, 'Kunne ikke tilbagekalde andre logins', 500);
+  }
+};
+
 /**
  * Verify invitation token
  * GET /api/auth/verify-invitation
@@ -537,19 +730,12 @@ const verifyInvitation = async (req, res) => {
       return errorResponse(res, 'Invitation token is required', 400);
     }
 
-    // Find user with this invitation token
-    const user = await User.findOne({ invitation_token: token });
+    // Find user with this (unexpired) invitation token
+    const user = await User.findByAccountToken('invitation', token);
     if (!user) {
       return errorResponse(res, 'Ugyldig eller udløbet invitations token', 400);
     }
 
-    // Check if invitation is still valid (not expired)
-    const invitationAge = Date.now() - user.created_at.getTime();
-    const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
-    if (invitationAge > maxAge) {
-      return errorResponse(res, 'Invitation has expired', 400);
-    }
-
     // Get main user (who invited this user)
     const mainUser = await User.findById(user.invited_by);
     if (!mainUser) {
@@ -585,28 +771,23 @@ const acceptInvitation = async (req, res) => {
       return errorResponse(res, 'Token and password are required', 400);
     }
 
-    if (password.length < 6) {
-      return errorResponse(res, 'Password must be at least 6 characters', 400);
-    }
-
-    // Find user with this invitation token
-    const user = await User.findOne({ invitation_token: token });
+    // Find user with this (unexpired) invitation token
+    const user = await User.findByAccountToken('invitation', token);
     if (!user) {
       return errorResponse(res, 'Ugyldig eller udløbet invitations token', 400);
     }
 
-    // Check if invitation is still valid
-    const invitationAge = Date.now() - user.created_at.getTime();
-    const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
-    if (invitationAge > maxAge) {
-      return errorResponse(res, 'Invitation has expired', 400);
+    // Enforce password policy
+    const passwordErrors = await user.validateNewPassword(password);
+    if (passwordErrors.length > 0) {
+      return errorResponse(res, 'Adgangskoden opfylder ikke kravene', 400, passwordErrors);
     }
 
     // Update user password and activate account
     user.password = password;
     user.is_active = true;
     user.email_verified = true;
-    user.invitation_token = null; // Clear the invitation token
+    user.clearAccountToken('invitation');
     await user.save();
 
     // Get main user (who invited this user)
@@ -615,8 +796,8 @@ const acceptInvitation = async (req, res) => {
       return errorResponse(res, 'Hovedbruger ikke fundet', 404);
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    // Generate tokens (or a 2FA setup challenge if the clinic requires it)
+    const loginResult = await completeLogin(req, user);
 
     // Remove password and sensitive data from response
     const userResponse = user.toJSON();
@@ -627,10 +808,7 @@ const acceptInvitation = async (req, res) => {
 
     const response = {
       user: userResponse,
-      tokens: {
-        access: accessToken,
-        refresh: refreshToken
-      },
+      ...loginResult,
       message: 'Konto aktiveret succesfuldt',
       company: {
         name: mainUser.workplace || 'Klinik'
@@ -650,11 +828,16 @@ module.exports = {
   getProfile,
   updateProfile,
   changePassword,
+  getPasswordPolicy,
   forgotPassword,
   resetPassword,
   verifyEmail,
   resendVerification,
+  refresh,
   logout,
+  getLoginSessions,
+  revokeLoginSession,
+  revokeOtherLoginSessions,
   verifyInvitation,
   acceptInvitation
 }; 
\ No newline at end of file
@@ -1,7 +1,9 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const LoginSession = require('../models/LoginSession');
 const Subscription = require('../models/Subscription');
 const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
 const { errorResponse, successResponse } = require('../utils/responses');
 const { calculatePrice, getTierLabel, getMaxLicensesForTier } = require('../config/pricing');
 
@@ -89,7 +91,7 @@ const getClinicData = async (req, res) => {
         { _id: currentUser._id }
       ]
     })
-      .select('email name specialty phone created_at is_active is_company_admin workplace email_verified invitation_token')
+      .select('email name specialty phone created_at is_active is_company_admin workplace email_verified invited_by invitation_expires two_factor_enabled')
       .sort({ created_at: -1 });
 
     // Calculate stats
@@ -103,7 +105,8 @@ const getClinicData = async (req, res) => {
       company: {
         name: currentUser.workplace || 'Klinik',
         current_user_count: invitedUsers.length,
-        created_at: currentUser.created_at
+        created_at: currentUser.created_at,
+        two_factor_required: currentUser.two_factor_required
       },
       subscription: {
         numLicenses: subscription.numLicenses,
@@ -124,7 +127,9 @@ const getClinicData = async (req, res) => {
         is_company_admin: user.is_company_admin,
         workplace: user.workplace,
         email_verified: user.email_verified,
-        has_pending_invitation: !!user.invitation_token
+        two_factor_enabled: user.two_factor_enabled,
+        has_pending_invitation: user.hasPendingInvitation(),
+        invitation_expires: user.invitation_expires
       })),
       stats
     };
@@ -194,9 +199,6 @@ const inviteUser = async (req, res) => {
     const subscriptionUpgraded = tierChanged;
     const upgradeInfo = changeInfo;
 
-    // Create invitation token
-    const invitationToken = require('crypto').randomBytes(32).toString('hex');
-    
     // Create the user with a temporary password
     const tempPassword = require('crypto').randomBytes(8).toString('hex');
     
@@ -211,10 +213,12 @@ const inviteUser = async (req, res) => {
       can_invite: false, // Invited users can't invite by default
       is_active: false, // User needs to verify email first
       email_verified: false,
-      invitation_token: invitationToken,
-      invited_by: invitedBy // Link to main user
+      invited_by: invitedBy, // Link to main user
+      two_factor_required: currentUser.two_factor_required // Follow the clinic's 2FA policy
     });
 
+    // Create invitation token (only the hash is stored)
+    const invitationToken = newUser.createAccountToken('invitation');
     await newUser.save();
 
     // Send invitation email
@@ -288,8 +292,8 @@ const updateUserStatus = async (req, res) => {
     }
 
     if (action === 'remove') {
-      // Check if user has pending invitation (has invitation_token and not active)
-      const hasPendingInvitation = targetUser.invitation_token && !targetUser.is_active && !targetUser.email_verified;
+      // Check if user has pending invitation (invited, never accepted and not active)
+      const hasPendingInvitation = targetUser.hasPendingInvitation() && !targetUser.is_active;
       
       if (hasPendingInvitation) {
         // For pending invitations, delete the user completely (they haven't accepted yet)
@@ -381,19 +385,14 @@ const resendInvitation = async (req, res) => {
     }
 
     // Check if user has a pending invitation
-    if (!targetUser.invitation_token) {
+    if (!targetUser.hasPendingInvitation()) {
       return errorResponse(res, 'Bruger har ingen pending invitation', 400);
     }
 
-    // Check if invitation is expired (older than 7 days)
-    const invitationAge = Date.now() - targetUser.created_at.getTime();
-    const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
-    if (invitationAge > maxAge) {
-      // Generate new invitation token if expired
-      targetUser.invitation_token = require('crypto').randomBytes(32).toString('hex');
-      targetUser.created_at = new Date(); // Reset creation date
-      await targetUser.save();
-    }
+    // Only the token hash is stored, so always issue a new token (this also renews the expiry
+    // and invalidates the previous link)
+    const invitationToken = targetUser.createAccountToken('invitation');
+    await targetUser.save();
 
     // Send invitation email
     try {
@@ -401,7 +400,7 @@ const resendInvitation = async (req, res) => {
         email: targetUser.email,
         name: targetUser.name,
         companyName: currentUser.workplace || 'Klinik',
-        invitationToken: targetUser.invitation_token,
+        invitationToken,
         invitedBy: currentUser.name || currentUser.email
       });
     } catch (emailError) {
@@ -416,9 +415,138 @@ const resendInvitation = async (req, res) => {
   }
 };
 
+/**
+ * Force logout a clinic user from all devices (e.g. lost laptop)
+ * POST /api/clinic/users/:userId/logout
+ */
+const logoutUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { userId } = req.params;
+    const currentUserId = req.user.id;
+
+    // Get current user (must be company admin)
+    const currentUser = await User.findById(currentUserId);
+    if (!currentUser || !currentUser.is_company_admin) {
+      return errorResponse(res, 'Kun virksomhedsadministratorer kan logge brugere ud', 403);
+    }
+
+    // Get target user
+    const targetUser = await User.findById(userId);
+    if (!targetUser) {
+      return errorResponse(res, 'Bruger ikke fundet', 404);
+    }
+
+    // Check if target user was invited by current user (or is current user)
+    const isOwnClinicUser = targetUser.invited_by && targetUser.invited_by.toString() === currentUserId;
+    if (!isOwnClinicUser && targetUser._id.toString() !== currentUserId) {
+      return errorResponse(res, 'Kan ikke logge bruger fra anden virksomhed ud', 403);
+    }
+
+    const revokedCount = await LoginSession.revoke({ user_id: targetUser._id }, 'revoked_by_admin', currentUser._id);
+
+    return successResponse(res, {
+      message: 'Bruger logget ud på alle enheder',
+      revoked_count: revokedCount
+    }, 'Bruger logget ud på alle enheder');
+  } catch (error) {
+    console.error('Error logging out user:', error);
+    return errorResponse(res, 'Kunne ikke logge bruger ud', 500);
+  }
+};
+
+/**
+ * Require (or stop requiring) two-factor authentication for everyone in the clinic
+ * PUT /api/clinic/two-factor
+ */
+const updateTwoFactorRequirement = async (req, res) => {
+  try {
+    const { required } = req.body;
+    const currentUserId = req.user.id;
+
+    if (typeof required !== 'boolean') {
+      return errorResponse(res, 'required skal være en boolean værdi', 400);
+    }
+
+    // Get current user (must be company admin)
+    const currentUser = await User.findById(currentUserId);
+    if (!currentUser || !currentUser.is_company_admin) {
+      return errorResponse(res, 'Kun virksomhedsadministratorer kan ændre sikkerhedsindstillinger', 403);
+    }
+
+    // Apply to the main user and sync to all invited users
+    currentUser.two_factor_required = required;
+    await currentUser.save();
+
+    await User.updateMany(
+      { invited_by: currentUser._id },
+      { two_factor_required: required }
+    );
+
+    // Log out clinic users without 2FA so they must enroll on next login
+    let loggedOutUsers = 0;
+    if (required) {
+      const usersWithoutTwoFactor = await User.find({
+        invited_by: currentUser._id,
+        two_factor_enabled: false
+      }).select('_id');
+
+      const userIds = usersWithoutTwoFactor.map(user => user._id);
+      if (userIds.length > 0) {
+        await LoginSession.revoke({ user_id: { $in: userIds } }, 'revoked_by_admin', currentUser._id);
+      }
+      loggedOutUsers = userIds.length;
+    }
+
+    return successResponse(res, {
+      two_factor_required: required,
+      logged_out_users: loggedOutUsers
+    }, required
+      ? 'To-faktor-godkendelse er nu påkrævet for klinikken'
+      : 'To-faktor-godkendelse er ikke længere påkrævet for klinikken');
+  } catch (error) {
+    console.error('Error updating two-factor requirement:', error);
+    return errorResponse(res, 'Kunne ikke opdatere sikkerhedsindstillinger', 500);
+  }
+};
+
+/**
+ * Get audit log of access to the clinic's clinical data
+ * GET /api/clinic/audit
+ * Scoped to events on data owned by the admin and their invited users
+ */
+const getClinicAuditEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const query = auditService.buildQuery(req.query);
+    query.clinic_id = req.user._id;
+
+    const result = await auditService.listEvents(query, page, limit);
+
+    return successResponse(res, result, 'Auditlog hentet succesfuldt');
+  } catch (error) {
+    console.error('Error fetching clinic audit events:', error);
+    return errorResponse(res, 'Kunne ikke hente auditlog', 500);
+  }
+};
+
 module.exports = {
   getClinicData,
   inviteUser,
   updateUserStatus,
-  resendInvitation
+  resendInvitation,
+  logoutUser,
+  updateTwoFactorRequirement,
+  getClinicAuditEvents
 };
@@ -0,0 +1,180 @@
+const { validationResult } = require('express-validator');
+const DocumentTemplate = require('../models/DocumentTemplate');
+const documentTemplateService = require('../services/documentTemplateService');
+const { successResponse, errorResponse } = require('../utils/responses');
+
+/**
+ * Document Template Controller
+ * Handles the document types a clinic can generate: the built-in types plus
+ * the clinic's own definitions, which its company admin manages
+ */
+
+const EDITABLE_FIELDS = ['name', 'description', 'corti_template_key', 'output_language', 'instructions', 'sections', 'layout'];
+
+/**
+ * Load a definition the user's clinic owns (super admin: any clinic)
+ */
+const findClinicDocumentTemplate = (user, id) => {
+  const query = { _id: id, deleted: false };
+  if (user.role !== 'super_admin') {
+    query.clinic_id = user.getClinicId();
+  }
+  return DocumentTemplate.findOne(query);
+};
+
+/**
+ * Get the document types available to the user's clinic (built-in and clinic-defined)
+ * GET /api/document-templates
+ */
+const getDocumentTemplates = async (req, res) => {
+  try {
+    const definitions = await documentTemplateService.listForUser(req.user);
+
+    return successResponse(res, {
+      document_templates: definitions
+    }, 'Skabelondefinitioner hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get document templates error:', error);
+    return errorResponse(res, 'Kunne ikke hente skabelondefinitioner', 500);
+  }
+};
+
+/**
+ * Get a clinic-defined document template
+ * GET /api/document-templates/:id
+ */
+const getDocumentTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const documentTemplate = await findClinicDocumentTemplate(req.user, req.params.id);
+
+    if (!documentTemplate) {
+      return errorResponse(res, 'Skabelondefinition ikke fundet', 404);
+    }
+
+    return successResponse(res, {
+      document_template: documentTemplate
+    }, 'Skabelondefinition hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get document template error:', error);
+    return errorResponse(res, 'Kunne ikke hente skabelondefinition', 500);
+  }
+};
+
+/**
+ * Create a document template for the clinic
+ * POST /api/document-templates
+ */
+const createDocumentTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const documentTemplate = new DocumentTemplate({
+      clinic_id: req.user.getClinicId(),
+      created_by: req.user._id
+    });
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) documentTemplate[field] = req.body[field];
+    }
+
+    await documentTemplate.save();
+
+    return successResponse(res, {
+      document_template: documentTemplate
+    }, 'Skabelondefinition oprettet succesfuldt', 201);
+
+  } catch (error) {
+    console.error('Create document template error:', error);
+    if (error.code === 11000) {
+      return errorResponse(res, 'En skabelondefinition med dette navn findes allerede', 409);
+    }
+    return errorResponse(res, 'Kunne ikke oprette skabelondefinition', 500);
+  }
+};
+
+/**
+ * Update a clinic document template
+ * Documents generated earlier keep their content; regenerating them uses the new definition
+ * PUT /api/document-templates/:id
+ */
+const updateDocumentTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const documentTemplate = await findClinicDocumentTemplate(req.user, req.params.id);
+
+    if (!documentTemplate) {
+      return errorResponse(res, 'Skabelondefinition ikke fundet', 404);
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) documentTemplate[field] = req.body[field];
+    }
+    documentTemplate.updated_by = req.user._id;
+
+    await documentTemplate.save();
+
+    return successResponse(res, {
+      document_template: documentTemplate
+    }, 'Skabelondefinition opdateret succesfuldt');
+
+  } catch (error) {
+    console.error('Update document template error:', error);
+    if (error.code === 11000) {
+      return errorResponse(res, 'En skabelondefinition med dette navn findes allerede', 409);
+    }
+    return errorResponse(res, 'Kunne ikke opdatere skabelondefinition', 500);
+  }
+};
+
+/**
+ * Soft delete a clinic document template
+ * It can no longer be generated, but existing documents can still be regenerated
+ * DELETE /api/document-templates/:id
+ */
+const deleteDocumentTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const documentTemplate = await findClinicDocumentTemplate(req.user, req.params.id);
+
+    if (!documentTemplate) {
+      return errorResponse(res, 'Skabelondefinition ikke fundet', 404);
+    }
+
+    documentTemplate.softDelete();
+    documentTemplate.updated_by = req.user._id;
+    await documentTemplate.save();
+
+    return successResponse(res, {
+      document_template_id: documentTemplate._id
+    }, 'Skabelondefinition slettet succesfuldt');
+
+  } catch (error) {
+    console.error('Delete document template error:', error);
+    return errorResponse(res, 'Kunne ikke slette skabelondefinition', 500);
+  }
+};
+
+module.exports = {
+  getDocumentTemplates,
+  getDocumentTemplate,
+  createDocumentTemplate,
+  updateDocumentTemplate,
+  deleteDocumentTemplate
+};
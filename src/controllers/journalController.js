@@ -0,0 +1,127 @@
+const { validationResult } = require('express-validator');
+const Session = require('../models/Session');
+const journalExportService = require('../services/journalExportService');
+const { setAuditTarget } = require('../middleware/audit');
+const { successResponse, errorResponse, fileResponse } = require('../utils/responses');
+
+/**
+ * Journal Controller
+ * Handles exports of notes to the clinic's journal system (EPJ)
+ * The journal system comes from the user's journalSystem (or their clinic's) unless the request names one
+ */
+
+/**
+ * Get the supported journal systems, the user's own, and the delivery methods available
+ * GET /api/journal/systems
+ */
+const getJournalSystems = async (req, res) => {
+  try {
+    const current = await journalExportService.systemForUser(req.user);
+
+    return successResponse(res, {
+      systems: journalExportService.listSystems(),
+      current: current.key,
+      delivery_methods: journalExportService.getDeliveryMethods()
+    }, 'Journalsystemer hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get journal systems error:', error);
+    return errorResponse(res, 'Kunne ikke hente journalsystemer', 500);
+  }
+};
+
+/**
+ * Export a template to the journal system
+ * Body: { journal_system, delivery } - delivery 'download' (default) returns the file,
+ * 'drop_folder' and 'sftp' deliver it and return the export record
+ * POST /api/templates/:id/journal-exports
+ * Access control handled by requireTemplateAccess middleware
+ */
+const exportTemplateToJournal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Template is already loaded and access verified by requireTemplateAccess middleware
+    const template = req.template;
+    const { journal_system, delivery = 'download' } = req.body;
+
+    if (!journalExportService.getDeliveryMethods().includes(delivery)) {
+      return errorResponse(res, 'Leveringsmetoden er ikke sat op på serveren', 503, {
+        code: 'delivery_not_configured'
+      });
+    }
+
+    const session = await Session.findById(template.session_id);
+    if (!session) {
+      return errorResponse(res, 'Session ikke fundet', 404);
+    }
+
+    if (session.deleted) {
+      return errorResponse(res, 'Session er slettet', 404);
+    }
+
+    const { file, journalExport, error } = await journalExportService.exportTemplate(template, session, req.user, {
+      journalSystem: journal_system,
+      delivery
+    });
+
+    setAuditTarget(req, {
+      metadata: {
+        journal_system: journalExport.journal_system,
+        delivery,
+        status: journalExport.status,
+        version: journalExport.template_version
+      }
+    });
+
+    if (error) {
+      console.error('Journal delivery error:', error);
+      return errorResponse(res, 'Notatet kunne ikke leveres til journalsystemet', error.statusCode || 502, {
+        code: error.code,
+        journal_export: journalExport
+      });
+    }
+
+    if (delivery === 'download') {
+      return fileResponse(res, file);
+    }
+
+    return successResponse(res, {
+      journal_export: journalExport
+    }, 'Notat eksporteret til journalsystemet', 201);
+
+  } catch (error) {
+    console.error('Export template to journal error:', error);
+    return errorResponse(res, 'Kunne ikke eksportere notat til journalsystemet', 500);
+  }
+};
+
+/**
+ * Get a template's journal exports with their status (newest first)
+ * GET /api/templates/:id/journal-exports
+ * Access control handled by requireTemplateAccess middleware
+ */
+const getTemplateJournalExports = async (req, res) => {
+  try {
+    // Template is already loaded and access verified by requireTemplateAccess middleware
+    const template = req.template;
+
+    return successResponse(res, {
+      template_id: template._id,
+      journal_exports: [...template.journal_exports].reverse()
+    }, 'Journaleksporter hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get template journal exports error:', error);
+    return errorResponse(res, 'Kunne ikke hente journaleksporter', 500);
+  }
+};
+
+module.exports = {
+  getJournalSystems,
+  exportTemplateToJournal,
+  getTemplateJournalExports
+};
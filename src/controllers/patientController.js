@@ -0,0 +1,318 @@
+const { validationResult } = require('express-validator');
+const Patient = require('../models/Patient');
+const Session = require('../models/Session');
+const Template = require('../models/Template');
+const { setAuditTarget } = require('../middleware/audit');
+const { blindIndex } = require('../utils/fieldEncryption');
+const { successResponse, errorResponse } = require('../utils/responses');
+
+/**
+ * Patient Controller
+ * Handles the clinic's patients and their consultation history
+ * Patients are shared by everyone in a clinic (the company admin and the users they invited)
+ */
+
+// Escape user input for use in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A search term that is a complete CPR number is looked up through the blind index
+const CPR_PATTERN = /^\d{6}-?\d{4}$/;
+
+/**
+ * Check that an identifier or CPR number isn't used by another patient in the clinic
+ * @returns {Promise<string|null>} Error message, or null when the values are free
+ */
+const findConflict = async (clinicId, { identifier, cprNumber }, excludeId = null) => {
+  if (identifier) {
+    const existing = await Patient.findOne({ clinic_id: clinicId, identifier }).select('_id');
+    if (existing && (!excludeId || !existing._id.equals(excludeId))) {
+      return 'En patient med dette patient ID findes allerede';
+    }
+  }
+
+  if (cprNumber) {
+    const existing = await Patient.findByCpr(clinicId, cprNumber).select('_id');
+    if (existing && (!excludeId || !existing._id.equals(excludeId))) {
+      return 'En patient med dette CPR-nummer findes allerede';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Create a patient in the user's clinic
+ * POST /api/patients
+ */
+const createPatient = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { name, identifier, cpr_number, birth_date, gender } = req.body;
+    const clinicId = req.user.getClinicId();
+
+    setAuditTarget(req, { clinicId });
+
+    const conflict = await findConflict(clinicId, { identifier, cprNumber: cpr_number });
+    if (conflict) {
+      return errorResponse(res, conflict, 409);
+    }
+
+    const patient = new Patient({
+      clinic_id: clinicId,
+      name,
+      birth_date: birth_date || null,
+      gender,
+      created_by: req.user._id
+    });
+    if (identifier) {
+      patient.identifier = identifier;
+    }
+    patient.setCpr(cpr_number);
+
+    await patient.save();
+
+    setAuditTarget(req, { resourceId: patient._id });
+
+    return successResponse(res, {
+      patient
+    }, 'Patient oprettet succesfuldt', 201);
+
+  } catch (error) {
+    console.error('Create patient error:', error);
+    if (error.code === 11000) {
+      return errorResponse(res, 'Patienten findes allerede', 409);
+    }
+    return errorResponse(res, 'Kunne ikke oprette patient', 500);
+  }
+};
+
+/**
+ * Get the clinic's patients, optionally searched by name, patient ID or CPR number
+ * GET /api/patients?q=
+ */
+const getPatients = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { q, limit = 50, page = 1 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { deleted: false };
+
+    // Super admin can see all patients, everyone else only their clinic's
+    if (req.user.role !== 'super_admin') {
+      query.clinic_id = req.user.getClinicId();
+    }
+
+    if (q) {
+      if (CPR_PATTERN.test(q)) {
+        query.cpr_hash = blindIndex(Patient.normalizeCpr(q));
+      } else {
+        const pattern = new RegExp(escapeRegex(q), 'i');
+        query.$or = [{ name: pattern }, { identifier: pattern }];
+      }
+    }
+
+    const patients = await Patient.find(query)
+      .sort({ name: 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await Patient.countDocuments(query);
+
+    setAuditTarget(req, {
+      clinicId: query.clinic_id,
+      metadata: { result_count: patients.length, total, searched: Boolean(q) }
+    });
+
+    return successResponse(res, {
+      patients,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / limit),
+        total_patients: total,
+        limit: parseInt(limit)
+      }
+    }, 'Patienter hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get patients error:', error);
+    return errorResponse(res, 'Kunne ikke hente patienter', 500);
+  }
+};
+
+/**
+ * Get patient
+ * GET /api/patients/:patientId
+ * Access control handled by requirePatientAccess middleware
+ */
+const getPatient = async (req, res) => {
+  try {
+    // Patient is already loaded and access verified by requirePatientAccess middleware
+    return successResponse(res, {
+      patient: req.patient
+    }, 'Patient hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get patient error:', error);
+    return errorResponse(res, 'Kunne ikke hente patient', 500);
+  }
+};
+
+/**
+ * Reveal a patient's CPR number
+ * GET /api/patients/:patientId/cpr
+ * The CPR number is left out of every other patient response, so reading it is audited on its own
+ * Access control handled by requirePatientAccess middleware
+ */
+const revealPatientCpr = async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.patient._id).select('+cpr_number');
+    if (!patient) {
+      return errorResponse(res, 'Patient ikke fundet', 404);
+    }
+
+    // The CPR number must never be cached by browsers or proxies
+    res.set('Cache-Control', 'no-store');
+
+    return successResponse(res, {
+      patient_id: patient._id,
+      cpr_number: patient.cpr_number
+    }, 'CPR-nummer hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Reveal patient CPR error:', error);
+    return errorResponse(res, 'Kunne ikke hente CPR-nummer', 500);
+  }
+};
+
+/**
+ * Update patient (cpr_number: null removes the CPR number)
+ * PUT /api/patients/:patientId
+ * Access control handled by requirePatientAccess middleware
+ */
+const updatePatient = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Patient is already loaded and access verified by requirePatientAccess middleware
+    const patient = req.patient;
+    const { name, identifier, cpr_number, birth_date, gender } = req.body;
+
+    const conflict = await findConflict(patient.clinic_id, { identifier, cprNumber: cpr_number }, patient._id);
+    if (conflict) {
+      return errorResponse(res, conflict, 409);
+    }
+
+    if (name !== undefined) patient.name = name;
+    if (identifier !== undefined) patient.identifier = identifier;
+    if (birth_date !== undefined) patient.birth_date = birth_date;
+    if (gender !== undefined) patient.gender = gender;
+    if (cpr_number !== undefined) patient.setCpr(cpr_number);
+
+    await patient.save();
+
+    setAuditTarget(req, {
+      metadata: { fields: Object.keys(req.body) }
+    });
+
+    return successResponse(res, {
+      patient
+    }, 'Patient opdateret succesfuldt');
+
+  } catch (error) {
+    console.error('Update patient error:', error);
+    if (error.code === 11000) {
+      return errorResponse(res, 'Patienten findes allerede', 409);
+    }
+    return errorResponse(res, 'Kunne ikke opdatere patient', 500);
+  }
+};
+
+/**
+ * Soft delete a patient (linked sessions are kept)
+ * DELETE /api/patients/:patientId
+ * Access control handled by requirePatientAccess middleware
+ */
+const deletePatient = async (req, res) => {
+  try {
+    // Patient is already loaded and access verified by requirePatientAccess middleware
+    const patient = req.patient;
+
+    patient.softDelete();
+    await patient.save();
+
+    return successResponse(res, {
+      patient_id: patient._id
+    }, 'Patient slettet succesfuldt');
+
+  } catch (error) {
+    console.error('Delete patient error:', error);
+    return errorResponse(res, 'Kunne ikke slette patient', 500);
+  }
+};
+
+/**
+ * Get a patient's consultation timeline (newest first) with the templates of each session
+ * Includes sessions of every clinician in the clinic
+ * GET /api/patients/:patientId/sessions
+ * Access control handled by requirePatientAccess middleware
+ */
+const getPatientSessions = async (req, res) => {
+  try {
+    // Patient is already loaded and access verified by requirePatientAccess middleware
+    const patient = req.patient;
+
+    const sessions = await Session.find({ patient_id: patient._id, deleted: false })
+      .sort({ started_at: -1 })
+      .select('corti_interaction_id status session_title specialty encounter_type started_at ended_at created_at user_id')
+      .populate('user_id', 'name email specialty')
+      .lean();
+
+    const templates = await Template.find({ session_id: { $in: sessions.map(session => session._id) } })
+      .sort({ created_at: -1 });
+
+    const templatesBySession = {};
+    for (const template of templates) {
+      const key = template.session_id.toString();
+      (templatesBySession[key] = templatesBySession[key] || []).push(template);
+    }
+
+    setAuditTarget(req, {
+      metadata: { session_count: sessions.length, template_count: templates.length }
+    });
+
+    return successResponse(res, {
+      patient,
+      sessions: sessions.map(session => ({
+        ...session,
+        templates: templatesBySession[session._id.toString()] || []
+      })),
+      total_sessions: sessions.length
+    }, 'Patientforløb hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get patient sessions error:', error);
+    return errorResponse(res, 'Kunne ikke hente patientforløb', 500);
+  }
+};
+
+module.exports = {
+  createPatient,
+  getPatients,
+  getPatient,
+  revealPatientCpr,
+  updatePatient,
+  deletePatient,
+  getPatientSessions
+};
@@ -1,8 +1,18 @@
 const { validationResult } = require('express-validator');
 const Session = require('../models/Session');
+const Transcript = require('../models/Transcript');
+const Fact = require('../models/Fact');
 const User = require('../models/User');
-const cortiService = require('../services/cortiService');
-const { successResponse, errorResponse } = require('../utils/responses');
+const Patient = require('../models/Patient');
+const aiProviderService = require('../services/aiProviderService');
+const transcriptService = require('../services/transcriptService');
+const factService = require('../services/factService');
+const documentExportService = require('../services/documentExportService');
+const { setAuditTarget } = require('../middleware/audit');
+const { successResponse, errorResponse, providerErrorResponse, fileResponse } = require('../utils/responses');
+const { AiProviderError } = require('../utils/providerErrors');
+const { createStreamToken } = require('../utils/tokens');
+const { DEFAULT_EXPORT_FORMAT } = require('../config/exportFormats');
 
 
 /**
@@ -25,38 +35,64 @@ const startSession = async (req, res) => {
       session_title,
       specialty = 'general',
       encounter_type = 'consultation',
+      patient_id = null,
       patient_data = {}
     } = req.body;
 
+    // The patient must belong to the user's clinic
+    let patient = null;
+    if (patient_id) {
+      patient = await Patient.findOne({ _id: patient_id, clinic_id: req.user.getClinicId(), deleted: false });
+      if (!patient) {
+        return errorResponse(res, 'Patient ikke fundet', 404);
+      }
+    }
+
     // Auto-generate session title if not provided
     const finalSessionTitle = session_title || `Konsultation - ${new Date().getMilliseconds()}`;
 
-    // Create interaction with Corti API
-    const interactionResponse = await cortiService.createInteraction(req.user._id, patient_data);
-
-    const token = await cortiService.getAccessToken();
+    // Create interaction with the clinic's AI provider (explicit patient_data overrides the patient record)
+    const provider = await aiProviderService.forUser(req.user);
+    const interactionResponse = await provider.createInteraction({
+      user: req.user,
+      patient: patient ? { ...patient.toProviderContext(), ...patient_data } : patient_data,
+      encounterType: encounter_type,
+      specialty,
+      title: finalSessionTitle
+    });
 
+    // No Corti token is stored or handed out - clients stream through the relay (stream-credentials)
     // Create session in database
     const session = new Session({
       user_id: req.user._id,
+      patient_id: patient ? patient._id : null,
       corti_interaction_id: interactionResponse.interactionId,
       websocket_url: interactionResponse.websocketUrl,
-      access_token: token,
       session_title: finalSessionTitle,
       specialty,
       encounter_type,
+      ai_provider: provider.name,
       status: 'active',
       started_at: new Date()
     });
 
     const savedSession = await session.save();
 
+    setAuditTarget(req, {
+      sessionId: savedSession._id,
+      resourceId: savedSession._id,
+      subjectUserId: req.user._id
+    });
+
     return successResponse(res, {
       session: savedSession
     }, 'Session startet succesfuldt', 201);
 
   } catch (error) {
     console.error('Start session error:', error);
+    if (error instanceof AiProviderError) {
+      return providerErrorResponse(res, error);
+    }
     return errorResponse(res, error.message || 'Kunne ikke starte session', 500);
   }
 };
@@ -86,8 +122,9 @@ const getSession = async (req, res) => {
 };
 
 /**
- * Get session facts from Corti API
+ * Get session facts
  * GET /api/sessions/:sessionId/facts
+ * Reconciled with Corti on read; served from the local copy when Corti is unreachable
  * Access control handled by requireSessionAccess middleware
  */
 const getSessionFacts = async (req, res) => {
@@ -99,13 +136,14 @@ const getSessionFacts = async (req, res) => {
       return errorResponse(res, 'Session er slettet', 404);
     }
 
-    // Fetch facts directly from Corti API
-    const facts = await cortiService.getFacts(session.corti_interaction_id);
+    const { facts, synced, error } = await factService.reconcile(session);
 
     return successResponse(res, {
-      facts: facts,
+      facts: facts.filter(fact => !fact.is_discarded).map(fact => fact.toApiFact()),
       session_id: session._id,
-      interaction_id: session.corti_interaction_id
+      interaction_id: session.corti_interaction_id,
+      synced,
+      sync_error: error
     }, 'Fakta hentet succesfuldt');
 
   } catch (error) {
@@ -115,13 +153,13 @@ const getSessionFacts = async (req, res) => {
 };
 
 /**
- * Add fact to session via Corti API
+ * Add fact to session (stored locally and in Corti)
  * POST /api/sessions/:sessionId/facts
  * Access control handled by requireSessionAccess middleware
  */
 const addFact = async (req, res) => {
   try {
-    const { text, group, source = 'user' } = req.body;
+    const { text, group } = req.body;
 
     if (!text || !group) {
       return errorResponse(res, 'Text and group are required', 400);
@@ -134,16 +172,15 @@ const addFact = async (req, res) => {
       return errorResponse(res, 'Session er slettet', 404);
     }
 
-    // Add fact via Corti API
-    const result = await cortiService.addFact(session.corti_interaction_id, {
-      text,
-      group,
-      source
-    });
+    // Saved locally even if Corti fails - written to Corti on the next read
+    const { fact, error } = await factService.addFact(session, { text, group }, req.user);
+
+    setAuditTarget(req, { resourceId: fact._id.toString() });
 
     return successResponse(res, {
-      fact: result,
-      session_id: session._id
+      fact: fact.toApiFact(),
+      session_id: session._id,
+      sync_error: error
     }, 'Fakta tilføjet succesfuldt');
 
   } catch (error) {
@@ -153,7 +190,7 @@ const addFact = async (req, res) => {
 };
 
 /**
- * Update fact via Corti API
+ * Update fact (stored locally and in Corti)
  * PUT /api/sessions/:sessionId/facts/:factId
  * Access control handled by requireSessionAccess middleware
  */
@@ -162,6 +199,8 @@ const updateFact = async (req, res) => {
     const { factId } = req.params;
     const { text, group, isDiscarded } = req.body;
 
+    setAuditTarget(req, { resourceId: factId });
+
     // Session is already loaded and access verified by requireSessionAccess middleware
     const session = req.session;
 
@@ -169,16 +208,20 @@ const updateFact = async (req, res) => {
       return errorResponse(res, 'Session er slettet', 404);
     }
 
-    // Update fact via Corti API
-    const result = await cortiService.updateFact(session.corti_interaction_id, factId, {
+    const { fact, error } = await factService.updateFact(session, factId, {
       text,
       group,
       isDiscarded
-    });
+    }, req.user);
+
+    if (!fact) {
+      return errorResponse(res, 'Fakta ikke fundet', 404);
+    }
 
     return successResponse(res, {
-      fact: result,
-      session_id: session._id
+      fact: fact.toApiFact(),
+      session_id: session._id,
+      sync_error: error
     }, 'Fakta opdateret succesfuldt');
 
   } catch (error) {
@@ -187,6 +230,192 @@ const updateFact = async (req, res) => {
   }
 };
 
+/**
+ * Add, update and discard several facts in one request
+ * POST /api/sessions/:sessionId/facts/bulk
+ * Responds 207 when some operations failed; see each operation's result
+ * Access control handled by requireSessionAccess middleware
+ */
+const bulkFactOperations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Session is already loaded and access verified by requireSessionAccess middleware
+    const session = req.session;
+
+    if (session.deleted) {
+      return errorResponse(res, 'Session er slettet', 404);
+    }
+
+    const results = await factService.bulk(session, req.body.operations, req.user);
+
+    const summary = {
+      total: results.length,
+      succeeded: results.filter(result => result.status === 'ok').length,
+      pending_sync: results.filter(result => result.status === 'pending_sync').length,
+      sync_failed: results.filter(result => result.status === 'sync_failed').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+
+    setAuditTarget(req, { metadata: summary });
+
+    return successResponse(res, {
+      results,
+      summary,
+      session_id: session._id
+    }, summary.failed > 0 ? 'Nogle fakta handlinger fejlede' : 'Fakta opdateret succesfuldt', summary.failed > 0 ? 207 : 200);
+
+  } catch (error) {
+    console.error('Bulk fact operations error:', error);
+    return errorResponse(res, 'Kunne ikke opdatere fakta', 500);
+  }
+};
+
+/**
+ * Get a fact's version history with provenance (AI suggestion vs clinician corrections)
+ * GET /api/sessions/:sessionId/facts/:factId/history
+ * Access control handled by requireSessionAccess middleware
+ */
+const getFactHistory = async (req, res) => {
+  try {
+    const { factId } = req.params;
+
+    setAuditTarget(req, { resourceId: factId });
+
+    // Session is already loaded and access verified by requireSessionAccess middleware
+    const session = req.session;
+
+    if (session.deleted) {
+      return errorResponse(res, 'Session er slettet', 404);
+    }
+
+    const { fact, versions } = await factService.getHistory(session, factId);
+
+    if (!fact) {
+      return errorResponse(res, 'Fakta ikke fundet', 404);
+    }
+
+    return successResponse(res, {
+      fact: fact.toApiFact(),
+      provenance: {
+        origin: fact.origin,
+        ai_suggestion: fact.origin === 'ai' ? { text: fact.ai_text, group: fact.ai_group } : null,
+        is_edited: fact.is_edited
+      },
+      versions,
+      session_id: session._id
+    }, 'Fakta historik hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get fact history error:', error);
+    return errorResponse(res, 'Kunne ikke hente fakta historik', 500);
+  }
+};
+
+/**
+ * Restore an earlier version of a fact
+ * POST /api/sessions/:sessionId/facts/:factId/restore
+ * Access control handled by requireSessionAccess middleware
+ */
+const restoreFactVersion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { factId } = req.params;
+    const version = parseInt(req.body.version);
+
+    setAuditTarget(req, { resourceId: factId, metadata: { restored_version: version } });
+
+    // Session is already loaded and access verified by requireSessionAccess middleware
+    const session = req.session;
+
+    if (session.deleted) {
+      return errorResponse(res, 'Session er slettet', 404);
+    }
+
+    const { fact, restored, error } = await factService.restoreVersion(session, factId, version, req.user);
+
+    if (!fact) {
+      return errorResponse(res, 'Fakta ikke fundet', 404);
+    }
+
+    if (!restored) {
+      return errorResponse(res, 'Fakta version ikke fundet', 404);
+    }
+
+    return successResponse(res, {
+      fact: fact.toApiFact(),
+      restored_from_version: restored.version,
+      session_id: session._id,
+      sync_error: error
+    }, 'Fakta version gendannet succesfuldt');
+
+  } catch (error) {
+    console.error('Restore fact version error:', error);
+    return errorResponse(res, 'Kunne ikke gendanne fakta version', 500);
+  }
+};
+
+/**
+ * Get the connection details for streaming audio to this session
+ * Audio always goes through the backend relay, authenticated with a short-lived stream token that
+ * only opens this session's stream. Corti stream tokens are tenant-wide (not limited to one
+ * interaction), so they are never returned.
+ * GET /api/sessions/:sessionId/stream-credentials
+ * Access control handled by requireSessionAccess middleware
+ */
+const getStreamCredentials = async (req, res) => {
+  try {
+    // Session is already loaded and access verified by requireSessionAccess middleware
+    const session = req.session;
+
+    if (session.deleted) {
+      return errorResponse(res, 'Session er slettet', 404);
+    }
+
+    // Only the clinician who owns the session may record to it
+    if (session.user_id.toString() !== req.user._id.toString()) {
+      return errorResponse(res, 'Kun sessionens ejer kan optage', 403);
+    }
+
+    if (['completed', 'cancelled'].includes(session.status)) {
+      return errorResponse(res, 'Sessionen er afsluttet og kan ikke længere optages', 409);
+    }
+
+    const provider = aiProviderService.forSession(session);
+    if (!provider.supportsStreaming) {
+      return errorResponse(res, 'Sessionens AI-udbyder understøtter ikke streaming', 409);
+    }
+
+    const websocketPath = `/api/sessions/${session._id}/stream`;
+    const { token, expiresAt } = createStreamToken(req.user._id, session._id, req.tokenFamilyId);
+
+    res.set('Cache-Control', 'no-store');
+
+    return successResponse(res, {
+      session_id: session._id,
+      websocket_path: websocketPath,
+      websocket_url: `${req.secure ? 'wss' : 'ws'}://${req.get('host')}${websocketPath}`,
+      // Passed to the relay as ?token= - only opens this session's stream; fetch a new one to reconnect
+      stream_token: token,
+      expires_at: expiresAt
+    }, 'Streaming-adgang hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get stream credentials error:', error);
+    if (error instanceof AiProviderError) {
+      return providerErrorResponse(res, error);
+    }
+    return errorResponse(res, 'Kunne ikke hente streaming-adgang', 500);
+  }
+};
+
 /**
  * Start session recording
  * POST /api/sessions/:sessionId/start-recording
@@ -237,8 +466,15 @@ const endSession = async (req, res) => {
     session.endSession();
     await session.save();
 
+    // Keep a local copy of the transcript (failures are retried in the background)
+    const { transcript } = await transcriptService.syncSession(session);
+
+    // Pull the final facts so listings have up-to-date counts
+    await factService.reconcile(session);
+
     return successResponse(res, {
-      session: session
+      session: session,
+      transcript_sync_status: transcript.sync_status
     }, 'Session afsluttet succesfuldt');
 
   } catch (error) {
@@ -287,17 +523,24 @@ const getUserSessions = async (req, res) => {
       .sort({ created_at: -1 })
       .limit(parseInt(limit))
       .skip(skip)
-      .select('corti_interaction_id status session_title started_at ended_at created_at user_id')
+      .select('corti_interaction_id status session_title started_at ended_at created_at user_id patient_id')
       .populate('user_id', 'name email specialty')
+      .populate('patient_id', 'identifier name birth_date')
       .lean(); // Use lean() for better performance with large datasets
 
     const total = await Session.countDocuments(query);
 
-    // Add session statistics (without facts since they're fetched from Corti)
+    setAuditTarget(req, {
+      subjectUserId: query.user_id,
+      metadata: { result_count: sessions.length, total }
+    });
+
+    // Add session statistics from the local fact store
+    const factCounts = await Fact.countBySessions(sessions.map(session => session._id));
     const sessionStats = sessions.map(session => ({
       ...session,
-      facts_count: 0, // Will be fetched from Corti when needed
-      active_facts_count: 0 // Will be fetched from Corti when needed
+      facts_count: factCounts[session._id.toString()]?.facts_count || 0,
+      active_facts_count: factCounts[session._id.toString()]?.active_facts_count || 0
     }));
 
     return successResponse(res, {
@@ -347,15 +590,22 @@ const getRecentSessions = async (req, res) => {
     const sessions = await Session.find(query)
       .sort({ created_at: -1 })
       .limit(parseInt(limit))
-      .select('corti_interaction_id status session_title started_at ended_at created_at user_id')
+      .select('corti_interaction_id status session_title started_at ended_at created_at user_id patient_id')
       .populate('user_id', 'name email specialty')
+      .populate('patient_id', 'identifier name birth_date')
       .lean(); // Use lean() for better performance
 
-    // Add session statistics (without facts since they're fetched from Corti)
+    setAuditTarget(req, {
+      subjectUserId: query.user_id,
+      metadata: { result_count: sessions.length }
+    });
+
+    // Add session statistics from the local fact store
+    const factCounts = await Fact.countBySessions(sessions.map(session => session._id));
     const sessionStats = sessions.map(session => ({
       ...session,
-      facts_count: 0, // Will be fetched from Corti when needed
-      active_facts_count: 0 // Will be fetched from Corti when needed
+      facts_count: factCounts[session._id.toString()]?.facts_count || 0,
+      active_facts_count: factCounts[session._id.toString()]?.active_facts_count || 0
     }));
 
     return successResponse(res, {
@@ -369,6 +619,54 @@ const getRecentSessions = async (req, res) => {
   }
 };
 
+/**
+ * Link a session to a patient in the user's clinic (patient_id: null removes the link)
+ * PUT /api/sessions/:sessionId/patient
+ * Access control handled by requireSessionAccess middleware
+ */
+const setSessionPatient = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Session is already loaded and access verified by requireSessionAccess middleware
+    const session = req.session;
+
+    if (session.deleted) {
+      return errorResponse(res, 'Session er slettet', 404);
+    }
+
+    const { patient_id } = req.body;
+
+    if (patient_id) {
+      // The patient must belong to the session owner's clinic
+      const owner = await User.findById(session.user_id).select('invited_by');
+      const clinicId = owner ? owner.getClinicId() : session.user_id;
+      const patient = await Patient.findOne({ _id: patient_id, clinic_id: clinicId, deleted: false }).select('_id');
+      if (!patient) {
+        return errorResponse(res, 'Patient ikke fundet', 404);
+      }
+    }
+
+    session.patient_id = patient_id || null;
+    await session.save();
+
+    setAuditTarget(req, {
+      metadata: { patient_id: session.patient_id }
+    });
+
+    return successResponse(res, {
+      session
+    }, 'Session opdateret succesfuldt');
+
+  } catch (error) {
+    console.error('Set session patient error:', error);
+    return errorResponse(res, 'Kunne ikke opdatere session', 500);
+  }
+};
+
 /**
  * Soft delete a session
  * DELETE /api/sessions/:sessionId
@@ -398,15 +696,16 @@ const deleteSession = async (req, res) => {
 };
 
 /**
- * Get fact groups from Corti API
+ * Get fact groups from the clinic's AI provider
  * GET /api/sessions/fact-groups
  */
 const getFactGroups = async (req, res) => {
   try {
     const { language = 'en' } = req.query;
 
-    // Get fact groups from Corti API
-    const factGroups = await cortiService.getFactGroups();
+    // Get fact groups from the clinic's AI provider
+    const provider = await aiProviderService.forUser(req.user);
+    const factGroups = await provider.getFactGroups();
 
     // Process fact groups based on language
     const processedGroups = factGroups.map(group => {
@@ -439,8 +738,9 @@ const getFactGroups = async (req, res) => {
 };
 
 /**
- * Get session transcripts from Corti API
- * GET /api/sessions/:sessionId/transcripts
+ * Get session transcripts
+ * GET /api/sessions/:sessionId/transcripts?refresh=true
+ * Served from the local copy; fetched from Corti when there is none yet or refresh=true
  * https://docs.corti.ai/api-reference/transcripts/list-transcripts
  * Access control handled by requireSessionAccess middleware
  */
@@ -448,18 +748,39 @@ const getSessionTranscripts = async (req, res) => {
   try {
     // Session is already loaded and access verified by requireSessionAccess middleware
     const session = req.session;
+    const refresh = req.query.refresh === 'true';
 
     if (session.deleted) {
       return errorResponse(res, 'Session er slettet', 404);
     }
 
-    // Fetch transcripts from Corti API
-    const transcriptsData = await cortiService.listTranscripts(session.corti_interaction_id, true);
+    let transcript = await Transcript.findOne({ session_id: session._id });
+    let syncError = null;
+    // The transcript is still growing while the session is being recorded
+    const recording = ['active', 'started'].includes(session.status);
+
+    if (!transcript || transcript.sync_status !== 'synced' || recording || refresh) {
+      setAuditTarget(req, { metadata: { source: 'corti', refresh } });
+      ({ transcript, error: syncError } = await transcriptService.syncSession(session));
+    }
+
+    // Nothing stored and the AI provider is unavailable
+    if (transcript.sync_status !== 'synced') {
+      if (syncError instanceof AiProviderError) {
+        return providerErrorResponse(res, syncError);
+      }
+      return errorResponse(res, 'Kunne ikke hente session transkripter', 502);
+    }
 
     return successResponse(res, {
-      transcripts: transcriptsData.transcripts || [],
+      transcripts: transcript.transcripts,
+      segments: transcript.segments,
+      segment_count: transcript.segment_count,
       session_id: session._id,
-      interaction_id: session.corti_interaction_id
+      interaction_id: session.corti_interaction_id,
+      sync_status: transcript.sync_status,
+      last_synced_at: transcript.last_synced_at,
+      last_sync_error: transcript.last_sync_error
     }, 'Transkripter hentet succesfuldt');
 
   } catch (error) {
@@ -468,17 +789,55 @@ const getSessionTranscripts = async (req, res) => {
   }
 };
 
+/**
+ * Export a session - all its templates and the transcript - as one file with a clinic-branded header
+ * GET /api/sessions/:sessionId/export?format=pdf|docx|txt|md
+ * Access control handled by requireSessionAccess middleware
+ */
+const exportSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Session is already loaded and access verified by requireSessionAccess middleware
+    const session = req.session;
+    const format = req.query.format || DEFAULT_EXPORT_FORMAT;
+
+    if (session.deleted) {
+      return errorResponse(res, 'Session er slettet', 404);
+    }
+
+    const file = await documentExportService.exportSession(session, format);
+
+    setAuditTarget(req, { metadata: { format } });
+
+    return fileResponse(res, file);
+
+  } catch (error) {
+    console.error('Export session error:', error);
+    return errorResponse(res, 'Kunne ikke eksportere session', 500);
+  }
+};
+
 module.exports = {
   startSession,
   getSession,
   getSessionFacts,
   addFact,
   updateFact,
+  bulkFactOperations,
+  getFactHistory,
+  restoreFactVersion,
+  getStreamCredentials,
   startSessionRecording,
   endSession,
   getUserSessions,
   getRecentSessions,
+  setSessionPatient,
   deleteSession,
   getFactGroups,
-  getSessionTranscripts
+  getSessionTranscripts,
+  exportSession
 }; 
\ No newline at end of file
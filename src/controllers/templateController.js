@@ -1,16 +1,81 @@
 const { validationResult } = require('express-validator');
 const Template = require('../models/Template');
+const TemplateVersion = require('../models/TemplateVersion');
 const Session = require('../models/Session');
-const cortiService = require('../services/cortiService');
-const { successResponse, errorResponse } = require('../utils/responses');
+const aiProviderService = require('../services/aiProviderService');
+const documentTemplateService = require('../services/documentTemplateService');
+const templateService = require('../services/templateService');
+const documentExportService = require('../services/documentExportService');
+const { setAuditTarget } = require('../middleware/audit');
+const { successResponse, errorResponse, providerErrorResponse, preconditionFailedResponse, fileResponse } = require('../utils/responses');
+const { AiProviderError } = require('../utils/providerErrors');
+const { TemplateVersionConflictError, TemplateLockedError } = require('../utils/templateErrors');
+const { toEtag, ifMatchSatisfied } = require('../utils/etag');
+const { DEFAULT_EXPORT_FORMAT } = require('../config/exportFormats');
 
 /**
  * Template Controller
  * Handles clinical document templates based on session facts
+ * Writes honor If-Match (ETag = template version); responses carry the new ETag
+ * Signed templates are locked - they only change through an amendment
  */
 
+/**
+ * Send the response for a change to a signed (locked) template
+ * @param {string} status - The template's status (signed or amended)
+ */
+const lockedResponse = (res, status) => {
+  return errorResponse(res, 'Notatet er underskrevet og låst. Ændringer kræver et tillæg med begrundelse', 409, {
+    code: 'template_locked',
+    status
+  });
+};
+
+/**
+ * Send the response for a whole-text edit that would throw away the template's sections
+ */
+const sectionsResponse = (res, template) => {
+  return errorResponse(res, 'Notatet er opdelt i sektioner. Rediger sektionerne enkeltvis, så de ikke går tabt', 409, {
+    code: 'template_has_sections',
+    sections: (template.sections || []).map(section => section.key)
+  });
+};
+
+/**
+ * Check that a regeneration won't silently overwrite newer changes or the clinician's edits
+ * @returns {Object|null} The error response if the regeneration must not go ahead
+ */
+const checkRegeneration = (req, res, template, mode, confirm) => {
+  if (template.isLocked()) {
+    return lockedResponse(res, template.status);
+  }
+
+  if (!ifMatchSatisfied(req, template.version)) {
+    return preconditionFailedResponse(res, template.version);
+  }
+
+  if (mode === 'merge') {
+    if (!template.canMerge()) {
+      return errorResponse(res, 'Skabelonen er redigeret som helhed og kan ikke flettes. Regenerer med confirm: true for at overskrive', 409, {
+        code: 'merge_unavailable'
+      });
+    }
+    return null;
+  }
+
+  if (template.is_edited && confirm !== true) {
+    return errorResponse(res, 'Skabelonen er redigeret. Bekræft med confirm: true for at overskrive ændringerne, eller brug mode: merge', 409, {
+      code: 'confirmation_required',
+      edited_sections: template.getEditedSectionKeys()
+    });
+  }
+
+  return null;
+};
+
 /**
  * Generate template from session
+ * Generates a built-in type (type) or a clinic's DocumentTemplate (template_id)
  * POST /api/templates/generate
  */
 const generateTemplate = async (req, res) => {
@@ -22,8 +87,10 @@ const generateTemplate = async (req, res) => {
 
     const { 
       session_id, 
-      type = 'brief-clinical-note',
-      outputLanguage = 'da'
+      type,
+      template_id,
+      mode = 'replace',
+      confirm = false
     } = req.body;
 
     // Find session and verify user owns it
@@ -33,53 +100,68 @@ const generateTemplate = async (req, res) => {
       return errorResponse(res, 'Session ikke fundet', 404);
     }
 
+    setAuditTarget(req, {
+      sessionId: session._id,
+      subjectUserId: session.user_id,
+      metadata: { template_type: type, document_template_id: template_id }
+    });
+
     // User can only generate templates for their own sessions
     if (session.user_id.toString() !== req.user._id.toString() && req.user.role !== 'super_admin') {
       return errorResponse(res, 'Adgang nægtet til denne session', 403);
     }
 
-    // Generate template from Corti
-    const templateData = await cortiService.generateTemplate(
-      session.corti_interaction_id, 
-      type,
-      outputLanguage
-    );
-    
-    // Generate title based on template type
-    let templateTitle;
-    if (type === 'soap') {
-      templateTitle = 'SOAP Note';
-    } else if (type === 'nursing-note') {
-      templateTitle = 'Nursing Note';
-    } else if (type === 'referral') {
-      templateTitle = 'Referral Note';
-    } else {
-      templateTitle = 'Brief Clinical Note';
-    }
-
-    // Create or update template in database
-    const template = await Template.getOrCreateTemplate(
-      session._id,
-      req.user._id, // Use current user's ID
-      type,
-      templateData.templateKey,
-      templateTitle,
-      templateData.content,
-      templateData.facts,
-      outputLanguage
+    // Built-in type or one of the clinic's own document templates
+    const definition = await documentTemplateService.resolve(req.user, { type, templateId: template_id });
+    if (!definition) {
+      return errorResponse(res, 'Skabelondefinition ikke fundet', 404);
+    }
+
+    const outputLanguage = req.body.outputLanguage || definition.output_language || 'da';
+
+    // Generating the same kind of document again regenerates the existing one
+    const existing = await templateService.findForDefinition(session, req.user, definition);
+    if (existing) {
+      const blocked = checkRegeneration(req, res, existing, mode, confirm);
+      if (blocked) {
+        return blocked;
+      }
+    }
+
+    // Generate with the session's AI provider, creating or regenerating the user's document
+    const { template, templateData } = await templateService.generate(
+      session,
+      req.user, // Use current user's ID
+      definition,
+      outputLanguage,
+      { template: existing, mode }
     );
 
+    setAuditTarget(req, { resourceId: template._id });
+
+    res.set('ETag', toEtag(template.version));
+
     return successResponse(res, {
       template: template,
       generation_info: {
         facts_used: templateData.facts.length,
-        template_type: type,
+        template_type: definition.type,
+        document_template_id: definition.document_template_id,
         corti_template_key: templateData.templateKey
       }
     }, 'Skabelon genereret succesfuldt', 201);
 
   } catch (error) {
     console.error('Generate template error:', error);
+    if (error instanceof AiProviderError) {
+      return providerErrorResponse(res, error);
+    }
+    if (error instanceof TemplateVersionConflictError) {
+      return preconditionFailedResponse(res);
+    }
+    if (error instanceof TemplateLockedError) {
+      return lockedResponse(res, error.templateStatus);
+    }
     return errorResponse(res, error.message || 'Kunne ikke generere skabelon', 500);
   }
 };
@@ -97,6 +179,8 @@ const getSessionTemplates = async (req, res) => {
     // User can only see their own templates
     const templates = await Template.getTemplatesForSession(session._id, req.user._id);
 
+    setAuditTarget(req, { metadata: { result_count: templates.length } });
+
     return successResponse(res, {
       templates: templates,
       session_id: session._id
@@ -110,11 +194,18 @@ const getSessionTemplates = async (req, res) => {
 
 /**
  * Regenerate template with updated facts
+ * Edited templates need confirm: true, or mode: 'merge' to keep the edited sections
  * POST /api/templates/:id/regenerate
  */
 const regenerateTemplate = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
     const { id } = req.params;
+    const { mode = 'replace', confirm = false } = req.body;
 
     const template = await Template.findById(id).populate('session_id');
 
@@ -122,6 +213,12 @@ const regenerateTemplate = async (req, res) => {
       return errorResponse(res, 'Skabelon ikke fundet', 404);
     }
 
+    setAuditTarget(req, {
+      sessionId: template.session_id ? template.session_id._id : null,
+      resourceId: template._id,
+      subjectUserId: template.user_id
+    });
+
     if (!template.session_id) {
       return errorResponse(res, 'Skabelon session ikke fundet', 404);
     }
@@ -131,27 +228,43 @@ const regenerateTemplate = async (req, res) => {
       return errorResponse(res, 'Adgang nægtet til denne skabelon', 403);
     }
 
-    // Generate new template from current session facts
-    const templateData = await cortiService.generateTemplate(
-      template.session_id.corti_interaction_id, 
-      template.type,
-      template.output_language
-    );
+    const blocked = checkRegeneration(req, res, template, mode, confirm);
+    if (blocked) {
+      return blocked;
+    }
 
-    // Update template with new content and facts
-    template.regenerate(templateData.content, templateData.facts);
-    await template.save();
+    // Same definition as the first generation (deleted clinic definitions still resolve)
+    const definition = await documentTemplateService.forTemplate(template);
+    if (!definition) {
+      return errorResponse(res, 'Skabelondefinition ikke fundet', 404);
+    }
+
+    // Generate new template from current session facts (the previous state stays in the history)
+    const templateData = await templateService.regenerate(template, template.session_id, req.user, definition, mode);
+
+    res.set('ETag', toEtag(template.version));
 
     return successResponse(res, {
       template: template,
       generation_info: {
         facts_used: templateData.facts.length,
-        regeneration_count: template.regenerated_count
+        regeneration_count: template.regenerated_count,
+        mode,
+        kept_sections: mode === 'merge' ? template.getEditedSectionKeys() : []
       }
     }, 'Skabelon regenereret succesfuldt', 200);
 
   } catch (error) {
     console.error('Regenerate template error:', error);
+    if (error instanceof AiProviderError) {
+      return providerErrorResponse(res, error);
+    }
+    if (error instanceof TemplateVersionConflictError) {
+      return preconditionFailedResponse(res);
+    }
+    if (error instanceof TemplateLockedError) {
+      return lockedResponse(res, error.templateStatus);
+    }
     return errorResponse(res, error.message || 'Kunne ikke regenerere skabelon', 500);
   }
 };
@@ -168,7 +281,7 @@ const updateTemplate = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { content } = req.body;
+    const { content, replace_sections: replaceSections } = req.body;
 
     const template = await Template.findById(id);
 
@@ -176,14 +289,37 @@ const updateTemplate = async (req, res) => {
       return errorResponse(res, 'Skabelon ikke fundet', 404);
     }
 
+    setAuditTarget(req, {
+      sessionId: template.session_id,
+      resourceId: template._id,
+      subjectUserId: template.user_id
+    });
+
     // User can only update their own templates
     if (template.user_id.toString() !== req.user._id.toString() && req.user.role !== 'super_admin') {
       return errorResponse(res, 'Adgang nægtet til denne skabelon', 403);
     }
 
-    // Update template content
-    template.updateContent(content);
-    await template.save();
+    if (template.isLocked()) {
+      return lockedResponse(res, template.status);
+    }
+
+    if (!ifMatchSatisfied(req, template.version)) {
+      return preconditionFailedResponse(res, template.version);
+    }
+
+    if (!replaceSections && !template.acceptsContent(content)) {
+      return sectionsResponse(res, template);
+    }
+
+    // Update template content (nothing to record if the rendered text was sent back unchanged)
+    await templateService.ensureBaseline(template);
+    template.updateContent(content, { replaceSections: Boolean(replaceSections) });
+    if (template.isModified()) {
+      await templateService.saveChange(template, 'edited', req.user);
+    }
+
+    res.set('ETag', toEtag(template.version));
 
     return successResponse(res, {
       template: template
@@ -191,13 +327,487 @@ const updateTemplate = async (req, res) => {
 
   } catch (error) {
     console.error('Update template error:', error);
+    if (error instanceof TemplateVersionConflictError) {
+      return preconditionFailedResponse(res);
+    }
+    if (error instanceof TemplateLockedError) {
+      return lockedResponse(res, error.templateStatus);
+    }
     return errorResponse(res, error.message || 'Kunne ikke opdatere skabelon', 500);
   }
 };
 
+/**
+ * Update one section of a template (manual edit)
+ * PUT /api/templates/:id/sections/:sectionKey
+ */
+const updateTemplateSection = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { id, sectionKey } = req.params;
+    const { text } = req.body;
+
+    const template = await Template.findById(id);
+
+    if (!template) {
+      return errorResponse(res, 'Skabelon ikke fundet', 404);
+    }
+
+    setAuditTarget(req, {
+      sessionId: template.session_id,
+      resourceId: template._id,
+      subjectUserId: template.user_id,
+      metadata: { section: sectionKey }
+    });
+
+    // User can only update their own templates
+    if (template.user_id.toString() !== req.user._id.toString() && req.user.role !== 'super_admin') {
+      return errorResponse(res, 'Adgang nægtet til denne skabelon', 403);
+    }
+
+    if (!template.getSection(sectionKey)) {
+      return errorResponse(res, 'Sektion ikke fundet', 404);
+    }
+
+    if (template.isLocked()) {
+      return lockedResponse(res, template.status);
+    }
+
+    if (!ifMatchSatisfied(req, template.version)) {
+      return preconditionFailedResponse(res, template.version);
+    }
+
+    await templateService.ensureBaseline(template);
+    template.updateSection(sectionKey, text);
+    await templateService.saveChange(template, 'section_edited', req.user, { sectionKey });
+
+    res.set('ETag', toEtag(template.version));
+
+    return successResponse(res, {
+      template: template,
+      section: template.getSection(sectionKey)
+    }, 'Sektion opdateret succesfuldt', 200);
+
+  } catch (error) {
+    console.error('Update template section error:', error);
+    if (error instanceof TemplateVersionConflictError) {
+      return preconditionFailedResponse(res);
+    }
+    if (error instanceof TemplateLockedError) {
+      return lockedResponse(res, error.templateStatus);
+    }
+    return errorResponse(res, error.message || 'Kunne ikke opdatere sektion', 500);
+  }
+};
+
+/**
+ * Regenerate one section of a template from the current session facts
+ * Other sections (and their manual edits) are kept
+ * POST /api/templates/:id/sections/:sectionKey/regenerate
+ */
+const regenerateTemplateSection = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { id, sectionKey } = req.params;
+
+    const template = await Template.findById(id).populate('session_id');
+
+    if (!template) {
+      return errorResponse(res, 'Skabelon ikke fundet', 404);
+    }
+
+    setAuditTarget(req, {
+      sessionId: template.session_id ? template.session_id._id : null,
+      resourceId: template._id,
+      subjectUserId: template.user_id,
+      metadata: { section: sectionKey }
+    });
+
+    if (!template.session_id) {
+      return errorResponse(res, 'Skabelon session ikke fundet', 404);
+    }
+
+    // User can only regenerate their own templates
+    if (template.user_id.toString() !== req.user._id.toString() && req.user.role !== 'super_admin') {
+      return errorResponse(res, 'Adgang nægtet til denne skabelon', 403);
+    }
+
+    const section = template.getSection(sectionKey);
+    if (!section) {
+      return errorResponse(res, 'Sektion ikke fundet', 404);
+    }
+
+    if (template.isLocked()) {
+      return lockedResponse(res, template.status);
+    }
+
+    if (!ifMatchSatisfied(req, template.version)) {
+      return preconditionFailedResponse(res, template.version);
+    }
+
+    if (section.is_edited && req.body.confirm !== true) {
+      return errorResponse(res, 'Sektionen er redigeret. Bekræft med confirm: true for at overskrive ændringerne', 409, {
+        code: 'confirmation_required',
+        edited_sections: [sectionKey]
+      });
+    }
+
+    const definition = await documentTemplateService.forTemplate(template);
+    if (!definition) {
+      return errorResponse(res, 'Skabelondefinition ikke fundet', 404);
+    }
+
+    const sectionData = await aiProviderService.forSession(template.session_id).generateSection(
+      template.session_id.corti_interaction_id,
+      definition,
+      sectionKey,
+      template.output_language
+    );
+
+    await templateService.ensureBaseline(template);
+    template.regenerateSection(sectionKey, sectionData.section.text);
+    await templateService.saveChange(template, 'section_regenerated', req.user, { sectionKey });
+
+    res.set('ETag', toEtag(template.version));
+
+    return successResponse(res, {
+      template: template,
+      section: template.getSection(sectionKey),
+      generation_info: {
+        facts_used: sectionData.facts.length
+      }
+    }, 'Sektion regenereret succesfuldt', 200);
+
+  } catch (error) {
+    console.error('Regenerate template section error:', error);
+    if (error instanceof AiProviderError) {
+      return providerErrorResponse(res, error);
+    }
+    if (error instanceof TemplateVersionConflictError) {
+      return preconditionFailedResponse(res);
+    }
+    if (error instanceof TemplateLockedError) {
+      return lockedResponse(res, error.templateStatus);
+    }
+    return errorResponse(res, error.message || 'Kunne ikke regenerere sektion', 500);
+  }
+};
+
+/**
+ * Get a template's version history (newest first, without content)
+ * GET /api/templates/:id/versions
+ * Access control handled by requireTemplateAccess middleware
+ */
+const getTemplateVersions = async (req, res) => {
+  try {
+    // Template is already loaded and access verified by requireTemplateAccess middleware
+    const template = req.template;
+
+    const versions = await TemplateVersion.getHistory(template._id);
+
+    setAuditTarget(req, { metadata: { result_count: versions.length } });
+
+    return successResponse(res, {
+      template_id: template._id,
+      current_version: template.version,
+      versions
+    }, 'Skabelonhistorik hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get template versions error:', error);
+    return errorResponse(res, 'Kunne ikke hente skabelonhistorik', 500);
+  }
+};
+
+/**
+ * Get one version of a template with its content
+ * GET /api/templates/:id/versions/:version
+ * Access control handled by requireTemplateAccess middleware
+ */
+const getTemplateVersion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Template is already loaded and access verified by requireTemplateAccess middleware
+    const template = req.template;
+    const versionNumber = parseInt(req.params.version);
+
+    setAuditTarget(req, { metadata: { version: versionNumber } });
+
+    const version = await TemplateVersion.getVersion(template._id, versionNumber);
+    if (!version) {
+      return errorResponse(res, 'Version ikke fundet', 404);
+    }
+
+    return successResponse(res, {
+      version
+    }, 'Skabelonversion hentet succesfuldt');
+
+  } catch (error) {
+    console.error('Get template version error:', error);
+    return errorResponse(res, 'Kunne ikke hente skabelonversion', 500);
+  }
+};
+
+/**
+ * Compare two versions of a template
+ * GET /api/templates/:id/versions/diff?from=1&to=3
+ * Access control handled by requireTemplateAccess middleware
+ */
+const diffTemplateVersions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Template is already loaded and access verified by requireTemplateAccess middleware
+    const template = req.template;
+    const fromVersion = parseInt(req.query.from);
+    const toVersion = parseInt(req.query.to);
+
+    setAuditTarget(req, { metadata: { from: fromVersion, to: toVersion } });
+
+    const [from, to] = await Promise.all([
+      TemplateVersion.getVersion(template._id, fromVersion),
+      TemplateVersion.getVersion(template._id, toVersion)
+    ]);
+    if (!from || !to) {
+      return errorResponse(res, 'Version ikke fundet', 404);
+    }
+
+    const describe = (version) => ({
+      version: version.version,
+      cause: version.cause,
+      section_key: version.section_key,
+      changed_by: version.changed_by,
+      created_at: version.created_at
+    });
+
+    return successResponse(res, {
+      template_id: template._id,
+      from: describe(from),
+      to: describe(to),
+      diff: templateService.diffVersions(from, to)
+    }, 'Skabelonversioner sammenlignet succesfuldt');
+
+  } catch (error) {
+    console.error('Diff template versions error:', error);
+    return errorResponse(res, 'Kunne ikke sammenligne skabelonversioner', 500);
+  }
+};
+
+/**
+ * Restore an earlier version of a template (recorded as a new version)
+ * POST /api/templates/:id/versions/:version/restore
+ * Access control handled by requireTemplateAccess middleware
+ */
+const restoreTemplateVersion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Template is already loaded and access verified by requireTemplateAccess middleware
+    const template = req.template;
+    const versionNumber = parseInt(req.params.version);
+
+    setAuditTarget(req, { metadata: { restored_version: versionNumber } });
+
+    if (template.isLocked()) {
+      return lockedResponse(res, template.status);
+    }
+
+    if (!ifMatchSatisfied(req, template.version)) {
+      return preconditionFailedResponse(res, template.version);
+    }
+
+    const restored = await templateService.restoreVersion(template, versionNumber, req.user);
+    if (!restored) {
+      return errorResponse(res, 'Version ikke fundet', 404);
+    }
+
+    res.set('ETag', toEtag(template.version));
+
+    return successResponse(res, {
+      template,
+      restored_version: restored.version
+    }, 'Skabelonversion gendannet succesfuldt');
+
+  } catch (error) {
+    console.error('Restore template version error:', error);
+    if (error instanceof TemplateVersionConflictError) {
+      return preconditionFailedResponse(res);
+    }
+    if (error instanceof TemplateLockedError) {
+      return lockedResponse(res, error.templateStatus);
+    }
+    return errorResponse(res, 'Kunne ikke gendanne skabelonversion', 500);
+  }
+};
+
+/**
+ * Sign a template: record signer, time and content hash, and lock it
+ * Only the clinician who wrote the note can sign it
+ * POST /api/templates/:id/sign
+ * Access control handled by requireTemplateAccess middleware
+ */
+const signTemplate = async (req, res) => {
+  try {
+    // Template is already loaded and access verified by requireTemplateAccess middleware
+    const template = req.template;
+
+    if (template.user_id.toString() !== req.user._id.toString()) {
+      return errorResponse(res, 'Kun forfatteren kan underskrive notatet', 403);
+    }
+
+    if (template.isLocked()) {
+      return lockedResponse(res, template.status);
+    }
+
+    if (!ifMatchSatisfied(req, template.version)) {
+      return preconditionFailedResponse(res, template.version);
+    }
+
+    await templateService.sign(template, req.user);
+
+    setAuditTarget(req, { metadata: { signed_version: template.signed_version } });
+
+    res.set('ETag', toEtag(template.version));
+
+    return successResponse(res, {
+      template
+    }, 'Notat underskrevet succesfuldt');
+
+  } catch (error) {
+    console.error('Sign template error:', error);
+    if (error instanceof TemplateVersionConflictError) {
+      return preconditionFailedResponse(res);
+    }
+    return errorResponse(res, 'Kunne ikke underskrive notat', 500);
+  }
+};
+
+/**
+ * Amend a signed template with a required reason
+ * Body: { reason, content } or { reason, sections: [{ key, text }] }
+ * POST /api/templates/:id/amend
+ * Access control handled by requireTemplateAccess middleware
+ */
+const amendTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Template is already loaded and access verified by requireTemplateAccess middleware
+    const template = req.template;
+    const { reason, content, sections } = req.body;
+
+    if (template.user_id.toString() !== req.user._id.toString()) {
+      return errorResponse(res, 'Kun forfatteren kan lave tillæg til notatet', 403);
+    }
+
+    if (!template.isLocked()) {
+      return errorResponse(res, 'Kun underskrevne notater kan have tillæg - rediger kladden direkte', 409, {
+        code: 'template_not_signed'
+      });
+    }
+
+    if (!ifMatchSatisfied(req, template.version)) {
+      return preconditionFailedResponse(res, template.version);
+    }
+
+    if (sections) {
+      const unknown = sections.filter(section => !template.getSection(section.key)).map(section => section.key);
+      if (unknown.length > 0) {
+        return errorResponse(res, 'Sektion ikke fundet', 404, { sections: unknown });
+      }
+    } else if (!template.acceptsContent(content)) {
+      return sectionsResponse(res, template);
+    }
+
+    await templateService.amend(template, req.user, reason, sections ? { sections } : { content });
+
+    setAuditTarget(req, { metadata: { amended_version: template.version } });
+
+    res.set('ETag', toEtag(template.version));
+
+    return successResponse(res, {
+      template
+    }, 'Tillæg gemt succesfuldt');
+
+  } catch (error) {
+    console.error('Amend template error:', error);
+    if (error instanceof TemplateVersionConflictError) {
+      return preconditionFailedResponse(res);
+    }
+    return errorResponse(res, 'Kunne ikke gemme tillæg', 500);
+  }
+};
+
+/**
+ * Export a template as a file with a clinic-branded header
+ * GET /api/templates/:id/export?format=pdf|docx|txt|md
+ * Access control handled by requireTemplateAccess middleware
+ */
+const exportTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    // Template is already loaded and access verified by requireTemplateAccess middleware
+    const template = req.template;
+    const format = req.query.format || DEFAULT_EXPORT_FORMAT;
+
+    const session = await Session.findById(template.session_id);
+    if (!session) {
+      return errorResponse(res, 'Session ikke fundet', 404);
+    }
+
+    if (session.deleted) {
+      return errorResponse(res, 'Session er slettet', 404);
+    }
+
+    const file = await documentExportService.exportTemplate(template, session, format);
+
+    setAuditTarget(req, { metadata: { format, version: template.version, status: template.status } });
+
+    return fileResponse(res, file);
+
+  } catch (error) {
+    console.error('Export template error:', error);
+    return errorResponse(res, 'Kunne ikke eksportere notat', 500);
+  }
+};
+
 module.exports = {
   generateTemplate,
   getSessionTemplates,
   regenerateTemplate,
-  updateTemplate
+  updateTemplate,
+  updateTemplateSection,
+  regenerateTemplateSection,
+  getTemplateVersions,
+  getTemplateVersion,
+  diffTemplateVersions,
+  restoreTemplateVersion,
+  signTemplate,
+  amendTemplate,
+  exportTemplate
 }; 
\ No newline at end of file
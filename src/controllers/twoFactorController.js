@@ -0,0 +1,289 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const loginProtectionService = require('../services/loginProtectionService');
+const { successResponse, errorResponse } = require('../utils/responses');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+const { CHALLENGE_TYPES, createLoginSession, verifyChallengeToken, consumeChallengeToken } = require('../utils/tokens');
+
+/**
+ * Two-Factor Controller
+ * Handles TOTP enrollment, login verification and recovery codes
+ */
+
+const TWO_FACTOR_FIELDS = '+two_factor_secret +two_factor_pending_secret +two_factor_recovery_codes +two_factor_last_used_step';
+
+/**
+ * Check a TOTP code against the user's active secret and remember the step to prevent replay
+ * @returns {boolean} Whether the code was accepted
+ */
+const acceptTotpCode = (user, code) => {
+  const step = verifyTotp(user.two_factor_secret, code, {
+    lastUsedStep: user.two_factor_last_used_step
+  });
+
+  if (step === null) {
+    return false;
+  }
+
+  user.two_factor_last_used_step = step;
+  return true;
+};
+
+/**
+ * Build the token part of a login response
+ */
+const issueTokens = async (req, user) => {
+  const { accessToken, refreshToken } = await createLoginSession(req, user._id);
+  return {
+    access: accessToken,
+    refresh: refreshToken
+  };
+};
+
+/**
+ * Start 2FA enrollment - generate a secret for the authenticator app
+ * POST /api/auth/2fa/setup
+ * Authenticated with an access token, or a setup challenge token when 2FA is required before login
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return errorResponse(res, 'Bruger ikke fundet', 404);
+    }
+
+    if (user.two_factor_enabled) {
+      return errorResponse(res, 'To-faktor-godkendelse er allerede aktiveret', 400);
+    }
+
+    const secret = generateSecret();
+    user.two_factor_pending_secret = secret;
+    await user.save();
+
+    return successResponse(res, {
+      secret,
+      otpauth_url: buildOtpauthUrl(secret, user.email)
+    }, 'Scan QR-koden med din godkendelsesapp');
+
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    return errorResponse(res, 'Kunne ikke starte opsætning af to-faktor-godkendelse', 500);
+  }
+};
+
+/**
+ * Confirm enrollment with the first code and enable 2FA
+ * POST /api/auth/2fa/enable
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return errorResponse(res, 'Bruger ikke fundet', 404);
+    }
+
+    if (user.two_factor_enabled) {
+      return errorResponse(res, 'To-faktor-godkendelse er allerede aktiveret', 400);
+    }
+
+    if (!user.two_factor_pending_secret) {
+      return errorResponse(res, 'Start opsætning af to-faktor-godkendelse først', 400);
+    }
+
+    const step = verifyTotp(user.two_factor_pending_secret, req.body.code);
+    if (step === null) {
+      return errorResponse(res, 'Ugyldig kode', 400);
+    }
+
+    // Enrollment during login - the setup challenge token works once
+    if (req.twoFactorChallenge && !(await consumeChallengeToken(req.twoFactorChallenge))) {
+      return errorResponse(res, 'Login-udfordringen er ugyldig eller udløbet. Log venligst ind igen.', 401);
+    }
+
+    user.two_factor_secret = user.two_factor_pending_secret;
+    user.two_factor_pending_secret = null;
+    user.two_factor_last_used_step = step;
+    user.two_factor_enabled = true;
+    user.two_factor_enabled_at = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    const response = {
+      recovery_codes: recoveryCodes
+    };
+
+    // Enrollment during login - the user has now passed both factors
+    if (req.twoFactorChallenge) {
+      response.user = user.toJSON();
+      response.tokens = await issueTokens(req, user);
+    }
+
+    return successResponse(res, response, 'To-faktor-godkendelse aktiveret succesfuldt');
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    return errorResponse(res, 'Kunne ikke aktivere to-faktor-godkendelse', 500);
+  }
+};
+
+/**
+ * Complete login with a TOTP code or recovery code
+ * POST /api/auth/2fa/verify
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const decoded = verifyChallengeToken(challenge_token, CHALLENGE_TYPES.LOGIN);
+    if (!decoded) {
+      return errorResponse(res, 'Login-udfordringen er ugyldig eller udløbet. Log venligst ind igen.', 401);
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.two_factor_enabled) {
+      return errorResponse(res, 'Login-udfordringen er ugyldig eller udløbet. Log venligst ind igen.', 401);
+    }
+
+    // Codes count towards the same lockout as passwords
+    const blocked = await loginProtectionService.checkAttempt(req, user);
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return errorResponse(res, blocked.message, blocked.status);
+    }
+
+    let accepted = false;
+    if (code) {
+      accepted = acceptTotpCode(user, code);
+    } else if (recovery_code) {
+      accepted = user.useRecoveryCode(recovery_code);
+    }
+
+    if (!accepted) {
+      const locked = await loginProtectionService.registerFailure(req, user);
+      if (locked) {
+        return errorResponse(res, 'Kontoen er midlertidigt låst på grund af for mange mislykkede loginforsøg. Tjek din e-mail for detaljer.', 423);
+      }
+      return errorResponse(res, 'Ugyldig kode', 401);
+    }
+
+    // The challenge token works once - a replayed token gets no second login
+    if (!(await consumeChallengeToken(decoded))) {
+      return errorResponse(res, 'Login-udfordringen er ugyldig eller udløbet. Log venligst ind igen.', 401);
+    }
+
+    await user.save();
+    await loginProtectionService.registerSuccess(user);
+
+    return successResponse(res, {
+      user: user.toJSON(),
+      tokens: await issueTokens(req, user),
+      recovery_codes_remaining: user.two_factor_recovery_codes.length
+    }, 'Login succesfuldt');
+
+  } catch (error) {
+    console.error('Verify two-factor error:', error);
+    return errorResponse(res, 'Kunne ikke verificere kode', 500);
+  }
+};
+
+/**
+ * Disable 2FA (not allowed when required by role or clinic)
+ * POST /api/auth/2fa/disable
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user) {
+      return errorResponse(res, 'Bruger ikke fundet', 404);
+    }
+
+    if (!user.two_factor_enabled) {
+      return errorResponse(res, 'To-faktor-godkendelse er ikke aktiveret', 400);
+    }
+
+    if (user.requiresTwoFactor()) {
+      return errorResponse(res, 'To-faktor-godkendelse er påkrævet for din konto og kan ikke deaktiveres', 403);
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !acceptTotpCode(user, code)) {
+      return errorResponse(res, 'Ugyldig adgangskode eller kode', 400);
+    }
+
+    user.two_factor_enabled = false;
+    user.two_factor_secret = null;
+    user.two_factor_pending_secret = null;
+    user.two_factor_recovery_codes = [];
+    user.two_factor_last_used_step = null;
+    user.two_factor_enabled_at = null;
+    await user.save();
+
+    return successResponse(res, null, 'To-faktor-godkendelse deaktiveret succesfuldt');
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    return errorResponse(res, 'Kunne ikke deaktivere to-faktor-godkendelse', 500);
+  }
+};
+
+/**
+ * Replace all recovery codes with a new set
+ * POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return errorResponse(res, 'Validation failed', 400, errors.array());
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return errorResponse(res, 'Bruger ikke fundet', 404);
+    }
+
+    if (!user.two_factor_enabled) {
+      return errorResponse(res, 'To-faktor-godkendelse er ikke aktiveret', 400);
+    }
+
+    if (!acceptTotpCode(user, req.body.code)) {
+      return errorResponse(res, 'Ugyldig kode', 400);
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    return successResponse(res, {
+      recovery_codes: recoveryCodes
+    }, 'Nye gendannelseskoder genereret succesfuldt');
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    return errorResponse(res, 'Kunne ikke generere gendannelseskoder', 500);
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
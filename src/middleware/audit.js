@@ -0,0 +1,56 @@
+const auditService = require('../services/auditService');
+
+/**
+ * Audit Middleware
+ * Records an AuditEvent for every request to a clinical data route once the response is sent.
+ * Place after authenticate and before access checks so denied requests are logged too.
+ */
+
+/**
+ * Start auditing a request
+ * @param {string} action - Audit action, e.g. 'session.read'
+ * @param {string} resourceType - 'session', 'fact', 'transcript', 'template' or 'patient'
+ */
+const auditAccess = (action, resourceType) => {
+  return (req, res, next) => {
+    req.audit = {
+      action,
+      resource_type: resourceType,
+      resource_id: null,
+      session_id: req.params.sessionId || null,
+      subject_user_id: null,
+      clinic_id: null,
+      metadata: {}
+    };
+
+    res.on('finish', () => {
+      auditService.recordRequest(req, res);
+    });
+
+    next();
+  };
+};
+
+/**
+ * Attach the accessed data to the request's audit event
+ * Called by access checks and controllers once they know what is being accessed
+ * @param {Object} req - Express request
+ * @param {Object} target - { sessionId, resourceId, subjectUserId, clinicId, metadata }
+ * clinicId is only needed for clinic-owned data (patients); otherwise it is resolved from subjectUserId
+ */
+const setAuditTarget = (req, { sessionId, resourceId, subjectUserId, clinicId, metadata } = {}) => {
+  if (!req.audit) {
+    return;
+  }
+
+  if (sessionId !== undefined) req.audit.session_id = sessionId;
+  if (resourceId !== undefined) req.audit.resource_id = resourceId;
+  if (subjectUserId !== undefined) req.audit.subject_user_id = subjectUserId;
+  if (clinicId !== undefined) req.audit.clinic_id = clinicId;
+  if (metadata) Object.assign(req.audit.metadata, metadata);
+};
+
+module.exports = {
+  auditAccess,
+  setAuditTarget
+};
@@ -1,7 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const LoginSession = require('../models/LoginSession');
 const { errorResponse } = require('../utils/responses');
+const { CHALLENGE_TYPES, verifyChallengeToken, verifyStreamToken } = require('../utils/tokens');
 const Subscription = require('../models/Subscription');
+const { setAuditTarget } = require('./audit');
 
 
 /**
@@ -9,6 +12,76 @@ const Subscription = require('../models/Subscription');
  * Verifies JWT tokens and loads user data
  */
 
+/**
+ * Verify an access token and load its user
+ * @param {string} token - Access token (JWT)
+ * @param {string} ipAddress - Client IP, for the login activity overview
+ * @returns {Promise<Object>} { user, familyId } or { error } when the token is rejected
+ */
+const verifyAccessToken = async (token, ipAddress) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      return { error: 'Token expired' };
+    }
+    return { error: 'Invalid token' };
+  }
+
+  // Refresh, 2FA challenge and stream tokens carry a type and are not access tokens
+  if (decoded.type) {
+    return { error: 'Invalid token' };
+  }
+
+  return loadTokenUser(decoded, ipAddress);
+};
+
+/**
+ * Verify a stream token for one session and load its user
+ * Used by the stream relay, which accepts no other token
+ * @returns {Promise<Object>} { user, familyId } or { error } when the token is rejected
+ */
+const verifySessionStreamToken = async (token, sessionId, ipAddress) => {
+  const decoded = verifyStreamToken(token, sessionId);
+  if (!decoded) {
+    return { error: 'Invalid token' };
+  }
+
+  return loadTokenUser(decoded, ipAddress);
+};
+
+/**
+ * Load the user of a verified token
+ * Rejects tokens whose login has been logged out or revoked
+ */
+const loadTokenUser = async (decoded, ipAddress) => {
+  // Reject tokens whose login has been logged out or revoked
+  let loginSession = null;
+  if (decoded.fid) {
+    loginSession = await LoginSession.findOne({ family_id: decoded.fid });
+    if (!loginSession || loginSession.revoked_at) {
+      return { error: 'Token revoked' };
+    }
+  }
+  
+  // Get user from database
+  const user = await User.findById(decoded.userId).select('-password');
+  
+  if (!user) {
+    return { error: 'Token is valid but user not found' };
+  }
+
+  // Record device activity for the login overview
+  if (loginSession) {
+    loginSession.touch(ipAddress).catch(touchError => {
+      console.error('Login session activity update error:', touchError);
+    });
+  }
+
+  return { user, familyId: decoded.fid || null };
+};
+
 /**
  * Verify JWT token and load user
  */
@@ -25,43 +98,63 @@ const authenticate = async (req, res, next) => {
       return errorResponse(res, 'Access denied. No token provided.', 401);
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from database
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (!user) {
-        return errorResponse(res, 'Token is valid but user not found', 401);
-      }
+    const { user, familyId, error } = await verifyAccessToken(token, req.ip);
+    if (error) {
+      return errorResponse(res, error, 401);
+    }
 
-      // Check if user has active subscription (activation is now based on subscription)
-      // This will be handled by subscription middleware or checks
+    // Add user to request
+    req.user = user;
+    req.tokenFamilyId = familyId;
+    next();
 
-      // Add user to request
-      req.user = user;
-      next();
-    } catch (jwtError) {
-      if (jwtError.name === 'TokenExpiredError') {
-        return errorResponse(res, 'Token expired', 401);
-      }
-      return errorResponse(res, 'Invalid token', 401);
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return errorResponse(res, 'Authentication failed', 500);
+  }
+};
+
+/**
+ * Authenticate 2FA enrollment
+ * Accepts a normal access token, or a setup challenge token (body.challenge_token)
+ * issued by login when the user must enroll in 2FA before receiving tokens
+ */
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body.challenge_token) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challenge_token, CHALLENGE_TYPES.SETUP);
+    if (!decoded) {
+      return errorResponse(res, 'Login-udfordringen er ugyldig eller udløbet. Log venligst ind igen.', 401);
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user) {
+      return errorResponse(res, 'Token is valid but user not found', 401);
     }
 
+    req.user = user;
+    req.twoFactorChallenge = decoded;
+    next();
   } catch (error) {
-    console.error('Authentication error:', error);
+    console.error('Two-factor setup authentication error:', error);
     return errorResponse(res, 'Authentication failed', 500);
   }
 };
 
 /**
  * Check if user is super admin
+ * Super admins must have 2FA enabled to use admin routes
  */
 const requireSuperAdmin = (req, res, next) => {
   if (req.user.role !== 'super_admin') {
     return errorResponse(res, 'Super admin access required', 403);
   }
+  if (!req.user.two_factor_enabled) {
+    return errorResponse(res, 'Two-factor authentication required for super admin access', 403);
+  }
   next();
 };
 
@@ -107,33 +200,45 @@ const requireCompanyAccess = (userIdParam = 'userId') => {
 };
 
 /**
- * Check subscription access
+ * Find the subscription that gives a user access
  * - If user is company admin (is_company_admin: true), check their own subscription
  * - If user is invited (invited_by exists), check the subscription of the user who invited them
+ * @returns {Promise<Object>} { subscription, subscriptionOwnerId } - subscription is null without access
+ */
+const findActiveSubscription = async (user) => {
+  let subscriptionOwnerId;
+  
+  if (user.is_company_admin) {
+    // Company admin - check their own subscription
+    subscriptionOwnerId = user._id;
+  } else if (user.invited_by) {
+    // Invited user - check the subscription of the user who invited them (main admin)
+    subscriptionOwnerId = user.invited_by;
+  } else {
+    // Fallback: check own subscription (shouldn't happen, but handle gracefully)
+    subscriptionOwnerId = user._id;
+  }
+
+  // Find subscription for the owner
+  const subscription = await Subscription.findOne({
+    user_id: subscriptionOwnerId,
+    status: { $in: ['trialing', 'active'] }
+  });
+
+  return {
+    subscription: subscription && subscription.hasAccess() ? subscription : null,
+    subscriptionOwnerId
+  };
+};
+
+/**
+ * Check subscription access (see findActiveSubscription)
  */
 const requireActiveSubscription = async (req, res, next) => {
   try {
-    let subscription;
-    let subscriptionOwnerId;
-    
-    if (req.user.is_company_admin) {
-      // Company admin - check their own subscription
-      subscriptionOwnerId = req.user._id;
-    } else if (req.user.invited_by) {
-      // Invited user - check the subscription of the user who invited them (main admin)
-      subscriptionOwnerId = req.user.invited_by;
-    } else {
-      // Fallback: check own subscription (shouldn't happen, but handle gracefully)
-      subscriptionOwnerId = req.user._id;
-    }
+    const { subscription, subscriptionOwnerId } = await findActiveSubscription(req.user);
 
-    // Find subscription for the owner
-    subscription = await Subscription.findOne({
-      user_id: subscriptionOwnerId,
-      status: { $in: ['trialing', 'active'] }
-    });
-
-    if (!subscription || !subscription.hasAccess()) {
+    if (!subscription) {
       return errorResponse(res, 'Aktivt abonnement påkrævet', 402);
     }
 
@@ -163,6 +268,13 @@ const requireSessionAccess = (sessionIdParam = 'sessionId') => {
         return errorResponse(res, 'Session ikke fundet', 404);
       }
 
+      // Record whose data is being accessed (audited routes only)
+      setAuditTarget(req, {
+        sessionId: session._id,
+        resourceId: req.audit && req.audit.resource_type === 'session' ? session._id : undefined,
+        subjectUserId: session.user_id
+      });
+
       // Super admin can access any session
       if (req.user.role === 'super_admin') {
         req.session = session;
@@ -183,11 +295,101 @@ const requireSessionAccess = (sessionIdParam = 'sessionId') => {
   };
 };
 
+/**
+ * Check if user can access a specific template
+ * Only the template owner (or super admin) can access it, as in templateController
+ */
+const requireTemplateAccess = (templateIdParam = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const Template = require('../models/Template');
+      const templateId = req.params[templateIdParam];
+
+      const template = await Template.findById(templateId);
+      if (!template) {
+        return errorResponse(res, 'Skabelon ikke fundet', 404);
+      }
+
+      // Record whose data is being accessed (audited routes only)
+      setAuditTarget(req, {
+        sessionId: template.session_id,
+        resourceId: template._id,
+        subjectUserId: template.user_id
+      });
+
+      // Super admin can access any template
+      if (req.user.role === 'super_admin') {
+        req.template = template;
+        return next();
+      }
+
+      // User can only access their own templates
+      if (template.user_id.toString() !== req.user._id.toString()) {
+        return errorResponse(res, 'Adgang nægtet til denne skabelon', 403);
+      }
+
+      req.template = template;
+      return next();
+    } catch (error) {
+      console.error('Template access check error:', error);
+      return errorResponse(res, 'Kunne ikke verificere skabelon adgang', 500);
+    }
+  };
+};
+
+/**
+ * Check if user can access a patient
+ * Patients belong to a clinic - every user in the clinic can access them
+ * The CPR number is not loaded - it is only returned by the audited reveal endpoint
+ */
+const requirePatientAccess = (patientIdParam = 'patientId') => {
+  return async (req, res, next) => {
+    try {
+      const Patient = require('../models/Patient');
+      const patientId = req.params[patientIdParam];
+
+      const patient = await Patient.findOne({ _id: patientId, deleted: false });
+      if (!patient) {
+        return errorResponse(res, 'Patient ikke fundet', 404);
+      }
+
+      // Record whose data is being accessed (audited routes only)
+      setAuditTarget(req, {
+        resourceId: patient._id,
+        clinicId: patient.clinic_id
+      });
+
+      // Super admin can access any patient
+      if (req.user.role === 'super_admin') {
+        req.patient = patient;
+        return next();
+      }
+
+      // Users can only access their own clinic's patients
+      if (patient.clinic_id.toString() !== req.user.getClinicId().toString()) {
+        return errorResponse(res, 'Adgang nægtet til denne patient', 403);
+      }
+
+      req.patient = patient;
+      return next();
+    } catch (error) {
+      console.error('Patient access check error:', error);
+      return errorResponse(res, 'Kunne ikke verificere patient adgang', 500);
+    }
+  };
+};
+
 module.exports = {
+  verifyAccessToken,
+  verifySessionStreamToken,
+  findActiveSubscription,
   authenticate,
+  authenticateTwoFactorSetup,
   requireSuperAdmin,
   requireCompanyAdmin,
   requireCompanyAccess,
   requireActiveSubscription,
-  requireSessionAccess
+  requireSessionAccess,
+  requireTemplateAccess,
+  requirePatientAccess
 }; 
\ No newline at end of file
@@ -0,0 +1,43 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { securityConfig } = require('../config/security');
+const { errorResponse } = require('../utils/responses');
+
+/**
+ * Throttle Middleware
+ * Persistent per-email and per-IP limits for endpoints that send account emails
+ */
+
+/**
+ * Limit how often an account email endpoint can be called
+ * Counts every request, whether or not the email belongs to a user, so responses don't reveal which emails exist
+ * @param {string} name - Counter namespace, e.g. 'forgot-password'
+ */
+const throttleAccountEmail = (name) => {
+  return async (req, res, next) => {
+    try {
+      const { windowMinutes, maxPerEmail, maxPerIp } = securityConfig.accountEmail;
+      const windowMs = windowMinutes * 60 * 1000;
+
+      const ipCount = await RateLimitCounter.hit(`${name}:ip:${req.ip}`, windowMs);
+
+      let emailCount = 0;
+      if (typeof req.body.email === 'string' && req.body.email) {
+        emailCount = await RateLimitCounter.hit(`${name}:email:${req.body.email.toLowerCase()}`, windowMs);
+      }
+
+      if (ipCount > maxPerIp || emailCount > maxPerEmail) {
+        res.set('Retry-After', String(RateLimitCounter.secondsUntilReset(windowMs)));
+        return errorResponse(res, 'For mange anmodninger. Prøv venligst igen senere.', 429);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Throttle check error:', error);
+      return errorResponse(res, 'Kunne ikke behandle anmodningen', 500);
+    }
+  };
+};
+
+module.exports = {
+  throttleAccountEmail
+};
@@ -1,4 +1,8 @@
 const { body, param, query } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+const { BUILTIN_DOCUMENT_TEMPLATES, DOCUMENT_LAYOUTS } = require('../config/documentTemplates');
+const { EXPORT_FORMATS } = require('../config/exportFormats');
+const { JOURNAL_SYSTEMS, JOURNAL_DELIVERY_METHODS } = require('../config/journalSystems');
 
 /**
  * Validation Middleware
@@ -12,11 +16,11 @@ const userValidation = {
       .isEmail()
       .normalizeEmail()
       .withMessage('Indtast venligst en gyldig e-mail'),
+    // Full password policy is enforced in the controller (see utils/passwordPolicy.js)
     body('password')
-      .isLength({ min: 6 })
-      .withMessage('Adgangskode skal være mindst 6 tegn')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Adgangskode skal indeholde mindst ét små bogstav, ét stort bogstav og ét tal'),
+      .isString()
+      .notEmpty()
+      .withMessage('Adgangskode er påkrævet'),
     body('name')
       .trim()
       .isLength({ min: 2, max: 100 })
@@ -93,10 +97,9 @@ const userValidation = {
       .isLength({ min: 10 })
       .withMessage('Gyldig nulstil token er påkrævet'),
     body('new_password')
-      .isLength({ min: 6 })
-      .withMessage('Adgangskode skal være mindst 6 tegn')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Adgangskode skal indeholde mindst ét små bogstav, ét stort bogstav og ét tal')
+      .isString()
+      .notEmpty()
+      .withMessage('Ny adgangskode er påkrævet')
   ],
 
   verifyEmail: [
@@ -111,11 +114,70 @@ const userValidation = {
       .isEmail()
       .normalizeEmail()
       .withMessage('Indtast venligst en gyldig e-mail')
+  ],
+
+  refresh: [
+    body('refresh_token')
+      .isJWT()
+      .withMessage('Gyldig refresh token er påkrævet')
+  ]
+};
+
+// Two-factor authentication validation rules
+const twoFactorValidation = {
+  enable: [
+    body('code')
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Koden skal være 6 cifre')
+  ],
+
+  verify: [
+    body('challenge_token')
+      .isJWT()
+      .withMessage('Gyldig login-udfordring er påkrævet'),
+    body('code')
+      .if(body('recovery_code').not().exists())
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Koden skal være 6 cifre'),
+    body('recovery_code')
+      .optional()
+      .trim()
+      .isLength({ min: 10, max: 11 })
+      .withMessage('Ugyldig gendannelseskode')
+  ],
+
+  disable: [
+    body('password')
+      .notEmpty()
+      .withMessage('Adgangskode er påkrævet'),
+    body('code')
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Koden skal være 6 cifre')
   ]
 };
 
+// Get the bulk fact operation a field path like "operations[3].text" belongs to
+const getBulkOperation = (req, path) => {
+  const match = path.match(/^operations\[(\d+)\]/);
+  const operation = match && Array.isArray(req.body.operations) ? req.body.operations[match[1]] : null;
+  return operation || {};
+};
+
+// Export format of a note or session download
+const exportFields = [
+  query('format')
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`format skal være en af: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+];
+
 // Session validation rules
 const sessionValidation = {
+  export: exportFields,
+
   start: [
     body('session_title')
       .optional()
@@ -130,10 +192,52 @@ const sessionValidation = {
       .optional()
       .isIn(['consultation', 'follow_up', 'emergency', 'routine'])
       .withMessage('Ugyldig mødestedstype'),
+    body('patient_id')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Gyldig patient_id er påkrævet'),
     body('patient_data')
       .optional()
       .isObject()
-      .withMessage('Patient data skal være et objekt')
+      .withMessage('Patient data skal være et objekt'),
+    body('patient_data.identifier')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Patient ID skal være mellem 1 og 100 tegn'),
+    body('patient_data.name')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Patientnavn skal være mellem 1 og 200 tegn'),
+    body('patient_data.gender')
+      .optional()
+      .isIn(['male', 'female', 'other', 'unknown'])
+      .withMessage('Køn skal være male, female, other eller unknown'),
+    body('patient_data.birth_date')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('Fødselsdato skal være en gyldig dato (ÅÅÅÅ-MM-DD)')
+      .custom(value => new Date(value) <= new Date())
+      .withMessage('Fødselsdato kan ikke være i fremtiden'),
+    body('patient_data.pronouns')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Pronomener skal være mindre end 50 tegn')
+  ],
+
+  setPatient: [
+    body('patient_id')
+      .exists()
+      .withMessage('patient_id er påkrævet (null fjerner patienten)'),
+    body('patient_id')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Gyldig patient_id er påkrævet')
   ],
 
   addFact: [
@@ -170,10 +274,186 @@ const sessionValidation = {
       .optional()
       .isBoolean()
       .withMessage('is_discarded skal være en boolean værdi')
+  ],
+
+  restoreFact: [
+    body('version')
+      .isInt({ min: 1 })
+      .withMessage('Version skal være et positivt heltal')
+  ],
+
+  bulkFacts: [
+    body('operations')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Operations skal være en liste med 1 til 100 handlinger')
+      .custom(operations => {
+        const ids = operations.filter(operation => operation && operation.id).map(operation => String(operation.id));
+        if (new Set(ids).size !== ids.length) {
+          throw new Error('Hver fakta må kun optræde én gang');
+        }
+        return true;
+      }),
+    body('operations.*.op')
+      .isIn(['add', 'update', 'discard'])
+      .withMessage('Handling skal være add, update eller discard'),
+    body('operations.*.id')
+      .if((value, { req, path }) => getBulkOperation(req, path).op !== 'add')
+      .isMongoId()
+      .withMessage('Ugyldigt fakta ID'),
+    body('operations.*.text')
+      .if((value, { req, path }) => getBulkOperation(req, path).op === 'add' || value !== undefined)
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Fakta tekst skal være mellem 1 og 1000 tegn'),
+    body('operations.*.group')
+      .if((value, { req, path }) => getBulkOperation(req, path).op === 'add' || value !== undefined)
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Fakta gruppe er påkrævet og skal være mindre end 100 tegn'),
+    body('operations.*.isDiscarded')
+      .optional()
+      .isBoolean()
+      .withMessage('isDiscarded skal være en boolean værdi')
+  ]
+};
+
+// Patient validation rules
+const patientFields = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Patientnavn skal være mellem 1 og 200 tegn'),
+  body('identifier')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Patient ID skal være mellem 1 og 100 tegn'),
+  body('cpr_number')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .matches(/^\d{6}-?\d{4}$/)
+    .withMessage('CPR-nummer skal have formatet DDMMÅÅ-XXXX'),
+  body('birth_date')
+    .optional({ values: 'null' })
+    .isISO8601({ strict: true })
+    .withMessage('Fødselsdato skal være en gyldig dato (ÅÅÅÅ-MM-DD)')
+    .custom(value => new Date(value) <= new Date())
+    .withMessage('Fødselsdato kan ikke være i fremtiden'),
+  body('gender')
+    .optional()
+    .isIn(['male', 'female', 'other', 'unknown'])
+    .withMessage('Køn skal være male, female, other eller unknown')
+];
+
+const patientValidation = {
+  create: [
+    body('name')
+      .exists({ values: 'falsy' })
+      .withMessage('Patientnavn er påkrævet'),
+    ...patientFields
+  ],
+
+  update: patientFields,
+
+  list: [
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Søgequery skal være mellem 1 og 100 tegn'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Side skal være et positivt heltal'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit skal være mellem 1 og 100')
   ]
 };
 
+// Document template (definition) validation rules
+const documentTemplateFields = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Navn skal være mellem 1 og 100 tegn'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Beskrivelse skal være mindre end 500 tegn'),
+  body('corti_template_key')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[a-zA-Z0-9_-]{1,100}$/)
+    .withMessage('Corti skabelonnøgle må kun indeholde bogstaver, tal, - og _'),
+  body('output_language')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 10 })
+    .withMessage('Ugyldigt output sprog'),
+  body('instructions')
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Instruktioner skal være mindre end 5000 tegn'),
+  body('layout')
+    .optional()
+    .isIn(DOCUMENT_LAYOUTS)
+    .withMessage(`Layout skal være ${DOCUMENT_LAYOUTS.join(', ')}`),
+  body('sections')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Sektioner skal være en liste med højst 50 elementer'),
+  body('sections.*.key')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sektionsnøgle skal være mellem 1 og 100 tegn'),
+  body('sections.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sektionsnavn skal være mellem 1 og 100 tegn')
+];
+
+const documentTemplateValidation = {
+  create: [
+    body('name')
+      .exists({ values: 'falsy' })
+      .withMessage('Navn er påkrævet'),
+    body('corti_template_key')
+      .exists({ values: 'falsy' })
+      .withMessage('Corti skabelonnøgle er påkrævet'),
+    ...documentTemplateFields
+  ],
+
+  update: documentTemplateFields
+};
+
 // Template validation rules
+// Regenerating an edited document needs confirm: true, or mode: 'merge' to keep the edited sections
+const regenerationFields = [
+  body('mode')
+    .optional()
+    .isIn(['replace', 'merge'])
+    .withMessage('mode skal være replace eller merge'),
+  body('confirm')
+    .optional()
+    .isBoolean()
+    .withMessage('confirm skal være en boolean værdi')
+    .toBoolean()
+];
+
 const templateValidation = {
   generate: [
     body('session_id')
@@ -181,15 +461,112 @@ const templateValidation = {
       .withMessage('Gyldig session ID er påkrævet'),
     body('type')
       .optional()
-      .isIn(['soap', 'brief-clinical-note', 'nursing-note', 'referral'])
-      .withMessage('Ugyldig skabelonstype')
+      .isIn(BUILTIN_DOCUMENT_TEMPLATES.map(template => template.key))
+      .withMessage('Ugyldig skabelonstype'),
+    body('template_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Gyldig template_id er påkrævet'),
+    body('outputLanguage')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 10 })
+      .withMessage('Ugyldigt output sprog'),
+    ...regenerationFields
   ],
+
+  regenerate: regenerationFields,
+
+  export: exportFields,
+
   update: [
     body('content')
       .notEmpty()
       .withMessage('Indhold er påkrævet')
       .isLength({ min: 1, max: 50000 })
-      .withMessage('Indhold skal være mellem 1 og 50000 tegn')
+      .withMessage('Indhold skal være mellem 1 og 50000 tegn'),
+    body('replace_sections')
+      .optional()
+      .isBoolean()
+      .withMessage('replace_sections skal være en boolean værdi')
+      .toBoolean()
+  ],
+
+  section: [
+    param('sectionKey')
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Gyldig sektionsnøgle er påkrævet'),
+    body('confirm')
+      .optional()
+      .isBoolean()
+      .withMessage('confirm skal være en boolean værdi')
+      .toBoolean()
+  ],
+
+  updateSection: [
+    param('sectionKey')
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Gyldig sektionsnøgle er påkrævet'),
+    body('text')
+      .isString()
+      .withMessage('Tekst er påkrævet')
+      .isLength({ max: 50000 })
+      .withMessage('Tekst skal være højst 50000 tegn')
+  ],
+
+  version: [
+    param('version')
+      .isInt({ min: 1 })
+      .withMessage('Version skal være et positivt heltal')
+  ],
+
+  diff: [
+    query('from')
+      .isInt({ min: 1 })
+      .withMessage('from skal være et positivt versionsnummer'),
+    query('to')
+      .isInt({ min: 1 })
+      .withMessage('to skal være et positivt versionsnummer')
+  ],
+
+  journalExport: [
+    body('journal_system')
+      .optional()
+      .isIn(JOURNAL_SYSTEMS.map(system => system.key))
+      .withMessage('Ukendt journalsystem'),
+    body('delivery')
+      .optional()
+      .isIn(JOURNAL_DELIVERY_METHODS)
+      .withMessage(`delivery skal være en af: ${JOURNAL_DELIVERY_METHODS.join(', ')}`)
+  ],
+
+  amend: [
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 5, max: 1000 })
+      .withMessage('Begrundelse for tillægget skal være mellem 5 og 1000 tegn'),
+    body('content')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 50000 })
+      .withMessage('Indhold skal være mellem 1 og 50000 tegn'),
+    body('sections')
+      .optional()
+      .isArray({ min: 1, max: 50 })
+      .withMessage('Sektioner skal være en liste med 1-50 elementer'),
+    body('sections.*.key')
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Gyldig sektionsnøgle er påkrævet'),
+    body('sections.*.text')
+      .isString()
+      .isLength({ max: 50000 })
+      .withMessage('Tekst skal være højst 50000 tegn'),
+    body()
+      .custom(value => (value.content === undefined) !== (value.sections === undefined))
+      .withMessage('Angiv enten indhold eller sektioner til tillægget')
   ]
 };
 
@@ -278,6 +655,20 @@ const companyValidation = {
       .withMessage('Maksimum antal brugere skal være mellem 1 og 500')
   ],
 
+  cortiUser: [
+    body('corti_user_id')
+      .optional({ values: 'null' })
+      .isUUID()
+      .withMessage('Corti bruger ID skal være et gyldigt UUID')
+  ],
+
+  aiProvider: [
+    body('ai_provider')
+      .optional({ values: 'null' })
+      .isIn(['corti', 'mock'])
+      .withMessage('AI-udbyder skal være corti, mock eller null')
+  ],
+
   inviteUser: [
     body('email')
       .isEmail()
@@ -322,12 +713,58 @@ const queryValidation = {
       .trim()
       .isLength({ min: 1, max: 100 })
       .withMessage('Søgequery skal være mellem 1 og 100 tegn')
+  ],
+
+  audit: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Side skal være et positivt heltal'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit skal være mellem 1 og 200'),
+    query('user_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Gyldig user_id er påkrævet'),
+    query('session_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Gyldig session_id er påkrævet'),
+    query('subject_user_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Gyldig subject_user_id er påkrævet'),
+    query('clinic_id')
+      .optional()
+      .isMongoId()
+      .withMessage('Gyldig clinic_id er påkrævet'),
+    query('action')
+      .optional()
+      .isIn(AuditEvent.ACTIONS)
+      .withMessage('Ugyldig handling'),
+    query('outcome')
+      .optional()
+      .isIn(['success', 'denied', 'not_found', 'rejected', 'error'])
+      .withMessage('Ugyldigt udfald'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from skal være en gyldig dato (ISO 8601)'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to skal være en gyldig dato (ISO 8601)')
   ]
 };
 
 module.exports = {
   userValidation,
+  twoFactorValidation,
   sessionValidation,
+  patientValidation,
+  documentTemplateValidation,
   templateValidation,
   subscriptionValidation,
   companyValidation,
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditEvent Model
+ * Append-only log of every access to clinical data (sessions, facts, transcripts, templates, patients).
+ * Answers "who looked at this patient note, when, from where, and was it allowed".
+ * Documents can only be inserted - updates and deletes are rejected at the model level.
+ */
+
+const AUDIT_ACTIONS = [
+  'session.create',
+  'session.list',
+  'session.read',
+  'session.update',
+  'session.delete',
+  'session.stream_credentials',
+  'session.stream',
+  'session.export',
+  'facts.read',
+  'fact.create',
+  'fact.update',
+  'fact.bulk',
+  'fact.history',
+  'fact.restore',
+  'transcript.read',
+  'template.generate',
+  'template.list',
+  'template.read',
+  'template.update',
+  'template.regenerate',
+  'template.history',
+  'template.restore',
+  'template.sign',
+  'template.amend',
+  'template.export',
+  'template.journal_export',
+  'patient.create',
+  'patient.list',
+  'patient.read',
+  'patient.cpr_reveal',
+  'patient.update',
+  'patient.delete',
+  'patient.timeline'
+];
+
+const auditEventSchema = new mongoose.Schema({
+  // Who (actor)
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  user_email: {
+    type: String, // Snapshot - stays readable if the user is deleted
+    default: null
+  },
+  user_role: {
+    type: String,
+    enum: ['user', 'company_admin', 'super_admin', null],
+    default: null
+  },
+
+  // What
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  resource_type: {
+    type: String,
+    enum: ['session', 'fact', 'transcript', 'template', 'patient'],
+    required: true
+  },
+  resource_id: {
+    type: String, // Mongo ID or Corti fact ID
+    default: null
+  },
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  // Whose data (owner of the session/template) and which clinic it belongs to
+  subject_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  clinic_id: {
+    type: mongoose.Schema.Types.ObjectId, // Company admin (main user) of the data owner's clinic
+    ref: 'User',
+    default: null
+  },
+  access_type: {
+    type: String,
+    enum: ['owner', 'super_admin', 'other', null], // 'super_admin' marks access to another user's data
+    default: null
+  },
+
+  // Outcome
+  outcome: {
+    type: String,
+    enum: ['success', 'denied', 'not_found', 'rejected', 'error'],
+    required: true
+  },
+  status_code: {
+    type: Number,
+    default: null
+  },
+
+  // Where from
+  ip_address: {
+    type: String,
+    default: null
+  },
+  user_agent: {
+    type: String,
+    default: null
+  },
+  method: {
+    type: String,
+    default: null
+  },
+  path: {
+    type: String,
+    default: null
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+// Indexes for audit queries
+auditEventSchema.index({ created_at: -1 });
+auditEventSchema.index({ user_id: 1, created_at: -1 });
+auditEventSchema.index({ session_id: 1, created_at: -1 });
+auditEventSchema.index({ clinic_id: 1, created_at: -1 });
+auditEventSchema.index({ action: 1, created_at: -1 });
+
+// Append-only: block every kind of update or delete
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectMutation);
+
+auditEventSchema.pre(['deleteOne', 'updateOne'], { document: true, query: false }, rejectMutation);
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events are append-only'));
+  }
+  next();
+});
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+AuditEvent.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditEvent;
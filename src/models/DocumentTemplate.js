@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { DOCUMENT_LAYOUTS } = require('../config/documentTemplates');
+
+/**
+ * DocumentTemplate Model
+ * A clinic-defined document type (e.g. a physiotherapy note or a psychologist journal format).
+ * Generation uses the Corti template key; sections rename, reorder and pick the sections
+ * Corti returns, and the layout decides how they are joined into the document text.
+ * Managed by the clinic's company admin, available to everyone in the clinic.
+ */
+
+const sectionSchema = new mongoose.Schema({
+  key: {
+    type: String, // Section key returned by the AI provider
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String, // Heading shown in the document
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+const documentTemplateSchema = new mongoose.Schema({
+  // Clinic Reference
+  clinic_id: {
+    type: mongoose.Schema.Types.ObjectId, // Company admin (main user) of the clinic
+    ref: 'User',
+    required: true
+  },
+
+  // Definition
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  corti_template_key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  output_language: {
+    type: String,
+    default: 'da'
+  },
+  instructions: {
+    type: String, // Guidance for clinicians on when and how to use the document
+    default: ''
+  },
+  sections: {
+    type: [sectionSchema], // In document order; empty = every section in the provider's order
+    default: []
+  },
+  layout: {
+    type: String,
+    enum: DOCUMENT_LAYOUTS,
+    default: 'headings'
+  },
+
+  // Tracking
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Soft delete flag (generated documents keep referring to the definition)
+  deleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for performance
+documentTemplateSchema.index(
+  { clinic_id: 1, name: 1 },
+  { unique: true, partialFilterExpression: { deleted: false } }
+);
+
+// Method to soft delete the definition
+documentTemplateSchema.methods.softDelete = function() {
+  this.deleted = true;
+  this.updated_at = new Date();
+  return this;
+};
+
+// Static method to get a clinic's active definitions
+documentTemplateSchema.statics.findForClinic = function(clinicId) {
+  return this.find({ clinic_id: clinicId, deleted: false }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('DocumentTemplate', documentTemplateSchema);
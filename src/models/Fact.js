@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/fieldEncryption');
+
+/**
+ * Fact Model
+ * Local mirror of a session's Corti facts. Corti stays the source for facts extracted
+ * during recording; edits made here are written to both stores and reconciled on read,
+ * so facts remain viewable when Corti is unreachable.
+ * Fact text is encrypted at rest.
+ */
+
+const factSchema = new mongoose.Schema({
+  // Session & User References
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId, // Session owner
+    ref: 'User',
+    required: true
+  },
+  corti_fact_id: {
+    type: String, // null until the fact has been created in Corti
+    default: null
+  },
+
+  // Fact content
+  text: {
+    type: String,
+    required: true,
+    set: encrypt,
+    get: decrypt
+  },
+  group: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String, // Corti source: 'core' (extracted), 'system' or 'user'
+    default: 'user'
+  },
+  is_discarded: {
+    type: Boolean,
+    default: false
+  },
+
+  // Provenance
+  origin: {
+    type: String,
+    enum: ['ai', 'clinician', 'unknown'], // Extracted by the AI or added by hand
+    // New facts are added by hand unless set; facts stored before provenance was tracked are unknown
+    default: function() {
+      return this.isNew ? 'clinician' : 'unknown';
+    }
+  },
+  ai_text: {
+    type: String, // The AI's original suggestion (null for facts added by hand)
+    default: null,
+    set: encrypt,
+    get: decrypt
+  },
+  ai_group: {
+    type: String,
+    default: null
+  },
+  is_edited: {
+    type: Boolean, // Changed by a clinician since it was added
+    default: false
+  },
+  version: {
+    type: Number, // Latest FactVersion (0 = no history recorded yet)
+    default: 0
+  },
+
+  // Authorship (null for facts extracted by Corti)
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Corti timestamps
+  corti_created_at: {
+    type: Date,
+    default: null
+  },
+  corti_updated_at: {
+    type: Date,
+    default: null
+  },
+  corti_deleted_at: {
+    type: Date, // Set when the fact disappeared from Corti (kept locally as discarded)
+    default: null
+  },
+
+  // Sync state
+  sync_status: {
+    type: String,
+    enum: ['synced', 'pending', 'failed'], // pending = local change not yet written to Corti, failed = Corti refused it
+    default: 'pending'
+  },
+  last_synced_at: {
+    type: Date,
+    default: null
+  },
+  last_sync_error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  // Decrypt fields when serializing
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
+});
+
+// Indexes for performance
+factSchema.index(
+  { session_id: 1, corti_fact_id: 1 },
+  { unique: true, partialFilterExpression: { corti_fact_id: { $type: 'string' } } }
+);
+factSchema.index({ session_id: 1, is_discarded: 1 }); // For fact counts
+factSchema.index({ sync_status: 1 });
+
+// Method to apply a fact as returned by Corti
+factSchema.methods.applyCortiFact = function(cortiFact) {
+  this.corti_fact_id = cortiFact.id;
+  // Compare before assigning so unchanged text isn't re-encrypted
+  if (cortiFact.text !== undefined && cortiFact.text !== this.text) this.text = cortiFact.text;
+  if (cortiFact.group !== undefined) this.group = cortiFact.group;
+  if (cortiFact.source !== undefined) this.source = cortiFact.source;
+  if (cortiFact.isDiscarded !== undefined) this.is_discarded = Boolean(cortiFact.isDiscarded);
+  if (cortiFact.createdAt) this.corti_created_at = cortiFact.createdAt;
+  if (cortiFact.updatedAt) this.corti_updated_at = cortiFact.updatedAt;
+  this.corti_deleted_at = null;
+  this.sync_status = 'synced';
+  this.last_synced_at = new Date();
+  this.last_sync_error = null;
+  return this;
+};
+
+// Method to check if Corti's copy differs from the local text, group or discarded flag
+factSchema.methods.isContentChanged = function(cortiFact) {
+  return (cortiFact.text !== undefined && cortiFact.text !== this.text) ||
+    (cortiFact.group !== undefined && cortiFact.group !== this.group) ||
+    (cortiFact.isDiscarded !== undefined && Boolean(cortiFact.isDiscarded) !== this.is_discarded);
+};
+
+// Method to check if Corti's copy has changed since the last sync
+factSchema.methods.isCortiFactChanged = function(cortiFact) {
+  if (!cortiFact.updatedAt || !this.corti_updated_at) {
+    return true;
+  }
+  return new Date(cortiFact.updatedAt).getTime() !== this.corti_updated_at.getTime();
+};
+
+// Method to record a failed write to Corti
+// Retryable failures stay pending for the next reconciliation; refused writes are marked failed
+// and only retried after the next local change
+factSchema.methods.markSyncFailed = function(errorMessage, retryable = true) {
+  this.sync_status = retryable ? 'pending' : 'failed';
+  this.last_sync_error = errorMessage;
+  return this;
+};
+
+// Method to record that the fact was deleted in Corti (discarded locally so its history is kept)
+factSchema.methods.markCortiDeleted = function() {
+  this.is_discarded = true;
+  this.corti_deleted_at = new Date();
+  this.sync_status = 'synced';
+  this.last_synced_at = new Date();
+  this.last_sync_error = null;
+  return this;
+};
+
+// Method to get the API representation (same shape as Corti facts, keyed by the local id)
+factSchema.methods.toApiFact = function() {
+  return {
+    id: this._id.toString(),
+    corti_fact_id: this.corti_fact_id,
+    text: this.text,
+    group: this.group,
+    source: this.source,
+    isDiscarded: this.is_discarded,
+    origin: this.origin,
+    is_edited: this.is_edited,
+    version: this.version,
+    created_by: this.created_by,
+    updated_by: this.updated_by,
+    created_at: this.corti_created_at || this.created_at,
+    updated_at: this.updated_at,
+    sync_status: this.sync_status
+  };
+};
+
+// Static method to count facts per session
+// Returns { [sessionId]: { facts_count, active_facts_count } }
+factSchema.statics.countBySessions = async function(sessionIds) {
+  const counts = await this.aggregate([
+    { $match: { session_id: { $in: sessionIds } } },
+    {
+      $group: {
+        _id: '$session_id',
+        facts_count: { $sum: 1 },
+        active_facts_count: { $sum: { $cond: ['$is_discarded', 0, 1] } }
+      }
+    }
+  ]);
+
+  return counts.reduce((result, { _id, facts_count, active_facts_count }) => {
+    result[_id.toString()] = { facts_count, active_facts_count };
+    return result;
+  }, {});
+};
+
+module.exports = mongoose.model('Fact', factSchema);
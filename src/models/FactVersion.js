@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/fieldEncryption');
+
+/**
+ * FactVersion Model
+ * Append-only history of a fact: one entry per change with author and timestamp,
+ * so clinicians can see what the AI suggested and what they corrected.
+ * Fact text is encrypted at rest.
+ */
+
+const CHANGE_TYPES = [
+  'extracted', // Suggested by the AI during recording
+  'created', // Added by hand
+  'edited', // Text or group changed by a clinician
+  'discarded', // Discarded or un-discarded by a clinician
+  'restored', // An earlier version was restored
+  'corti_update', // Changed in Corti outside this API
+  'corti_delete' // Deleted in Corti outside this API
+];
+
+const factVersionSchema = new mongoose.Schema({
+  // References
+  fact_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fact',
+    required: true
+  },
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+
+  // Fact state after the change
+  text: {
+    type: String,
+    required: true,
+    set: encrypt,
+    get: decrypt
+  },
+  group: {
+    type: String,
+    required: true
+  },
+  is_discarded: {
+    type: Boolean,
+    default: false
+  },
+
+  // Provenance
+  change_type: {
+    type: String,
+    enum: CHANGE_TYPES,
+    required: true
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId, // null for AI/Corti changes
+    ref: 'User',
+    default: null
+  },
+  restored_from_version: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  // Decrypt fields when serializing
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
+});
+
+// Indexes for performance
+factVersionSchema.index({ fact_id: 1, version: -1 }, { unique: true });
+factVersionSchema.index({ session_id: 1 });
+
+// Static method to get a fact's history (newest first)
+factVersionSchema.statics.getHistory = function(factId) {
+  return this.find({ fact_id: factId })
+    .sort({ version: -1 })
+    .populate('changed_by', 'name email');
+};
+
+const FactVersion = mongoose.model('FactVersion', factVersionSchema);
+FactVersion.CHANGE_TYPES = CHANGE_TYPES;
+
+module.exports = FactVersion;
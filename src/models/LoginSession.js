@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+/**
+ * LoginSession Model
+ * One document per device login (not to be confused with recording Session).
+ * - family_id links the login to its RefreshToken family and to the fid claim in access tokens
+ * - Revoking a login session revokes its refresh tokens and rejects its access tokens
+ */
+
+const loginSessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Device information
+  device: {
+    type: String,
+    default: 'Ukendt enhed'
+  },
+  ip_address: {
+    type: String,
+    default: null
+  },
+  user_agent: {
+    type: String,
+    default: null
+  },
+
+  // Activity tracking
+  last_seen_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation tracking
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'revoked_by_user', 'revoked_by_admin', null],
+    default: null
+  },
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for performance (family_id already indexed via unique: true)
+loginSessionSchema.index({ user_id: 1, revoked_at: 1 });
+loginSessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }); // MongoDB purges expired logins
+
+// Only touch last_seen_at once per minute to avoid a write on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Method to record activity from an authenticated request
+loginSessionSchema.methods.touch = function(ipAddress) {
+  if (Date.now() - this.last_seen_at.getTime() < LAST_SEEN_RESOLUTION_MS && this.ip_address === ipAddress) {
+    return Promise.resolve(this);
+  }
+  this.last_seen_at = new Date();
+  this.ip_address = ipAddress || this.ip_address;
+  return this.save();
+};
+
+// Method to check whether the login is still usable
+loginSessionSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+// Static method to find active logins for a user
+loginSessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user_id: userId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  }).sort({ last_seen_at: -1 });
+};
+
+// Static method to revoke logins and their refresh token families
+loginSessionSchema.statics.revoke = async function(filter, reason, revokedBy = null) {
+  const RefreshToken = require('./RefreshToken');
+
+  const loginSessions = await this.find({ ...filter, revoked_at: null }).select('family_id');
+  if (loginSessions.length === 0) {
+    return 0;
+  }
+
+  const familyIds = loginSessions.map(loginSession => loginSession.family_id);
+
+  await this.updateMany(
+    { family_id: { $in: familyIds } },
+    { revoked_at: new Date(), revoked_reason: reason, revoked_by: revokedBy }
+  );
+  await Promise.all(familyIds.map(familyId => RefreshToken.revokeFamily(familyId, reason)));
+
+  return familyIds.length;
+};
+
+module.exports = mongoose.model('LoginSession', loginSessionSchema);
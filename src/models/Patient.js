@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { encrypt, decrypt, blindIndex } = require('../utils/fieldEncryption');
+
+/**
+ * Patient Model
+ * A patient of a clinic, so all consultations for the same person can be found together.
+ * Patients belong to the clinic (company admin user), not to the clinician who created them.
+ * The CPR number is encrypted at rest and only searchable through its blind index (cpr_hash).
+ */
+
+// Normalize a CPR number to its 10 digits (accepts DDMMYY-XXXX and DDMMYYXXXX)
+const normalizeCpr = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return String(value).replace(/\D/g, '');
+};
+
+// Generate a pseudonymous patient identifier, e.g. P-4F9A21C7
+const generateIdentifier = () => `P-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const patientSchema = new mongoose.Schema({
+  // Clinic Reference
+  clinic_id: {
+    type: mongoose.Schema.Types.ObjectId, // Company admin (main user) of the clinic
+    ref: 'User',
+    required: true
+  },
+
+  // Identification
+  identifier: {
+    type: String, // Pseudonymous ID, safe to show and to send to the AI provider
+    required: true,
+    trim: true,
+    default: generateIdentifier
+  },
+  cpr_number: {
+    type: String,
+    default: null,
+    select: false,
+    set: encrypt,
+    get: decrypt
+  },
+  cpr_hash: {
+    type: String, // Blind index of the normalized CPR number, for exact-match search
+    default: null,
+    select: false
+  },
+
+  // Demographics
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  birth_date: {
+    type: Date,
+    default: null
+  },
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other', 'unknown'],
+    default: 'unknown'
+  },
+
+  // Tracking
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Soft delete flag
+  deleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  // Decrypt fields when serializing, never expose the CPR hash
+  toJSON: {
+    getters: true,
+    virtuals: false,
+    transform: (doc, ret) => {
+      delete ret.cpr_hash;
+      return ret;
+    }
+  },
+  toObject: { getters: true, virtuals: false }
+});
+
+// Indexes for performance
+patientSchema.index({ clinic_id: 1, identifier: 1 }, { unique: true });
+patientSchema.index(
+  { clinic_id: 1, cpr_hash: 1 },
+  { unique: true, partialFilterExpression: { cpr_hash: { $type: 'string' }, deleted: false } }
+);
+patientSchema.index({ clinic_id: 1, name: 1 });
+
+// Method to set (or clear) the CPR number together with its blind index
+patientSchema.methods.setCpr = function(cprNumber) {
+  const normalized = normalizeCpr(cprNumber);
+  this.cpr_number = normalized;
+  this.cpr_hash = blindIndex(normalized);
+  return this;
+};
+
+// Method to soft delete the patient
+patientSchema.methods.softDelete = function() {
+  this.deleted = true;
+  this.updated_at = new Date();
+  return this;
+};
+
+// Method to get the patient context passed to the AI provider (never the CPR number)
+patientSchema.methods.toProviderContext = function() {
+  return {
+    identifier: this.identifier,
+    name: this.name,
+    gender: this.gender,
+    birth_date: this.birth_date ? this.birth_date.toISOString().slice(0, 10) : undefined
+  };
+};
+
+// Static method to find a clinic's patient by CPR number
+patientSchema.statics.findByCpr = function(clinicId, cprNumber) {
+  return this.findOne({
+    clinic_id: clinicId,
+    cpr_hash: blindIndex(normalizeCpr(cprNumber)),
+    deleted: false
+  });
+};
+
+const Patient = mongoose.model('Patient', patientSchema);
+Patient.normalizeCpr = normalizeCpr;
+
+module.exports = Patient;
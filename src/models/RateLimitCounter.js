@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * RateLimitCounter Model
+ * Fixed-window counters persisted in MongoDB so limits hold across server instances and restarts.
+ * Keys look like "login-ip:<ip>" or "forgot-password:email:<email>"; each window gets its own document.
+ */
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  window_start: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ key: 1, window_start: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }); // MongoDB purges old windows
+
+/**
+ * Get the start of the current window
+ */
+const getWindowStart = (windowMs) => new Date(Math.floor(Date.now() / windowMs) * windowMs);
+
+// Static method to increment a counter and return the new count
+rateLimitCounterSchema.statics.hit = async function(key, windowMs) {
+  const windowStart = getWindowStart(windowMs);
+
+  const counter = await this.findOneAndUpdate(
+    { key, window_start: windowStart },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: { expires_at: new Date(windowStart.getTime() + windowMs) }
+    },
+    { upsert: true, new: true }
+  );
+
+  return counter.count;
+};
+
+// Static method to read a counter without incrementing it
+rateLimitCounterSchema.statics.peek = async function(key, windowMs) {
+  const counter = await this.findOne({ key, window_start: getWindowStart(windowMs) }).lean();
+  return counter ? counter.count : 0;
+};
+
+// Static method to get seconds until the current window resets
+rateLimitCounterSchema.statics.secondsUntilReset = function(windowMs) {
+  const windowEnd = getWindowStart(windowMs).getTime() + windowMs;
+  return Math.ceil((windowEnd - Date.now()) / 1000);
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
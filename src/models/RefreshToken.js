@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * RefreshToken Model
+ * Server-side record of every issued refresh token.
+ * - Each refresh token can be exchanged exactly once (used_at is set on rotation)
+ * - All tokens issued from the same login share a family_id
+ * - Presenting an already used token revokes the whole family (token theft detection)
+ */
+
+const refreshTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // JWT ID (jti claim) of the refresh token
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Shared by all tokens rotated from the same login
+  family_id: {
+    type: String,
+    required: true
+  },
+
+  expires_at: {
+    type: Date,
+    required: true
+  },
+
+  // Rotation tracking
+  used_at: {
+    type: Date,
+    default: null
+  },
+  replaced_by: {
+    type: String, // jti of the token issued in exchange
+    default: null
+  },
+
+  // Revocation tracking
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'revoked_by_user', 'revoked_by_admin', null],
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Indexes for performance (jti already indexed via unique: true)
+refreshTokenSchema.index({ family_id: 1, revoked_at: 1 });
+refreshTokenSchema.index({ user_id: 1 });
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }); // MongoDB purges expired tokens
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(familyId, reason) {
+  return this.updateMany(
+    { family_id: familyId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/fieldEncryption');
 
 /**
  * Session Model
@@ -13,6 +14,11 @@ const sessionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId, // Patient in the user's clinic (optional)
+    ref: 'Patient',
+    default: null
+  },
   
   // Corti Integration Data
   corti_interaction_id: {
@@ -21,12 +27,20 @@ const sessionSchema = new mongoose.Schema({
     unique: true
   },
   websocket_url: {
-    type: String,
+    type: String, // Provider stream endpoint - used by the stream relay only, never returned by the API
     required: true
   },
+  ai_provider: {
+    type: String, // Provider the interaction was created with (see aiProviderService)
+    enum: ['corti', 'mock'],
+    default: 'corti'
+  },
   access_token: {
-    type: String,
-    required: true
+    type: String, // Legacy - no longer stored (clients stream through the relay). Encrypted at rest, never returned by the API
+    default: null,
+    select: false,
+    set: encrypt,
+    get: decrypt
   },
   
   // Session Status
@@ -61,20 +75,45 @@ const sessionSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+
+  // Audio streaming (set by the WebSocket relay from the stream lifecycle)
+  recording_started_at: {
+    type: Date,
+    default: null
+  },
+  recording_ended_at: {
+    type: Date,
+    default: null
+  },
+  recording_duration_seconds: {
+    type: Number, // Total streamed time across reconnects
+    default: 0
+  },
   
   // Additional Data
   encounter_type: {
-    type: String,
+    type: String, // Mapped to Corti's encounter types in cortiService
+    enum: ['consultation', 'follow_up', 'emergency', 'routine'],
     default: 'consultation'
   }
 }, {
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 });
 
+// Never expose the Corti access token or stream endpoint in API responses
+sessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.access_token;
+    delete ret.websocket_url;
+    return ret;
+  }
+});
+
 // Indexes for performance (corti_interaction_id already indexed via unique: true)
 sessionSchema.index({ user_id: 1, created_at: -1 }); // For recent sessions queries
 sessionSchema.index({ user_id: 1, status: 1 }); // For status-based queries
 sessionSchema.index({ created_at: -1 }); // For date-based queries
+sessionSchema.index({ patient_id: 1, started_at: -1 }); // For patient timelines
 
 // Method to end the session
 sessionSchema.methods.endSession = function() {
@@ -91,6 +130,36 @@ sessionSchema.methods.softDelete = function() {
   return this;
 };
 
+// Static method to mark that audio streaming started (keeps the first start time across reconnects)
+sessionSchema.statics.markRecordingStarted = function(sessionId) {
+  return this.updateOne(
+    { _id: sessionId, status: { $in: ['active', 'started'] } },
+    [{
+      $set: {
+        status: 'started',
+        recording_started_at: { $ifNull: ['$recording_started_at', '$$NOW'] }
+      }
+    }]
+  );
+};
+
+// Static method to record the end of one streaming connection
+// status: 'completed' or 'failed' ends the recording, null keeps it open for a reconnect
+// Matches 'active' too, so a stream Corti refused before it started still fails the session
+sessionSchema.statics.markRecordingStopped = function(sessionId, streamedSeconds, status = null) {
+  const update = {
+    recording_duration_seconds: { $add: [{ $ifNull: ['$recording_duration_seconds', 0] }, streamedSeconds] }
+  };
+
+  if (status) {
+    update.status = status;
+    update.recording_ended_at = '$$NOW';
+    update.ended_at = '$$NOW';
+  }
+
+  return this.updateOne({ _id: sessionId, status: { $in: ['active', 'started'] } }, [{ $set: update }]);
+};
+
 // Static method to find active sessions for a user
 sessionSchema.statics.findActiveSessions = function(userId) {
   return this.find({
@@ -1,8 +1,20 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { encrypt, decrypt, encryptJson, decryptJson } = require('../utils/fieldEncryption');
+const { BUILTIN_DOCUMENT_TEMPLATES, DOCUMENT_LAYOUTS } = require('../config/documentTemplates');
+const { renderDocumentText } = require('../utils/documentText');
+const { TemplateLockedError, TemplateSectionsError } = require('../utils/templateErrors');
+const { JOURNAL_DELIVERY_METHODS } = require('../config/journalSystems');
 
 /**
  * Template Model
  * Stores generated clinical documents from Corti.AI based on session facts
+ * The document is kept as sections ({ key, name, sort, text, is_edited }); content is the plain-text
+ * rendering of the sections (per layout), kept for clients that don't use sections.
+ * Documents edited as a whole (or generated before sections existed) have no sections.
+ * Sign-off: draft -> signed -> amended. Signing locks the document; after that its text
+ * only changes through an amendment with a reason (enforced on save).
+ * Clinical text (content, sections, original_content, facts_snapshot) is encrypted at rest
  */
 
 const templateSchema = new mongoose.Schema({
@@ -26,15 +38,33 @@ const templateSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: true
+    required: true,
+    set: encrypt,
+    get: decrypt
+  },
+  sections: {
+    type: mongoose.Schema.Types.Mixed, // [{ key, name, sort, text, is_edited }] (encrypted JSON array)
+    default: [],
+    set: encryptJson,
+    get: decryptJson
+  },
+  layout: {
+    type: String, // How sections are rendered into content (see config/documentTemplates)
+    enum: DOCUMENT_LAYOUTS,
+    default: 'headings'
   },
   
   // Template Type & Metadata
   type: {
-    type: String,
-    enum: ['soap', 'brief-clinical-note', 'nursing-note', 'referral'],
+    type: String, // Built-in document type, or 'custom' for a clinic's DocumentTemplate
+    enum: [...BUILTIN_DOCUMENT_TEMPLATES.map(template => template.key), 'custom'],
     required: true
   },
+  document_template_id: {
+    type: mongoose.Schema.Types.ObjectId, // Clinic definition used (custom type only)
+    ref: 'DocumentTemplate',
+    default: null
+  },
   template_key: {
     type: String, // Corti template key used
     required: true
@@ -49,10 +79,18 @@ const templateSchema = new mongoose.Schema({
   },
   // AI Generation Info
   facts_snapshot: {
-    type: [mongoose.Schema.Mixed], // Snapshot of facts used for generation
-    default: []
+    type: mongoose.Schema.Types.Mixed, // Snapshot of facts used for generation (encrypted JSON array)
+    default: [],
+    set: encryptJson,
+    get: decryptJson
   },
   
+  // Version history (see TemplateVersion)
+  version: {
+    type: Number, // Latest TemplateVersion; 0 = created before versioning
+    default: 0
+  },
+
   // Regeneration tracking
   regenerated_count: {
     type: Number,
@@ -70,25 +108,192 @@ const templateSchema = new mongoose.Schema({
   },
   original_content: {
     type: String,
-    default: null
+    default: null,
+    set: encrypt,
+    get: decrypt
   },
   last_edited_at: {
     type: Date,
     default: null
-  }
+  },
+
+  // Sign-off
+  status: {
+    type: String,
+    enum: ['draft', 'signed', 'amended'],
+    default: 'draft'
+  },
+  signed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  signed_at: {
+    type: Date,
+    default: null
+  },
+  signed_version: {
+    type: Number, // TemplateVersion recorded at signing
+    default: null
+  },
+  content_hash: {
+    type: String, // SHA-256 of the signed (or last amended) content
+    default: null
+  },
+  amendments: [{
+    _id: false,
+    reason: {
+      type: String,
+      required: true
+    },
+    amended_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amended_at: {
+      type: Date,
+      required: true
+    },
+    previous_version: Number, // Version the amendment replaced
+    version: Number, // TemplateVersion recorded for the amendment
+    content_hash: String
+  }],
+
+  // Exports to the clinic's journal system (EPJ), oldest first
+  journal_exports: [{
+    journal_system: {
+      type: String, // Key in config/journalSystems
+      required: true
+    },
+    connector: {
+      type: String,
+      required: true
+    },
+    delivery: {
+      type: String,
+      enum: JOURNAL_DELIVERY_METHODS,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['downloaded', 'delivered', 'failed'],
+      required: true
+    },
+    filename: String,
+    location: {
+      type: String, // Path below the delivery root (drop_folder, sftp)
+      default: null
+    },
+    template_version: Number,
+    template_status: String,
+    content_hash: String, // SHA-256 of the exported file
+    error: {
+      type: String,
+      default: null
+    },
+    exported_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    exported_at: {
+      type: Date,
+      default: Date.now
+    },
+    delivered_at: {
+      type: Date,
+      default: null
+    }
+  }]
 }, {
-  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  // Decrypt fields when serializing
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
 });
 
 // Indexes for performance
 templateSchema.index({ user_id: 1 });
 templateSchema.index({ session_id: 1 });
 templateSchema.index({ session_id: 1, type: 1 }); // Compound index for session templates
+// One document per session, user and definition (see templateService.findForDefinition)
+templateSchema.index({ session_id: 1, user_id: 1, type: 1, document_template_id: 1 }, { unique: true });
 templateSchema.index({ created_at: -1 });
 
+// Fields that can't change once the document is signed, except through an amendment
+const LOCKED_FIELDS = ['content', 'sections', 'facts_snapshot', 'original_content'];
+
+// Block changes to signed documents that don't go through amend()
+templateSchema.pre('save', function(next) {
+  if (!this.isNew && this.isLocked() && !this.$locals.amending &&
+    LOCKED_FIELDS.some(field => this.isModified(field))) {
+    return next(new TemplateLockedError(this.status));
+  }
+  next();
+});
+
+templateSchema.post('save', function() {
+  this.$locals.amending = false;
+});
+
+// Method to check if the document is signed (and so locked)
+templateSchema.methods.isLocked = function() {
+  return this.status === 'signed' || this.status === 'amended';
+};
+
+// Method to hash the document content
+templateSchema.methods.computeContentHash = function() {
+  return crypto.createHash('sha256').update(this.content || '', 'utf8').digest('hex');
+};
+
+// Method to sign the document and lock it
+templateSchema.methods.sign = function(userId, version) {
+  this.status = 'signed';
+  this.signed_by = userId;
+  this.signed_at = new Date();
+  this.signed_version = version;
+  this.content_hash = this.computeContentHash();
+  return this;
+};
+
+// Method to amend a signed document
+// changes: { content } for the whole text, or { sections: [{ key, text }] }
+// previousVersion/version: the signed version being replaced and the version recorded for the amendment
+templateSchema.methods.amend = function(userId, reason, changes, previousVersion, version) {
+  this.$locals.amending = true;
+
+  if (changes.sections) {
+    for (const section of changes.sections) {
+      this.updateSection(section.key, section.text);
+    }
+  } else {
+    this.updateContent(changes.content);
+  }
+
+  this.status = 'amended';
+  this.content_hash = this.computeContentHash();
+  this.amendments.push({
+    reason,
+    amended_by: userId,
+    amended_at: new Date(),
+    previous_version: previousVersion,
+    version,
+    content_hash: this.content_hash
+  });
+  return this;
+};
+
+// Method to record an export to the journal system
+templateSchema.methods.addJournalExport = function(entry) {
+  this.journal_exports.push(entry);
+  return this.journal_exports[this.journal_exports.length - 1];
+};
+
 // Method to regenerate template
-templateSchema.methods.regenerate = function(newContent, newFacts) {
+templateSchema.methods.regenerate = function(newContent, newFacts, newSections = []) {
   this.content = newContent;
+  this.sections = newSections.map(section => ({ ...section, is_edited: false }));
   this.facts_snapshot = newFacts;
   this.regenerated_count += 1;
   this.last_regenerated_at = new Date();
@@ -99,18 +304,115 @@ templateSchema.methods.regenerate = function(newContent, newFacts) {
   return this;
 };
 
+// Method to regenerate only the sections the clinician hasn't edited (merge mode)
+// Edited sections keep their text, also when the new generation no longer has them
+templateSchema.methods.mergeRegenerated = function(newFacts, newSections = []) {
+  const current = this.sections || [];
+
+  const merged = newSections.map(section => {
+    const existing = current.find(candidate => candidate.key === section.key);
+    return existing && existing.is_edited
+      ? { ...section, text: existing.text, is_edited: true }
+      : { ...section, is_edited: false };
+  });
+  for (const section of current) {
+    if (section.is_edited && !merged.some(candidate => candidate.key === section.key)) {
+      merged.push(section);
+    }
+  }
+
+  this.sections = merged.map((section, index) => ({ ...section, sort: index + 1 }));
+  this.content = renderDocumentText(this.layout, this.sections);
+  this.facts_snapshot = newFacts;
+  this.regenerated_count += 1;
+  this.last_regenerated_at = new Date();
+  this.is_edited = this.sections.some(section => section.is_edited);
+  return this;
+};
+
+// Method to check if the document can be merged (it has sections to merge into)
+templateSchema.methods.canMerge = function() {
+  return Array.isArray(this.sections) && this.sections.length > 0;
+};
+
+// Method to get the keys of the sections edited by hand
+templateSchema.methods.getEditedSectionKeys = function() {
+  return (this.sections || []).filter(section => section.is_edited).map(section => section.key);
+};
+
+// Method to check if the whole text can be set without losing sections
+// True without sections, for the unchanged rendered text and for 'single' layout documents
+templateSchema.methods.acceptsContent = function(newContent) {
+  const sections = this.sections || [];
+  return sections.length === 0 ||
+    this.layout === 'single' ||
+    newContent === renderDocumentText(this.layout, sections);
+};
+
 // Method to update template content (manual edit)
-templateSchema.methods.updateContent = function(newContent) {
+// On a document with sections:
+// - the unchanged rendered text (e.g. re-sent by an older client) keeps the sections
+// - a 'single' layout document is its first section, so that section is edited
+// - any other edit throws TemplateSectionsError unless replaceSections is set, which drops the
+//   sections since they no longer match the content
+templateSchema.methods.updateContent = function(newContent, { replaceSections = false } = {}) {
+  const sections = this.sections || [];
+  if (sections.length > 0 && !replaceSections) {
+    if (!this.acceptsContent(newContent)) {
+      throw new TemplateSectionsError();
+    }
+    if (this.layout === 'single') {
+      return newContent === sections[0].text ? this : this.updateSection(sections[0].key, newContent);
+    }
+    return this;
+  }
+
   // Store original content if this is the first edit
   if (!this.is_edited && !this.original_content) {
     this.original_content = this.content;
   }
   this.content = newContent;
+  this.sections = [];
+  this.is_edited = true;
+  this.last_edited_at = new Date();
+  return this;
+};
+
+// Method to get a section by key
+templateSchema.methods.getSection = function(key) {
+  return (this.sections || []).find(section => section.key === key) || null;
+};
+
+// Method to replace one section's text and re-render the content
+// (sections are stored as one encrypted value, so the array is replaced rather than mutated)
+templateSchema.methods.setSectionText = function(key, text, isEdited) {
+  this.sections = this.sections.map(section => (
+    section.key === key ? { ...section, text, is_edited: isEdited } : section
+  ));
+  this.content = renderDocumentText(this.layout, this.sections);
+  return this;
+};
+
+// Method to edit one section by hand
+templateSchema.methods.updateSection = function(key, text) {
+  // Store original content if this is the first edit
+  if (!this.is_edited && !this.original_content) {
+    this.original_content = this.content;
+  }
+  this.setSectionText(key, text, true);
   this.is_edited = true;
   this.last_edited_at = new Date();
   return this;
 };
 
+// Method to replace one section with a regenerated version
+templateSchema.methods.regenerateSection = function(key, text) {
+  this.setSectionText(key, text, false);
+  this.is_edited = this.sections.some(section => section.is_edited);
+  this.last_regenerated_at = new Date();
+  return this;
+};
+
 // Static method to get templates for a session
 templateSchema.statics.getTemplatesForSession = function(sessionId, userId) {
   return this.find({
@@ -119,33 +421,4 @@ templateSchema.statics.getTemplatesForSession = function(sessionId, userId) {
   }).sort({ created_at: -1 });
 };
 
-// Static method to get or create template for session and type
-templateSchema.statics.getOrCreateTemplate = function(sessionId, userId, type, templateKey, title, content, facts, outputLanguage) {
-  return this.findOneAndUpdate(
-    {
-      session_id: sessionId,
-      user_id: userId,
-      type: type
-    },
-    {
-      title: title,
-      content: content,
-      template_key: templateKey,
-      facts_snapshot: facts,
-      output_language: outputLanguage,
-      $inc: { regenerated_count: 1 },
-      last_regenerated_at: new Date(),
-      // Reset edit status when regenerated/created
-      is_edited: false,
-      original_content: content,
-      last_edited_at: null
-    },
-    {
-      upsert: true,
-      new: true,
-      setDefaultsOnInsert: true
-    }
-  );
-};
-
 module.exports = mongoose.model('Template', templateSchema); 
\ No newline at end of file
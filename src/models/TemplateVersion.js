@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt, encryptJson, decryptJson } = require('../utils/fieldEncryption');
+
+/**
+ * TemplateVersion Model
+ * Append-only history of a generated document: one entry per generation and per manual edit,
+ * with author, timestamp, cause and the facts the text was generated from,
+ * so an accidental regeneration never loses the clinician's edits.
+ * Clinical text (content, sections, facts_snapshot) is encrypted at rest.
+ */
+
+const CAUSES = [
+  'baseline', // State of a document created before versioning
+  'generated', // First generation
+  'regenerated', // Whole document regenerated
+  'merged', // Regenerated, keeping the sections edited by hand
+  'section_regenerated', // One section regenerated
+  'edited', // Whole text edited by hand
+  'section_edited', // One section edited by hand
+  'restored', // An earlier version was restored
+  'signed', // Signed and locked
+  'amended' // Signed document changed through an amendment
+];
+
+const templateVersionSchema = new mongoose.Schema({
+  // References
+  template_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    required: true
+  },
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+
+  // Document state after the change
+  content: {
+    type: String,
+    required: true,
+    set: encrypt,
+    get: decrypt
+  },
+  sections: {
+    type: mongoose.Schema.Types.Mixed, // Encrypted JSON array, as on Template
+    default: [],
+    set: encryptJson,
+    get: decryptJson
+  },
+  facts_snapshot: {
+    type: mongoose.Schema.Types.Mixed, // Encrypted JSON array, as on Template
+    default: [],
+    set: encryptJson,
+    get: decryptJson
+  },
+  is_edited: {
+    type: Boolean,
+    default: false
+  },
+
+  // Provenance
+  cause: {
+    type: String,
+    enum: CAUSES,
+    required: true
+  },
+  section_key: {
+    type: String, // Section changed (section_* causes only)
+    default: null
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId, // null for baselines
+    ref: 'User',
+    default: null
+  },
+  restored_from_version: {
+    type: Number,
+    default: null
+  },
+  reason: {
+    type: String, // Amendment reason (amended only)
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  // Decrypt fields when serializing
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
+});
+
+// Indexes for performance
+templateVersionSchema.index({ template_id: 1, version: -1 }, { unique: true });
+templateVersionSchema.index({ session_id: 1 });
+
+// Static method to list a template's versions without their content (newest first)
+templateVersionSchema.statics.getHistory = function(templateId) {
+  return this.find({ template_id: templateId })
+    .sort({ version: -1 })
+    .select('-content -sections -facts_snapshot')
+    .populate('changed_by', 'name email');
+};
+
+// Static method to get one version with its content
+templateVersionSchema.statics.getVersion = function(templateId, version) {
+  return this.findOne({ template_id: templateId, version })
+    .populate('changed_by', 'name email');
+};
+
+const TemplateVersion = mongoose.model('TemplateVersion', templateVersionSchema);
+TemplateVersion.CAUSES = CAUSES;
+
+module.exports = TemplateVersion;
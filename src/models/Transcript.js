@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { encryptJson, decryptJson } = require('../utils/fieldEncryption');
+
+/**
+ * Transcript Model
+ * Local copy of a session's Corti transcript, stored when the session ends
+ * so history survives Corti purging data or being unavailable.
+ * Transcript text is encrypted at rest.
+ */
+
+const transcriptSchema = new mongoose.Schema({
+  // Session & User References
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    unique: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  corti_interaction_id: {
+    type: String,
+    required: true
+  },
+
+  // Transcript content (encrypted JSON)
+  transcripts: {
+    type: mongoose.Schema.Types.Mixed, // Transcripts as returned by Corti
+    default: [],
+    set: encryptJson,
+    get: decryptJson
+  },
+  segments: {
+    type: mongoose.Schema.Types.Mixed, // [{ transcript_id, speaker, channel, text, start_ms, end_ms }] sorted by start
+    default: [],
+    set: encryptJson,
+    get: decryptJson
+  },
+  segment_count: {
+    type: Number,
+    default: 0
+  },
+
+  // Sync state
+  sync_status: {
+    type: String,
+    enum: ['pending', 'synced', 'failed'],
+    default: 'pending'
+  },
+  sync_attempts: {
+    type: Number, // Consecutive failed attempts
+    default: 0
+  },
+  last_synced_at: {
+    type: Date,
+    default: null
+  },
+  last_sync_error: {
+    type: String,
+    default: null
+  },
+  next_sync_at: {
+    type: Date, // When the background retry should try again
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  // Decrypt fields when serializing
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
+});
+
+// Indexes for performance (session_id already indexed via unique: true)
+transcriptSchema.index({ sync_status: 1, next_sync_at: 1 }); // For background retries
+transcriptSchema.index({ user_id: 1 });
+
+// Method to store a successful sync
+transcriptSchema.methods.markSynced = function(transcripts, segments) {
+  this.transcripts = transcripts;
+  this.segments = segments;
+  this.segment_count = segments.length;
+  this.sync_status = 'synced';
+  this.sync_attempts = 0;
+  this.last_synced_at = new Date();
+  this.last_sync_error = null;
+  this.next_sync_at = null;
+  return this;
+};
+
+// Method to record a failed sync and schedule the next retry (null = give up)
+transcriptSchema.methods.markSyncFailed = function(errorMessage, nextSyncAt) {
+  this.sync_attempts += 1;
+  this.last_sync_error = errorMessage;
+  this.next_sync_at = nextSyncAt;
+  // Keep serving an earlier good copy if there is one
+  if (this.sync_status !== 'synced') {
+    this.sync_status = 'failed';
+  }
+  return this;
+};
+
+// Static method to find transcripts due for a background retry
+transcriptSchema.statics.findDueForRetry = function(limit = 20) {
+  return this.find({
+    sync_status: { $in: ['pending', 'failed'] },
+    next_sync_at: { $ne: null, $lte: new Date() }
+  })
+    .sort({ next_sync_at: 1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('Transcript', transcriptSchema);
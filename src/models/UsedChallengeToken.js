@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * UsedChallengeToken Model
+ * IDs (jti) of two-factor challenge tokens that have been exchanged for a login, so each
+ * challenge token works once. Kept until the token would have expired anyway.
+ */
+
+const usedChallengeTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'used_at', updatedAt: false }
+});
+
+usedChallengeTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 }); // MongoDB purges expired tokens
+
+// Static method to mark a challenge token as used
+// Returns false if it was already used (the unique index makes this atomic)
+usedChallengeTokenSchema.statics.consume = async function(jti, userId, expiresAt) {
+  try {
+    await this.create({ jti, user_id: userId, expires_at: expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('UsedChallengeToken', usedChallengeTokenSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { securityConfig, getLoginBackoffSeconds } = require('../config/security');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { encrypt, decrypt, encryptJson, decryptJson } = require('../utils/fieldEncryption');
 
 /**
  * User Model
@@ -24,6 +28,14 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  password_history: {
+    type: [String], // Previous bcrypt hashes, newest first (see passwordPolicy.historySize)
+    default: []
+  },
+  password_changed_at: {
+    type: Date,
+    default: null
+  },
   
   // Profile Information
   name: {
@@ -59,6 +71,19 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   
+  // Corti user the clinician's interactions are assigned to (null = CORTI_DEFAULT_USER_ID)
+  corti_user_id: {
+    type: String,
+    default: null
+  },
+  
+  // AI provider for the clinic's sessions (clinic main user only, null = AI_PROVIDER default)
+  ai_provider: {
+    type: String,
+    enum: ['corti', 'mock', null],
+    default: null
+  },
+  
   // Permission to invite users (future feature)
   can_invite: {
     type: Boolean,
@@ -73,7 +98,11 @@ const userSchema = new mongoose.Schema({
   
   // Invitation fields
   invitation_token: {
-    type: String,
+    type: String, // SHA-256 hash - the plain token is only sent by email
+    default: null
+  },
+  invitation_expires: {
+    type: Date,
     default: null
   },
   invited_by: {
@@ -95,11 +124,15 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   verification_token: {
-    type: String,
+    type: String, // SHA-256 hash - the plain token is only sent by email
+    default: null
+  },
+  verification_expires: {
+    type: Date,
     default: null
   },
   reset_password_token: {
-    type: String,
+    type: String, // SHA-256 hash - the plain token is only sent by email
     default: null
   },
   reset_password_expires: {
@@ -107,6 +140,68 @@ const userSchema = new mongoose.Schema({
     default: null
   },
   
+  // Two-factor authentication (TOTP)
+  two_factor_enabled: {
+    type: Boolean,
+    default: false
+  },
+  two_factor_required: {
+    type: Boolean, // Set by the clinic's company admin; super admins are always required
+    default: false
+  },
+  two_factor_secret: {
+    type: String, // Encrypted at rest
+    default: null,
+    select: false,
+    set: encrypt,
+    get: decrypt
+  },
+  two_factor_pending_secret: {
+    type: String, // Secret awaiting first code during enrollment. Encrypted at rest
+    default: null,
+    select: false,
+    set: encrypt,
+    get: decrypt
+  },
+  two_factor_recovery_codes: {
+    type: mongoose.Schema.Types.Mixed, // SHA-256 hashes of unused recovery codes (encrypted JSON array)
+    default: [],
+    select: false,
+    set: encryptJson,
+    get: decryptJson
+  },
+  two_factor_last_used_step: {
+    type: Number, // Last accepted TOTP time step (prevents code replay)
+    default: null,
+    select: false
+  },
+  two_factor_enabled_at: {
+    type: Date,
+    default: null
+  },
+  
+  // Brute-force protection
+  failed_login_attempts: {
+    type: Number,
+    default: 0
+  },
+  last_failed_login_at: {
+    type: Date,
+    default: null
+  },
+  last_failed_login_ip: {
+    type: String,
+    default: null
+  },
+  locked_until: {
+    type: Date,
+    default: null
+  },
+  lock_notified_at: {
+    type: Date, // Last account locked email (rate-limited by lockNotificationHours)
+    default: null
+  },
+  
   // Deactivation tracking
   deactivated_at: {
     type: Date,
@@ -126,6 +221,51 @@ userSchema.index({ invited_by: 1 });
 userSchema.index({ is_company_admin: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ workplace: 1 });
+userSchema.index({ verification_token: 1 }, { sparse: true });
+userSchema.index({ reset_password_token: 1 }, { sparse: true });
+userSchema.index({ invitation_token: 1 }, { sparse: true });
+
+// Recovery codes are compared case-insensitively and without separators
+const hashRecoveryCode = (code) => {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Emailed account tokens: which fields hold the hash and expiry, and how long each lives
+const ACCOUNT_TOKENS = {
+  verification: {
+    tokenField: 'verification_token',
+    expiresField: 'verification_expires',
+    lifetimeMs: () => securityConfig.accountTokens.verificationHours * 60 * 60 * 1000
+  },
+  password_reset: {
+    tokenField: 'reset_password_token',
+    expiresField: 'reset_password_expires',
+    lifetimeMs: () => securityConfig.accountTokens.passwordResetHours * 60 * 60 * 1000
+  },
+  invitation: {
+    tokenField: 'invitation_token',
+    expiresField: 'invitation_expires',
+    lifetimeMs: () => securityConfig.accountTokens.invitationDays * 24 * 60 * 60 * 1000
+  }
+};
+
+const hashAccountToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const getAccountTokenConfig = (type) => {
+  const config = ACCOUNT_TOKENS[type];
+  if (!config) {
+    throw new Error(`Unknown account token type: ${type}`);
+  }
+  return config;
+};
+
+// Remember the stored password hash so it can be moved to the history when changed
+userSchema.post('init', function() {
+  this.$locals.passwordHash = this.password;
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -133,9 +273,20 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
+    // Keep previous hashes so the last N passwords can't be reused
+    const previousHash = this.$locals.passwordHash;
+    const keep = securityConfig.password.historySize - 1; // The current password is checked separately
+    if (!this.isNew && previousHash) {
+      this.password_history = keep > 0
+        ? [previousHash, ...(this.password_history || [])].slice(0, keep)
+        : [];
+      this.password_changed_at = new Date();
+    }
+
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.$locals.passwordHash = this.password;
     next();
   } catch (error) {
     next(error);
@@ -162,6 +313,217 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Instance method to check if a candidate matches the current or a recent password
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  if (this.isNew || securityConfig.password.historySize <= 0) {
+    return false;
+  }
+
+  const hashes = [this.$locals.passwordHash, ...(this.password_history || [])].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Instance method to check a new password against the password policy and history
+// Returns violations as [{ rule, msg }] (empty if accepted)
+userSchema.methods.validateNewPassword = async function(candidatePassword) {
+  const errors = validatePassword(candidatePassword, { email: this.email, name: this.name });
+  if (errors.length === 0 && await this.isPasswordReused(candidatePassword)) {
+    const historySize = securityConfig.password.historySize;
+    errors.push({
+      rule: 'history',
+      msg: historySize > 1
+        ? `Du kan ikke genbruge en af dine seneste ${historySize} adgangskoder`
+        : 'Du kan ikke genbruge din nuværende adgangskode'
+    });
+  }
+  return errors;
+};
+
+// Instance method to check if user must use two-factor authentication
+userSchema.methods.requiresTwoFactor = function() {
+  return this.role === 'super_admin' || this.two_factor_required;
+};
+
+// Instance method to generate new recovery codes (returns plain codes, stores hashes)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.two_factor_recovery_codes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Instance method to consume a recovery code (each code works once)
+// The codes are read decrypted, so the remaining list is assigned back (and re-encrypted)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashRecoveryCode(code);
+  const codes = this.two_factor_recovery_codes || [];
+  if (!codes.includes(hash)) {
+    return false;
+  }
+  this.two_factor_recovery_codes = codes.filter(stored => stored !== hash);
+  return true;
+};
+
+// Instance method to create an emailed account token (returns the plain token, stores its hash and expiry)
+userSchema.methods.createAccountToken = function(type) {
+  const { tokenField, expiresField, lifetimeMs } = getAccountTokenConfig(type);
+  const token = crypto.randomBytes(32).toString('hex');
+  this[tokenField] = hashAccountToken(token);
+  this[expiresField] = new Date(Date.now() + lifetimeMs());
+  return token;
+};
+
+// Instance method to invalidate an emailed account token
+userSchema.methods.clearAccountToken = function(type) {
+  const { tokenField, expiresField } = getAccountTokenConfig(type);
+  this[tokenField] = null;
+  this[expiresField] = null;
+};
+
+// Instance method to check if the user was invited and hasn't accepted yet
+userSchema.methods.hasPendingInvitation = function() {
+  return Boolean(this.invited_by && !this.email_verified);
+};
+
+// Instance method to get the user's clinic (company admin user ID) - invited users belong to their inviter's clinic
+userSchema.methods.getClinicId = function() {
+  return this.invited_by || this._id;
+};
+
+// Instance method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.locked_until && this.locked_until > new Date());
+};
+
+// Instance method to get seconds until the next login attempt is allowed (backoff or lockout)
+userSchema.methods.getLoginRetryAfterSeconds = function() {
+  if (this.isLocked()) {
+    return Math.ceil((this.locked_until.getTime() - Date.now()) / 1000);
+  }
+
+  const backoffSeconds = getLoginBackoffSeconds(this.failed_login_attempts);
+  if (!backoffSeconds || !this.last_failed_login_at) {
+    return 0;
+  }
+
+  const nextAttemptAt = this.last_failed_login_at.getTime() + backoffSeconds * 1000;
+  return Math.max(0, Math.ceil((nextAttemptAt - Date.now()) / 1000));
+};
+
+// Static method to record a failed login atomically
+// Returns the updated user and whether this failure locked the account
+userSchema.statics.recordFailedLogin = async function(userId, ipAddress) {
+  const { lockoutAfterAttempts, lockoutMinutes } = securityConfig.login;
+  const now = new Date();
+
+  // A lock that has run out starts a new count - otherwise every later failure would lock again
+  let user = await this.findOneAndUpdate(
+    { _id: userId, locked_until: { $ne: null, $lte: now } },
+    {
+      $set: { failed_login_attempts: 1, locked_until: null, last_failed_login_at: now, last_failed_login_ip: ipAddress }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    user = await this.findByIdAndUpdate(
+      userId,
+      {
+        $inc: { failed_login_attempts: 1 },
+        $set: { last_failed_login_at: now, last_failed_login_ip: ipAddress }
+      },
+      { new: true }
+    );
+  }
+
+  if (!user || user.failed_login_attempts < lockoutAfterAttempts || user.isLocked()) {
+    return { user, locked: false };
+  }
+
+  user.locked_until = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+  await user.save();
+  return { user, locked: true };
+};
+
+// Static method to claim the account locked email
+// Returns false when one was already sent within lockNotificationHours
+userSchema.statics.claimLockNotification = async function(userId) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - securityConfig.login.lockNotificationHours * 60 * 60 * 1000);
+
+  const result = await this.updateOne(
+    { _id: userId, $or: [{ lock_notified_at: null }, { lock_notified_at: { $lte: cutoff } }] },
+    { $set: { lock_notified_at: now } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Static method to clear failed login tracking (successful login or admin unlock)
+userSchema.statics.resetFailedLogins = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    { failed_login_attempts: 0, last_failed_login_at: null, last_failed_login_ip: null, locked_until: null, lock_notified_at: null }
+  );
+};
+
+// Static method to find a user by an unexpired emailed account token
+userSchema.statics.findByAccountToken = function(type, token, filter = {}) {
+  const { tokenField, expiresField } = getAccountTokenConfig(type);
+  return this.findOne({
+    ...filter,
+    [tokenField]: hashAccountToken(token),
+    [expiresField]: { $gt: new Date() }
+  });
+};
+
+// Static method to hash legacy account tokens and give them an expiry
+// Tokens from before hashing were stored in plaintext without an expiry (new tokens always have one),
+// so already-sent verification and invitation links keep working for one more token lifetime
+userSchema.statics.migrateLegacyTokens = async function() {
+  let migrated = 0;
+
+  for (const { tokenField, expiresField, lifetimeMs } of Object.values(ACCOUNT_TOKENS)) {
+    const legacyUsers = await this.find({ [tokenField]: { $ne: null }, [expiresField]: null })
+      .select(tokenField)
+      .lean();
+
+    for (const user of legacyUsers) {
+      const token = user[tokenField];
+      // Only if the token wasn't replaced in the meantime
+      const result = await this.updateOne(
+        { _id: user._id, [tokenField]: token, [expiresField]: null },
+        { [tokenField]: hashAccountToken(token), [expiresField]: new Date(Date.now() + lifetimeMs()) }
+      );
+      migrated += result.modifiedCount;
+    }
+  }
+
+  return migrated;
+};
+
+// Static method to clear expired account tokens
+userSchema.statics.purgeExpiredTokens = async function() {
+  const now = new Date();
+  let purged = 0;
+
+  for (const { tokenField, expiresField } of Object.values(ACCOUNT_TOKENS)) {
+    const result = await this.updateMany(
+      { [tokenField]: { $ne: null }, [expiresField]: { $lte: now } },
+      { [tokenField]: null, [expiresField]: null }
+    );
+    purged += result.modifiedCount;
+  }
+
+  return purged;
+};
+
 // Instance method to get user's access level
 userSchema.methods.getAccessLevel = function() {
   return this.role;
@@ -176,8 +538,14 @@ userSchema.virtual('display_name').get(function() {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.password_history;
   delete userObject.verification_token;
   delete userObject.reset_password_token;
+  delete userObject.invitation_token;
+  delete userObject.two_factor_secret;
+  delete userObject.two_factor_pending_secret;
+  delete userObject.two_factor_recovery_codes;
+  delete userObject.two_factor_last_used_step;
   return userObject;
 };
 
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
 const { authenticate, requireSuperAdmin } = require('../middleware/auth');
-const { paramValidation } = require('../middleware/validation');
+const { paramValidation, queryValidation, companyValidation } = require('../middleware/validation');
 
 /**
  * Admin Routes
@@ -58,6 +58,44 @@ router.post('/users/:userId/mark-subscription',
   adminController.markSubscription
 );
 
+/**
+ * @route   POST /api/admin/users/:userId/unlock
+ * @desc    Unlock account locked by failed login attempts
+ * @access  Private (Super Admin only)
+ */
+router.post('/users/:userId/unlock', 
+  authenticate, 
+  requireSuperAdmin,
+  paramValidation.mongoId('userId'),
+  adminController.unlockUser
+);
+
+/**
+ * @route   PUT /api/admin/users/:userId/ai-provider
+ * @desc    Set the AI provider for a clinic's sessions
+ * @access  Private (Super Admin only)
+ */
+router.put('/users/:userId/ai-provider', 
+  authenticate, 
+  requireSuperAdmin,
+  paramValidation.mongoId('userId'),
+  companyValidation.aiProvider,
+  adminController.setAiProvider
+);
+
+/**
+ * @route   PUT /api/admin/users/:userId/corti-user
+ * @desc    Map a clinician to their Corti user
+ * @access  Private (Super Admin only)
+ */
+router.put('/users/:userId/corti-user', 
+  authenticate, 
+  requireSuperAdmin,
+  paramValidation.mongoId('userId'),
+  companyValidation.cortiUser,
+  adminController.setCortiUser
+);
+
 /**
  * @route   DELETE /api/admin/users/:userId
  * @desc    Delete a user
@@ -103,4 +141,16 @@ router.get('/leads',
   adminController.getAllLeads
 );
 
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Get audit log of clinical data access (filter by user, session, action and date range)
+ * @access  Private (Super Admin only)
+ */
+router.get('/audit', 
+  authenticate, 
+  requireSuperAdmin,
+  queryValidation.audit,
+  adminController.getAuditEvents
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
-const { userValidation } = require('../middleware/validation');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticate, authenticateTwoFactorSetup } = require('../middleware/auth');
+const { throttleAccountEmail } = require('../middleware/throttle');
+const { userValidation, twoFactorValidation, paramValidation } = require('../middleware/validation');
 
 /**
  * Authentication Routes
@@ -44,12 +46,23 @@ router.put('/profile', authenticate, userValidation.updateProfile, authControlle
  */
 router.put('/password', authenticate, authController.changePassword);
 
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Get password policy requirements
+ * @access  Public
+ */
+router.get('/password-policy', authController.getPasswordPolicy);
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset
  * @access  Public
  */
-router.post('/forgot-password', userValidation.forgotPassword, authController.forgotPassword);
+router.post('/forgot-password', 
+  userValidation.forgotPassword,
+  throttleAccountEmail('forgot-password'),
+  authController.forgotPassword
+);
 
 /**
  * @route   POST /api/auth/reset-password
@@ -70,15 +83,98 @@ router.post('/verify-email', userValidation.verifyEmail, authController.verifyEm
  * @desc    Resend verification email
  * @access  Public
  */
-router.post('/resend-verification', userValidation.resendVerification, authController.resendVerification);
+router.post('/resend-verification', 
+  userValidation.resendVerification,
+  throttleAccountEmail('resend-verification'),
+  authController.resendVerification
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange refresh token for a new token pair
+ * @access  Public
+ */
+router.post('/refresh', userValidation.refresh, authController.refresh);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user and revoke tokens
  * @access  Private
  */
 router.post('/logout', authenticate, authController.logout);
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get active logins (devices) for current user
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getLoginSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all logins except the current one
+ * @access  Private
+ */
+router.delete('/sessions', authenticate, authController.revokeOtherLoginSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:loginSessionId
+ * @desc    Revoke a single login
+ * @access  Private
+ */
+router.delete('/sessions/:loginSessionId', 
+  authenticate,
+  paramValidation.mongoId('loginSessionId'),
+  authController.revokeLoginSession
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrollment (returns secret and otpauth URL)
+ * @access  Private (access token or 2FA setup challenge token)
+ */
+router.post('/2fa/setup', authenticateTwoFactorSetup, twoFactorController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with first code and enable 2FA
+ * @access  Private (access token or 2FA setup challenge token)
+ */
+router.post('/2fa/enable', 
+  authenticateTwoFactorSetup,
+  twoFactorValidation.enable,
+  twoFactorController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with TOTP code or recovery code
+ * @access  Public (requires 2FA login challenge token)
+ */
+router.post('/2fa/verify', twoFactorValidation.verify, twoFactorController.verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Private
+ */
+router.post('/2fa/disable', 
+  authenticate,
+  twoFactorValidation.disable,
+  twoFactorController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', 
+  authenticate,
+  twoFactorValidation.enable,
+  twoFactorController.regenerateRecoveryCodes
+);
+
 /**
  * @route   GET /api/auth/verify-invitation
  * @desc    Verify invitation token
@@ -1,12 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate, requireCompanyAdmin } = require('../middleware/auth');
-const { companyValidation } = require('../middleware/validation');
+const { companyValidation, paramValidation, queryValidation } = require('../middleware/validation');
 const {
   getClinicData,
   inviteUser,
   updateUserStatus,
-  resendInvitation
+  resendInvitation,
+  logoutUser,
+  updateTwoFactorRequirement,
+  getClinicAuditEvents
 } = require('../controllers/clinicController');
 
 // All routes require authentication and company admin access
@@ -25,4 +28,13 @@ router.put('/users/:userId/status', updateUserStatus);
 // Resend invitation email
 router.post('/users/:userId/resend-invitation', resendInvitation);
 
+// Force logout user from all devices
+router.post('/users/:userId/logout', paramValidation.mongoId('userId'), logoutUser);
+
+// Require two-factor authentication for all clinic users
+router.put('/two-factor', updateTwoFactorRequirement);
+
+// Audit log of access to the clinic's sessions and templates
+router.get('/audit', queryValidation.audit, getClinicAuditEvents);
+
 module.exports = router; 
\ No newline at end of file
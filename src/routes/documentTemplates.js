@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const documentTemplateController = require('../controllers/documentTemplateController');
+const { authenticate, requireCompanyAdmin } = require('../middleware/auth');
+const { documentTemplateValidation, paramValidation } = require('../middleware/validation');
+
+/**
+ * Document Template Routes
+ * Handles the document types clinics can generate
+ * Everyone in a clinic can use the definitions, only the company admin can change them
+ */
+
+/**
+ * @route   GET /api/document-templates
+ * @desc    Get built-in and clinic-defined document types
+ * @access  Private
+ */
+router.get('/', 
+  authenticate,
+  documentTemplateController.getDocumentTemplates
+);
+
+/**
+ * @route   GET /api/document-templates/:id
+ * @desc    Get a clinic-defined document template
+ * @access  Private
+ */
+router.get('/:id', 
+  authenticate,
+  paramValidation.mongoId('id'),
+  documentTemplateController.getDocumentTemplate
+);
+
+/**
+ * @route   POST /api/document-templates
+ * @desc    Create a document template for the clinic
+ * @access  Private (Company Admin only)
+ */
+router.post('/', 
+  authenticate,
+  requireCompanyAdmin,
+  documentTemplateValidation.create,
+  documentTemplateController.createDocumentTemplate
+);
+
+/**
+ * @route   PUT /api/document-templates/:id
+ * @desc    Update a clinic document template
+ * @access  Private (Company Admin only)
+ */
+router.put('/:id', 
+  authenticate,
+  requireCompanyAdmin,
+  paramValidation.mongoId('id'),
+  documentTemplateValidation.update,
+  documentTemplateController.updateDocumentTemplate
+);
+
+/**
+ * @route   DELETE /api/document-templates/:id
+ * @desc    Soft delete a clinic document template
+ * @access  Private (Company Admin only)
+ */
+router.delete('/:id', 
+  authenticate,
+  requireCompanyAdmin,
+  paramValidation.mongoId('id'),
+  documentTemplateController.deleteDocumentTemplate
+);
+
+module.exports = router;
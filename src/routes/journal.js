@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const journalController = require('../controllers/journalController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Journal Routes
+ * Handles the journal systems (EPJ) notes can be exported to
+ * The exports themselves are template routes (/api/templates/:id/journal-exports)
+ */
+
+/**
+ * @route   GET /api/journal/systems
+ * @desc    Get supported journal systems, the user's own and the available delivery methods
+ * @access  Private
+ */
+router.get('/systems', 
+  authenticate,
+  journalController.getJournalSystems
+);
+
+module.exports = router;
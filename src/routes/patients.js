@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const patientController = require('../controllers/patientController');
+const { authenticate, requirePatientAccess } = require('../middleware/auth');
+const { auditAccess } = require('../middleware/audit');
+const { patientValidation, paramValidation } = require('../middleware/validation');
+
+/**
+ * Patient Routes
+ * Handles the clinic's patients and their consultation timeline
+ */
+
+/**
+ * @route   POST /api/patients
+ * @desc    Create a patient in the user's clinic
+ * @access  Private
+ */
+router.post('/', 
+  authenticate,
+  auditAccess('patient.create', 'patient'),
+  patientValidation.create,
+  patientController.createPatient
+);
+
+/**
+ * @route   GET /api/patients
+ * @desc    Get the clinic's patients (search with ?q= by name, patient ID or CPR number)
+ * @access  Private
+ */
+router.get('/', 
+  authenticate,
+  auditAccess('patient.list', 'patient'),
+  patientValidation.list,
+  patientController.getPatients
+);
+
+/**
+ * @route   GET /api/patients/:patientId
+ * @desc    Get patient
+ * @access  Private (with clinic access control)
+ */
+router.get('/:patientId', 
+  authenticate,
+  auditAccess('patient.read', 'patient'),
+  paramValidation.mongoId('patientId'),
+  requirePatientAccess('patientId'),
+  patientController.getPatient
+);
+
+/**
+ * @route   GET /api/patients/:patientId/cpr
+ * @desc    Reveal the patient's CPR number (audited separately from reading the patient)
+ * @access  Private (with clinic access control)
+ */
+router.get('/:patientId/cpr', 
+  authenticate,
+  auditAccess('patient.cpr_reveal', 'patient'),
+  paramValidation.mongoId('patientId'),
+  requirePatientAccess('patientId'),
+  patientController.revealPatientCpr
+);
+
+/**
+ * @route   PUT /api/patients/:patientId
+ * @desc    Update patient
+ * @access  Private (with clinic access control)
+ */
+router.put('/:patientId', 
+  authenticate,
+  auditAccess('patient.update', 'patient'),
+  paramValidation.mongoId('patientId'),
+  requirePatientAccess('patientId'),
+  patientValidation.update,
+  patientController.updatePatient
+);
+
+/**
+ * @route   DELETE /api/patients/:patientId
+ * @desc    Soft delete patient
+ * @access  Private (with clinic access control)
+ */
+router.delete('/:patientId', 
+  authenticate,
+  auditAccess('patient.delete', 'patient'),
+  paramValidation.mongoId('patientId'),
+  requirePatientAccess('patientId'),
+  patientController.deletePatient
+);
+
+/**
+ * @route   GET /api/patients/:patientId/sessions
+ * @desc    Get the patient's consultation timeline with templates
+ * @access  Private (with clinic access control)
+ */
+router.get('/:patientId/sessions', 
+  authenticate,
+  auditAccess('patient.timeline', 'patient'),
+  paramValidation.mongoId('patientId'),
+  requirePatientAccess('patientId'),
+  patientController.getPatientSessions
+);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const sessionController = require('../controllers/sessionController');
 const { authenticate, requireActiveSubscription, requireSessionAccess } = require('../middleware/auth');
+const { auditAccess } = require('../middleware/audit');
 const { sessionValidation, paramValidation, queryValidation } = require('../middleware/validation');
 
 /**
@@ -16,6 +17,7 @@ const { sessionValidation, paramValidation, queryValidation } = require('../midd
  */
 router.post('/start', 
   authenticate, 
+  auditAccess('session.create', 'session'),
   requireActiveSubscription,
   sessionValidation.start, 
   sessionController.startSession
@@ -38,6 +40,7 @@ router.get('/fact-groups',
  */
 router.get('/recent', 
   authenticate, 
+  auditAccess('session.list', 'session'),
   sessionController.getRecentSessions
 );
 
@@ -48,6 +51,7 @@ router.get('/recent',
  */
 router.get('/', 
   authenticate, 
+  auditAccess('session.list', 'session'),
   queryValidation.pagination,
   sessionController.getUserSessions
 );
@@ -59,6 +63,7 @@ router.get('/',
  */
 router.get('/:sessionId', 
   authenticate,
+  auditAccess('session.read', 'session'),
   paramValidation.mongoId('sessionId'),
   requireSessionAccess('sessionId'),
   sessionController.getSession
@@ -71,6 +76,7 @@ router.get('/:sessionId',
  */
 router.get('/:sessionId/facts', 
   authenticate,
+  auditAccess('facts.read', 'fact'),
   paramValidation.mongoId('sessionId'),
   requireSessionAccess('sessionId'),
   sessionController.getSessionFacts
@@ -83,12 +89,27 @@ router.get('/:sessionId/facts',
  */
 router.post('/:sessionId/facts', 
   authenticate,
+  auditAccess('fact.create', 'fact'),
   paramValidation.mongoId('sessionId'),
   requireSessionAccess('sessionId'),
   sessionValidation.addFact,
   sessionController.addFact
 );
 
+/**
+ * @route   POST /api/sessions/:sessionId/facts/bulk
+ * @desc    Add, update and discard several facts in one request
+ * @access  Private (with session access control)
+ */
+router.post('/:sessionId/facts/bulk',
+  authenticate,
+  auditAccess('fact.bulk', 'fact'),
+  paramValidation.mongoId('sessionId'),
+  requireSessionAccess('sessionId'),
+  sessionValidation.bulkFacts,
+  sessionController.bulkFactOperations
+);
+
 /**
  * @route   PUT /api/sessions/:sessionId/facts/:factId
  * @desc    Update fact in session
@@ -96,6 +117,7 @@ router.post('/:sessionId/facts',
  */
 router.put('/:sessionId/facts/:factId', 
   authenticate,
+  auditAccess('fact.update', 'fact'),
   paramValidation.mongoId('sessionId'),
   paramValidation.mongoId('factId'),
   requireSessionAccess('sessionId'),
@@ -103,6 +125,49 @@ router.put('/:sessionId/facts/:factId',
   sessionController.updateFact
 );
 
+/**
+ * @route   GET /api/sessions/:sessionId/facts/:factId/history
+ * @desc    Get fact version history and provenance
+ * @access  Private (with session access control)
+ */
+router.get('/:sessionId/facts/:factId/history',
+  authenticate,
+  auditAccess('fact.history', 'fact'),
+  paramValidation.mongoId('sessionId'),
+  paramValidation.mongoId('factId'),
+  requireSessionAccess('sessionId'),
+  sessionController.getFactHistory
+);
+
+/**
+ * @route   POST /api/sessions/:sessionId/facts/:factId/restore
+ * @desc    Restore an earlier version of a fact
+ * @access  Private (with session access control)
+ */
+router.post('/:sessionId/facts/:factId/restore',
+  authenticate,
+  auditAccess('fact.restore', 'fact'),
+  paramValidation.mongoId('sessionId'),
+  paramValidation.mongoId('factId'),
+  requireSessionAccess('sessionId'),
+  sessionValidation.restoreFact,
+  sessionController.restoreFactVersion
+);
+
+/**
+ * @route   GET /api/sessions/:sessionId/stream-credentials
+ * @desc    Get the stream relay URL and a short-lived stream token for this session (no Corti tokens are returned)
+ * @access  Private (session owner, requires active subscription)
+ */
+router.get('/:sessionId/stream-credentials', 
+  authenticate,
+  auditAccess('session.stream_credentials', 'session'),
+  requireActiveSubscription,
+  paramValidation.mongoId('sessionId'),
+  requireSessionAccess('sessionId'),
+  sessionController.getStreamCredentials
+);
+
 /**
  * @route   POST /api/sessions/:sessionId/start-recording
  * @desc    Start session recording
@@ -110,6 +175,7 @@ router.put('/:sessionId/facts/:factId',
  */
 router.post('/:sessionId/start-recording', 
   authenticate,
+  auditAccess('session.update', 'session'),
   paramValidation.mongoId('sessionId'),
   requireSessionAccess('sessionId'),
   sessionController.startSessionRecording
@@ -122,11 +188,26 @@ router.post('/:sessionId/start-recording',
  */
 router.post('/:sessionId/end', 
   authenticate,
+  auditAccess('session.update', 'session'),
   paramValidation.mongoId('sessionId'),
   requireSessionAccess('sessionId'),
   sessionController.endSession
 );
 
+/**
+ * @route   PUT /api/sessions/:sessionId/patient
+ * @desc    Link session to a patient in the clinic
+ * @access  Private (with session access control)
+ */
+router.put('/:sessionId/patient', 
+  authenticate,
+  auditAccess('session.update', 'session'),
+  paramValidation.mongoId('sessionId'),
+  requireSessionAccess('sessionId'),
+  sessionValidation.setPatient,
+  sessionController.setSessionPatient
+);
+
 /**
  * @route   DELETE /api/sessions/:sessionId
  * @desc    Soft delete session
@@ -134,6 +215,7 @@ router.post('/:sessionId/end',
  */
 router.delete('/:sessionId', 
   authenticate,
+  auditAccess('session.delete', 'session'),
   paramValidation.mongoId('sessionId'),
   requireSessionAccess('sessionId'),
   sessionController.deleteSession
@@ -146,9 +228,24 @@ router.delete('/:sessionId',
  */
 router.get('/:sessionId/transcripts', 
   authenticate,
+  auditAccess('transcript.read', 'transcript'),
   paramValidation.mongoId('sessionId'),
   requireSessionAccess('sessionId'),
   sessionController.getSessionTranscripts
 );
 
+/**
+ * @route   GET /api/sessions/:sessionId/export
+ * @desc    Download a session (all templates and the transcript) as PDF, DOCX, text or Markdown (?format=)
+ * @access  Private (with session access control)
+ */
+router.get('/:sessionId/export', 
+  authenticate,
+  auditAccess('session.export', 'session'),
+  paramValidation.mongoId('sessionId'),
+  requireSessionAccess('sessionId'),
+  sessionValidation.export,
+  sessionController.exportSession
+);
+
 module.exports = router; 
\ No newline at end of file
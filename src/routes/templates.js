@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const templateController = require('../controllers/templateController');
-const { authenticate, requireActiveSubscription, requireSessionAccess } = require('../middleware/auth');
+const journalController = require('../controllers/journalController');
+const { authenticate, requireActiveSubscription, requireSessionAccess, requireTemplateAccess } = require('../middleware/auth');
+const { auditAccess } = require('../middleware/audit');
 const { templateValidation, paramValidation } = require('../middleware/validation');
 
 /**
@@ -16,6 +18,7 @@ const { templateValidation, paramValidation } = require('../middleware/validatio
  */
 router.post('/generate', 
   authenticate, 
+  auditAccess('template.generate', 'template'),
   requireActiveSubscription,
   templateValidation.generate, 
   templateController.generateTemplate
@@ -28,6 +31,7 @@ router.post('/generate',
  */
 router.get('/session/:sessionId', 
   authenticate,
+  auditAccess('template.list', 'template'),
   paramValidation.mongoId('sessionId'),
   requireSessionAccess('sessionId'),
   templateController.getSessionTemplates
@@ -40,8 +44,10 @@ router.get('/session/:sessionId',
  */
 router.post('/:id/regenerate', 
   authenticate,
+  auditAccess('template.regenerate', 'template'),
   requireActiveSubscription,
   paramValidation.mongoId('id'),
+  templateValidation.regenerate,
   templateController.regenerateTemplate
 );
 
@@ -52,10 +58,166 @@ router.post('/:id/regenerate',
  */
 router.put('/:id', 
   authenticate,
+  auditAccess('template.update', 'template'),
   paramValidation.mongoId('id'),
   templateValidation.update,
   requireActiveSubscription,
   templateController.updateTemplate
 );
 
+/**
+ * @route   PUT /api/templates/:id/sections/:sectionKey
+ * @desc    Update one section of a template (manual edit)
+ * @access  Private
+ */
+router.put('/:id/sections/:sectionKey', 
+  authenticate,
+  auditAccess('template.update', 'template'),
+  paramValidation.mongoId('id'),
+  templateValidation.updateSection,
+  requireActiveSubscription,
+  templateController.updateTemplateSection
+);
+
+/**
+ * @route   POST /api/templates/:id/sections/:sectionKey/regenerate
+ * @desc    Regenerate one section of a template with updated facts
+ * @access  Private (requires active subscription)
+ */
+router.post('/:id/sections/:sectionKey/regenerate', 
+  authenticate,
+  auditAccess('template.regenerate', 'template'),
+  requireActiveSubscription,
+  paramValidation.mongoId('id'),
+  templateValidation.section,
+  templateController.regenerateTemplateSection
+);
+
+/**
+ * @route   GET /api/templates/:id/versions
+ * @desc    Get template version history
+ * @access  Private (with template access control)
+ */
+router.get('/:id/versions', 
+  authenticate,
+  auditAccess('template.history', 'template'),
+  paramValidation.mongoId('id'),
+  requireTemplateAccess('id'),
+  templateController.getTemplateVersions
+);
+
+/**
+ * @route   GET /api/templates/:id/versions/diff
+ * @desc    Compare two template versions (?from=&to=)
+ * @access  Private (with template access control)
+ */
+router.get('/:id/versions/diff', 
+  authenticate,
+  auditAccess('template.history', 'template'),
+  paramValidation.mongoId('id'),
+  requireTemplateAccess('id'),
+  templateValidation.diff,
+  templateController.diffTemplateVersions
+);
+
+/**
+ * @route   GET /api/templates/:id/versions/:version
+ * @desc    Get one template version with its content
+ * @access  Private (with template access control)
+ */
+router.get('/:id/versions/:version', 
+  authenticate,
+  auditAccess('template.history', 'template'),
+  paramValidation.mongoId('id'),
+  requireTemplateAccess('id'),
+  templateValidation.version,
+  templateController.getTemplateVersion
+);
+
+/**
+ * @route   POST /api/templates/:id/versions/:version/restore
+ * @desc    Restore an earlier template version
+ * @access  Private (with template access control)
+ */
+router.post('/:id/versions/:version/restore', 
+  authenticate,
+  auditAccess('template.restore', 'template'),
+  requireActiveSubscription,
+  paramValidation.mongoId('id'),
+  requireTemplateAccess('id'),
+  templateValidation.version,
+  templateController.restoreTemplateVersion
+);
+
+/**
+ * @route   GET /api/templates/:id/export
+ * @desc    Download a template as PDF, DOCX, text or Markdown (?format=)
+ * @access  Private (with template access control)
+ */
+router.get('/:id/export', 
+  authenticate,
+  auditAccess('template.export', 'template'),
+  paramValidation.mongoId('id'),
+  requireTemplateAccess('id'),
+  templateValidation.export,
+  templateController.exportTemplate
+);
+
+/**
+ * @route   POST /api/templates/:id/journal-exports
+ * @desc    Export a template to the journal system (EPJ) - download or deliver
+ * @access  Private (requires active subscription)
+ */
+router.post('/:id/journal-exports', 
+  authenticate,
+  auditAccess('template.journal_export', 'template'),
+  requireActiveSubscription,
+  paramValidation.mongoId('id'),
+  requireTemplateAccess('id'),
+  templateValidation.journalExport,
+  journalController.exportTemplateToJournal
+);
+
+/**
+ * @route   GET /api/templates/:id/journal-exports
+ * @desc    Get a template's journal exports and their status
+ * @access  Private (with template access control)
+ */
+router.get('/:id/journal-exports', 
+  authenticate,
+  auditAccess('template.read', 'template'),
+  paramValidation.mongoId('id'),
+  requireTemplateAccess('id'),
+  journalController.getTemplateJournalExports
+);
+
+/**
+ * @route   POST /api/templates/:id/sign
+ * @desc    Sign a template and lock it
+ * @access  Private (template author only)
+ */
+router.post('/:id/sign', 
+  authenticate,
+  auditAccess('template.sign', 'template'),
+  requireActiveSubscription,
+  paramValidation.mongoId('id'),
+  requireTemplateAccess('id'),
+  templateController.signTemplate
+);
+
+/**
+ * @route   POST /api/templates/:id/amend
+ * @desc    Amend a signed template (reason required, signed version is kept)
+ * @access  Private (template author only)
+ */
+router.post('/:id/amend', 
+  authenticate,
+  auditAccess('template.amend', 'template'),
+  requireActiveSubscription,
+  paramValidation.mongoId('id'),
+  requireTemplateAccess('id'),
+  templateValidation.amend,
+  templateController.amendTemplate
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,98 @@
+require('dotenv').config();
+const Template = require('../models/Template');
+const TemplateVersion = require('../models/TemplateVersion');
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Dedupe Templates Script
+ * Removes duplicate documents (same session, user, type and custom definition) created by concurrent
+ * first generations before the unique index existed, then builds the index.
+ * Run before deploying the unique index; Mongoose only logs a failed index build.
+ *
+ * Per duplicate group the signed (or amended) document is kept, otherwise the most recently updated one.
+ * Signed documents are never removed: a group with more than one is reported and must be resolved by hand.
+ * Pass --dry-run to only report what would be removed.
+ */
+
+const DUPLICATE_KEY = ['session_id', 'user_id', 'type', 'document_template_id'];
+
+async function findDuplicateGroups() {
+  const group = {};
+  for (const field of DUPLICATE_KEY) {
+    group[field] = `$${field}`;
+  }
+
+  return Template.aggregate([
+    {
+      $group: {
+        _id: group,
+        templates: { $push: { _id: '$_id', status: '$status', updated_at: '$updated_at' } },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } }
+  ]).allowDiskUse(true);
+}
+
+async function dedupeTemplates({ dryRun = false } = {}) {
+  let removed = 0;
+  let unresolved = 0;
+
+  try {
+    // Connect to database
+    await connectDB();
+
+    const groups = await findDuplicateGroups();
+
+    for (const { _id: key, templates } of groups) {
+      const locked = templates.filter(template => ['signed', 'amended'].includes(template.status));
+      if (locked.length > 1) {
+        unresolved += 1;
+        console.warn(`⚠️  ${locked.length} signed documents for session ${key.session_id}, user ${key.user_id}, type ${key.type} - resolve by hand: ${locked.map(template => template._id).join(', ')}`);
+        continue;
+      }
+
+      const [keep, ...duplicates] = locked.length === 1
+        ? [locked[0], ...templates.filter(template => template !== locked[0])]
+        : [...templates].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+      const duplicateIds = duplicates.map(template => template._id);
+
+      console.log(`Session ${key.session_id}, type ${key.type}: keeping ${keep._id}, removing ${duplicateIds.join(', ')}`);
+      if (!dryRun) {
+        await TemplateVersion.deleteMany({ template_id: { $in: duplicateIds } });
+        await Template.deleteMany({ _id: { $in: duplicateIds } });
+      }
+      removed += duplicateIds.length;
+    }
+
+    console.log(`${groups.length} duplicate groups, ${removed} documents ${dryRun ? 'would be ' : ''}removed, ${unresolved} unresolved`);
+
+    if (unresolved > 0) {
+      throw new Error('Duplicate signed documents left - the unique index was not built');
+    }
+
+    if (!dryRun) {
+      await Template.createIndexes();
+      console.log('Template indexes built');
+    }
+
+  } finally {
+    // Disconnect from database
+    await disconnectDB();
+  }
+}
+
+// Run the cleanup
+if (require.main === module) {
+  dedupeTemplates({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => {
+      console.log('✅ Template dedupe completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Template dedupe failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { dedupeTemplates };
@@ -0,0 +1,96 @@
+require('dotenv').config();
+const Session = require('../models/Session');
+const Template = require('../models/Template');
+const TemplateVersion = require('../models/TemplateVersion');
+const Transcript = require('../models/Transcript');
+const Fact = require('../models/Fact');
+const FactVersion = require('../models/FactVersion');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const { needsReEncryption, reEncrypt, validateKeyring } = require('../utils/fieldEncryption');
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Rotate Encryption Key Script
+ * Re-encrypts sensitive fields with the active (first) key in FIELD_ENCRYPTION_KEYS.
+ * Also encrypts legacy plaintext values. Keep old keys configured until this has run.
+ */
+
+// Models and the encrypted fields to rotate on each
+const ENCRYPTED_MODELS = [
+  { model: Session, fields: ['access_token'], select: '+access_token' },
+  { model: Template, fields: ['content', 'sections', 'original_content', 'facts_snapshot'], select: '' },
+  { model: TemplateVersion, fields: ['content', 'sections', 'facts_snapshot'], select: '' },
+  { model: Transcript, fields: ['transcripts', 'segments'], select: '' },
+  { model: Fact, fields: ['text', 'ai_text'], select: '' },
+  { model: FactVersion, fields: ['text'], select: '' },
+  { model: Patient, fields: ['cpr_number'], select: '+cpr_number' },
+  {
+    model: User,
+    fields: ['two_factor_secret', 'two_factor_pending_secret', 'two_factor_recovery_codes'],
+    select: '+two_factor_secret +two_factor_pending_secret +two_factor_recovery_codes'
+  }
+];
+
+async function rotateModel({ model, fields, select }) {
+  let scanned = 0;
+  let rotated = 0;
+
+  const cursor = model.find().select(select).cursor();
+  for await (const doc of cursor) {
+    scanned += 1;
+
+    // Work on the stored (raw) values and write them past the model setters
+    const update = {};
+    for (const field of fields) {
+      const stored = doc.get(field, null, { getters: false });
+      if (needsReEncryption(stored)) {
+        update[field] = reEncrypt(stored);
+      }
+    }
+
+    if (Object.keys(update).length === 0) {
+      continue;
+    }
+
+    await model.collection.updateOne({ _id: doc._id }, { $set: update });
+    rotated += 1;
+  }
+
+  console.log(`${model.modelName}: ${rotated} of ${scanned} documents re-encrypted`);
+}
+
+async function rotateEncryptionKey() {
+  try {
+    validateKeyring();
+
+    // Connect to database
+    await connectDB();
+
+    for (const entry of ENCRYPTED_MODELS) {
+      await rotateModel(entry);
+    }
+
+  } catch (error) {
+    console.error('❌ Error rotating encryption key:', error);
+    process.exit(1);
+  } finally {
+    // Disconnect from database
+    await disconnectDB();
+  }
+}
+
+// Run the rotation
+if (require.main === module) {
+  rotateEncryptionKey()
+    .then(() => {
+      console.log('✅ Key rotation completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Key rotation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { rotateEncryptionKey };
@@ -0,0 +1,133 @@
+const User = require('../models/User');
+const cortiService = require('./cortiService');
+const mockAiService = require('./mockAiService');
+
+/**
+ * AI Provider Service
+ * Resolves which AI provider handles a clinic's sessions. Controllers and services
+ * talk to the provider returned here instead of a specific implementation.
+ *
+ * Provider interface:
+ *   name, supportsStreaming
+ *   persistsFacts - whether getFacts returns every fact it was given (false: a missing fact may be forgotten, not deleted)
+ *   createInteraction({ user, patient, encounterType, specialty, title }) -> { interactionId, websocketUrl }
+ *   getStreamAccessToken()                      -> { accessToken, expiresIn } - server-side only (stream relay)
+ *   getFacts(interactionId, includeDiscarded)   -> [fact]
+ *   addFact(interactionId, { text, group, source }) -> { facts: [fact] }
+ *   updateFact(interactionId, factId, { text, group, isDiscarded }) -> fact
+ *   discardFact(interactionId, factId)          -> fact
+ *   generateTemplate(interactionId, definition, outputLanguage) -> { content, sections, templateKey, templateType, facts, rawData }
+ *     (definition: see documentTemplateService; sections: [{ key, name, text, sort }])
+ *   generateSection(interactionId, definition, sectionKey, outputLanguage) -> { section: { key, text }, templateKey, facts, rawData }
+ *   getFactGroups()                             -> [{ key, name }]
+ *   listTranscripts(interactionId, full)        -> { transcripts: [...] }
+ *
+ * Selection: the clinic's ai_provider (set by a super admin), otherwise AI_PROVIDER, otherwise 'corti'.
+ * Sessions remember the provider they were created with.
+ *
+ * The mock provider makes up its facts and documents, so it is refused in production unless
+ * ALLOW_MOCK_AI_PROVIDER=true (e.g. a production-mode staging server).
+ */
+
+const PROVIDERS = {
+  corti: cortiService,
+  mock: mockAiService
+};
+
+const PROVIDER_METHODS = [
+  'createInteraction',
+  'getStreamAccessToken',
+  'getFacts',
+  'addFact',
+  'updateFact',
+  'discardFact',
+  'generateTemplate',
+  'generateSection',
+  'getFactGroups',
+  'listTranscripts'
+];
+
+// Fail at startup rather than on the first request
+for (const [name, provider] of Object.entries(PROVIDERS)) {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`AI provider "${name}" is missing: ${missing.join(', ')}`);
+  }
+}
+
+// Providers that must not serve real patients
+const TEST_ONLY_PROVIDERS = ['mock'];
+
+class AiProviderService {
+  constructor() {
+    this.defaultProvider = process.env.AI_PROVIDER || 'corti';
+    if (!PROVIDERS[this.defaultProvider]) {
+      throw new Error(`Unknown AI_PROVIDER "${this.defaultProvider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!this.isAllowed(this.defaultProvider)) {
+      throw new Error(`AI_PROVIDER "${this.defaultProvider}" is not allowed in production (set ALLOW_MOCK_AI_PROVIDER=true to allow it)`);
+    }
+  }
+
+  /**
+   * Check whether a provider may be used for new sessions on this server
+   * Test-only providers are refused in production unless explicitly allowed
+   */
+  isAllowed(name) {
+    if (!TEST_ONLY_PROVIDERS.includes(name)) {
+      return true;
+    }
+    return process.env.NODE_ENV !== 'production' || process.env.ALLOW_MOCK_AI_PROVIDER === 'true';
+  }
+
+  /**
+   * Get the names of all registered providers
+   */
+  getProviderNames() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * Get a provider by name
+   */
+  get(name) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw new Error(`Unknown AI provider "${name}"`);
+    }
+    return provider;
+  }
+
+  /**
+   * Get the provider for a user's clinic (used when creating sessions)
+   * @param {Object} user - User document
+   */
+  async forUser(user) {
+    let clinicProvider = user.ai_provider;
+
+    // Invited users follow their clinic's setting
+    if (user.invited_by) {
+      const clinic = await User.findById(user.invited_by).select('ai_provider').lean();
+      clinicProvider = clinic ? clinic.ai_provider : null;
+    }
+
+    // A clinic set to a test-only provider before it was refused gets the default instead
+    if (clinicProvider && !this.isAllowed(clinicProvider)) {
+      console.warn(`AI provider "${clinicProvider}" is not allowed in production - using "${this.defaultProvider}"`);
+      clinicProvider = null;
+    }
+
+    return this.get(clinicProvider || this.defaultProvider);
+  }
+
+  /**
+   * Get the provider a session was created with
+   * Sessions from before providers were introduced are Corti sessions.
+   * @param {Object} session - Session document (or populated reference)
+   */
+  forSession(session) {
+    return this.get(session.ai_provider || 'corti');
+  }
+}
+
+module.exports = new AiProviderService();
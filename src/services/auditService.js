@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+
+/**
+ * Audit Service
+ * Writes and queries the append-only clinical data access log
+ */
+
+class AuditService {
+  /**
+   * Map an HTTP status code to an audit outcome
+   */
+  getOutcome(statusCode) {
+    if (statusCode < 400) return 'success';
+    if (statusCode === 401 || statusCode === 403) return 'denied';
+    if (statusCode === 404) return 'not_found';
+    if (statusCode < 500) return 'rejected';
+    return 'error';
+  }
+
+  /**
+   * Get the role label stored on the event
+   */
+  getUserRole(user) {
+    if (!user) return null;
+    if (user.role === 'super_admin') return 'super_admin';
+    if (user.is_company_admin) return 'company_admin';
+    return 'user';
+  }
+
+  /**
+   * Get how the actor relates to the data owner
+   */
+  getAccessType(user, subjectUserId) {
+    if (!user || !subjectUserId) return null;
+    if (user._id.toString() === subjectUserId.toString()) return 'owner';
+    if (user.role === 'super_admin') return 'super_admin';
+    return 'other';
+  }
+
+  /**
+   * Resolve the clinic (company admin user ID) a user belongs to
+   */
+  async resolveClinicId(userId) {
+    if (!userId) return null;
+    const user = await User.findById(userId).select('invited_by').lean();
+    if (!user) return null;
+    return user.invited_by || user._id;
+  }
+
+  /**
+   * Insert an audit event
+   * Failures are logged but never break the request that triggered them
+   */
+  async record(event) {
+    try {
+      if (!event.clinic_id && event.subject_user_id) {
+        event.clinic_id = await this.resolveClinicId(event.subject_user_id);
+      }
+      return await AuditEvent.create(event);
+    } catch (error) {
+      console.error('Audit log write error:', error, { action: event.action, user_id: event.user_id });
+      return null;
+    }
+  }
+
+  /**
+   * Record the audit context collected on a finished request (see middleware/audit.js)
+   */
+  recordRequest(req, res) {
+    const audit = req.audit;
+    if (!audit) {
+      return Promise.resolve(null);
+    }
+
+    const subjectUserId = audit.subject_user_id || null;
+
+    return this.record({
+      user_id: req.user ? req.user._id : null,
+      user_email: req.user ? req.user.email : null,
+      user_role: this.getUserRole(req.user),
+      action: audit.action,
+      resource_type: audit.resource_type,
+      resource_id: audit.resource_id ? audit.resource_id.toString() : null,
+      session_id: mongoose.isValidObjectId(audit.session_id) ? audit.session_id : null,
+      subject_user_id: subjectUserId,
+      clinic_id: audit.clinic_id || null,
+      access_type: this.getAccessType(req.user, subjectUserId),
+      outcome: this.getOutcome(res.statusCode),
+      status_code: res.statusCode,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent') || null,
+      method: req.method,
+      path: req.originalUrl,
+      metadata: audit.metadata
+    });
+  }
+
+  /**
+   * Build a MongoDB filter from audit query parameters
+   * @param {Object} filters - { user_id, session_id, subject_user_id, action, outcome, from, to }
+   */
+  buildQuery(filters = {}) {
+    const query = {};
+
+    if (filters.user_id) query.user_id = filters.user_id;
+    if (filters.session_id) query.session_id = filters.session_id;
+    if (filters.subject_user_id) query.subject_user_id = filters.subject_user_id;
+    if (filters.action) query.action = filters.action;
+    if (filters.outcome) query.outcome = filters.outcome;
+
+    if (filters.from || filters.to) {
+      query.created_at = {};
+      if (filters.from) query.created_at.$gte = new Date(filters.from);
+      if (filters.to) query.created_at.$lte = new Date(filters.to);
+    }
+
+    return query;
+  }
+
+  /**
+   * Get a page of audit events, newest first
+   */
+  async listEvents(query, page = 1, limit = 50) {
+    const skip = (page - 1) * limit;
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ created_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      events,
+      pagination: {
+        current_page: page,
+        total_pages: totalPages,
+        total_events: total,
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -1,17 +1,50 @@
 const axios = require('axios');
+const { DEFAULT_FACT_GROUPS } = require('../config/factGroups');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const documentTemplateService = require('./documentTemplateService');
+const {
+  AiProviderError,
+  AiProviderUnavailableError,
+  AiProviderRateLimitError,
+  AiProviderTimeoutError
+} = require('../utils/providerErrors');
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Our session encounter_type -> Corti encounter.type
+const ENCOUNTER_TYPE_MAP = {
+  consultation: 'first_consultation',
+  follow_up: 'consultation',
+  emergency: 'emergency',
+  routine: 'outpatient'
+};
 
 /**
  * Corti AI Service
  * Handles all interactions with the Corti.AI API
  * Based on the corati.ai implementation
+ * Registered as the 'corti' AI provider (see aiProviderService)
+ *
+ * Every call has a timeout and goes through a circuit breaker; idempotent calls are retried
+ * with exponential backoff. Failures are thrown as typed AiProviderErrors (see utils/providerErrors).
  */
 
 class CortiService {
   constructor() {
+    this.name = 'corti';
+    this.supportsStreaming = true;
+    this.persistsFacts = true;
     this.environment = process.env.CORTI_ENVIRONMENT || 'eu';
     this.tenantName = process.env.CORTI_TENANT_NAME || 'base';
     this.clientId = process.env.CORTI_CLIENT_ID;
     this.clientSecret = process.env.CORTI_CLIENT_SECRET;
+    this.streamScope = process.env.CORTI_STREAM_SCOPE || 'streams';
+    this.defaultUserId = process.env.CORTI_DEFAULT_USER_ID || null; // For clinicians without corti_user_id
     
     // API URLs
     this.tokenUrl = `https://auth.${this.environment}.corti.app/realms/${this.tenantName}/protocol/openid-connect/token`;
@@ -20,29 +53,202 @@ class CortiService {
     // Cache for access token
     this.accessToken = null;
     this.tokenExpiry = null;
+    this.tokenRequest = null; // In-flight token fetch shared by concurrent callers
+
+    // Resilience settings
+    this.timeoutMs = toInt(process.env.CORTI_TIMEOUT_MS, 15000);
+    this.documentTimeoutMs = toInt(process.env.CORTI_DOCUMENT_TIMEOUT_MS, 60000); // Document generation is slow
+    this.maxRetries = toInt(process.env.CORTI_MAX_RETRIES, 2);
+    this.retryBaseMs = toInt(process.env.CORTI_RETRY_BASE_MS, 500);
+    this.retryMaxMs = 5000;
+    this.breaker = new CircuitBreaker({
+      failureThreshold: toInt(process.env.CORTI_BREAKER_THRESHOLD, 5),
+      resetTimeoutMs: toInt(process.env.CORTI_BREAKER_RESET_SECONDS, 30) * 1000
+    });
+  }
+
+  /**
+   * Send a request with a timeout, through the circuit breaker, retrying idempotent calls
+   * @param {Object} config - axios request config
+   * @param {Object} options - { idempotent: retry on transient errors, timeout: ms }
+   * @returns {Promise<Object>} axios response
+   * @throws {AiProviderError}
+   */
+  async request(config, { idempotent = false, timeout = this.timeoutMs } = {}) {
+    let lastError = null;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this.breaker.canRequest()) {
+        // The circuit opened while we were retrying - report what actually failed
+        if (lastError) {
+          throw lastError;
+        }
+        throw new AiProviderUnavailableError('Corti circuit breaker is open', {
+          retryAfterSeconds: this.breaker.getRetryAfterSeconds()
+        });
+      }
+
+      try {
+        const response = await axios({ timeout, ...config });
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        const providerError = this.toProviderError(error);
+        lastError = providerError;
+
+        // Only outages count towards opening the circuit - a 4xx means Corti is up
+        if (providerError.retryable) {
+          this.breaker.recordFailure();
+        } else {
+          this.breaker.recordSuccess();
+        }
+
+        const delay = this.getRetryDelay(providerError, attempt);
+        if (!idempotent || !providerError.retryable || attempt >= this.maxRetries || delay === null) {
+          throw providerError;
+        }
+
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send an authenticated request to the Corti API
+   * A rejected token (401) is dropped from the cache and the call is repeated once with a new one.
+   */
+  async apiRequest(config, options = {}) {
+    const send = (token) => this.request({
+      ...config,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Tenant-Name': this.tenantName,
+        ...config.headers
+      }
+    }, options);
+
+    const token = await this.getAccessToken();
+    try {
+      return await send(token);
+    } catch (error) {
+      if (error.upstreamStatus !== 401) {
+        throw error;
+      }
+      // Cached token was revoked or expired early
+      this.accessToken = null;
+      this.tokenExpiry = null;
+      return send(await this.getAccessToken());
+    }
+  }
+
+  /**
+   * Convert an axios error into a typed provider error
+   */
+  toProviderError(error) {
+    if (error instanceof AiProviderError) {
+      return error;
+    }
+
+    const target = error.config ? `${(error.config.method || 'get').toUpperCase()} ${error.config.url}` : 'Corti request';
+    const status = error.response ? error.response.status : null;
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new AiProviderTimeoutError(`${target} timed out: ${error.message}`);
+    }
+
+    if (!status) {
+      return new AiProviderUnavailableError(`${target} failed: ${error.message}`);
+    }
+
+    if (status === 429) {
+      const retryAfter = parseInt(error.response.headers && error.response.headers['retry-after'], 10);
+      return new AiProviderRateLimitError(`${target} was rate limited (429)`, {
+        retryAfterSeconds: Number.isNaN(retryAfter) ? null : retryAfter,
+        upstreamStatus: status
+      });
+    }
+
+    if (status >= 500) {
+      return new AiProviderUnavailableError(`${target} failed with status ${status}`, { upstreamStatus: status });
+    }
+
+    return new AiProviderError(`${target} was rejected with status ${status}: ${error.message}`, {
+      upstreamStatus: status
+    });
+  }
+
+  /**
+   * Get the wait before the next attempt (null = don't retry)
+   */
+  getRetryDelay(error, attempt) {
+    if (error.retryAfterSeconds !== null) {
+      const retryAfterMs = error.retryAfterSeconds * 1000;
+      return retryAfterMs <= this.retryMaxMs ? retryAfterMs : null;
+    }
+
+    const backoff = Math.min(this.retryBaseMs * 2 ** attempt, this.retryMaxMs);
+    return backoff / 2 + Math.random() * backoff / 2; // Jitter
+  }
+
+  /**
+   * Prefix an error with what we were doing, keeping typed errors typed
+   */
+  wrapError(error, context) {
+    if (error instanceof AiProviderError) {
+      error.message = `${context}: ${error.message}`;
+      return error;
+    }
+    return new Error(`${context}: ${error.message}`);
+  }
+
+  /**
+   * Get the circuit breaker state (for health checks)
+   */
+  getHealth() {
+    return {
+      circuit: this.breaker.state,
+      consecutive_failures: this.breaker.failures
+    };
   }
 
   /**
    * Get access token from Corti API
    * Implements token caching to avoid unnecessary requests
+   * Single-flight: concurrent callers share one token request
    */
   async getAccessToken() {
-    try {
-      // Return cached token if still valid
-      if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
-        return this.accessToken;
-      }
+    // Return cached token if still valid
+    if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
+      return this.accessToken;
+    }
 
-      const response = await axios.post(this.tokenUrl, {
-        client_id: this.clientId,
-        client_secret: this.clientSecret,
-        grant_type: 'client_credentials',
-        scope: 'openid'
-      }, {
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.fetchAccessToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+
+    return this.tokenRequest;
+  }
+
+  /**
+   * Fetch and cache a new access token
+   */
+  async fetchAccessToken() {
+    try {
+      const response = await this.request({
+        method: 'post',
+        url: this.tokenUrl,
+        data: {
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          grant_type: 'client_credentials',
+          scope: 'openid'
+        },
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
         }
-      });
+      }, { idempotent: true });
 
       if (response.status !== 200) {
         throw new Error(`Token request failed with status ${response.status}`);
@@ -56,66 +262,109 @@ class CortiService {
       
       return access_token;
     } catch (error) {
-      throw new Error(`Failed to get Corti access token: ${error.message}`);
+      throw this.wrapError(error, 'Failed to get Corti access token');
+    }
+  }
+
+  /**
+   * Mint a new token for Corti's streaming WebSocket (used by the stream relay)
+   * The token is tenant-wide - it can stream into any interaction - so it stays server-side
+   * and is never returned to clients; browsers stream through streamRelayService.
+   * Not cached - every call returns a fresh token.
+   * @returns {Promise<{ accessToken: string, expiresIn: number }>}
+   */
+  async getStreamAccessToken() {
+    try {
+      const response = await this.request({
+        method: 'post',
+        url: this.tokenUrl,
+        data: {
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          grant_type: 'client_credentials',
+          scope: `openid ${this.streamScope}`
+        },
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }, { idempotent: true });
+
+      if (response.status !== 200) {
+        throw new Error(`Token request failed with status ${response.status}`);
+      }
+
+      return {
+        accessToken: response.data.access_token,
+        expiresIn: response.data.expires_in
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'Failed to get Corti stream token');
     }
   }
 
   /**
    * Create a new interaction (recording session)
    * Returns interaction data including WebSocket URL
+   * @param {Object} context
+   * @param {Object} context.user - Clinician (User document) - mapped to a Corti user via corti_user_id
+   * @param {Object} context.patient - Validated demographics { identifier, name, gender, birth_date, pronouns }
+   * @param {string} context.encounterType - Our encounter_type (see ENCOUNTER_TYPE_MAP)
+   * @param {string} context.specialty - Session specialty
+   * @param {string} context.title - Session title
    */
-  async createInteraction(userId, patientData = {}) {
+  async createInteraction({ user, patient = {}, encounterType = 'consultation', specialty = 'general', title } = {}) {
     try {
-      const token = await this.getAccessToken();
-      
+      const now = new Date().toISOString();
+
       const interactionData = {
-        assignedUserId: "3c90c3cc-0d44-4b50-8888-8dd25736052a", // Corti user ID
+        // Corti user the interaction belongs to (omitted if the clinician isn't mapped)
+        assignedUserId: (user && user.corti_user_id) || this.defaultUserId || undefined,
         encounter: {
           identifier: `${Date.now()}-carenote-encounter`,
-          status: "planned",
-          type: "first_consultation",
+          status: 'planned',
+          type: ENCOUNTER_TYPE_MAP[encounterType] || ENCOUNTER_TYPE_MAP.consultation,
           period: {
-            startedAt: new Date().toISOString(),
-            endedAt: new Date().toISOString()
+            startedAt: now
           },
-          title: "CareNote Recording Session"
+          title: specialty && specialty !== 'general'
+            ? `${title || 'CareNote Recording Session'} (${specialty})`
+            : title || 'CareNote Recording Session'
         },
+        // Unknown demographics are left out rather than guessed
         patient: {
-          identifier: patientData.identifier || `${Date.now()}-patient`,
-          name: "Patient",
-          gender: "unknown",
-          birthDate: "1990-01-01T00:00:00Z",
-          pronouns: "they/them"
+          identifier: patient.identifier || `${Date.now()}-patient`,
+          name: patient.name || undefined,
+          gender: patient.gender || 'unknown',
+          birthDate: patient.birth_date ? new Date(patient.birth_date).toISOString() : undefined,
+          pronouns: patient.pronouns || undefined
         }
       };
 
-      const response = await axios.post(`${this.apiBaseUrl}/interactions/`, interactionData, {
+      const response = await this.apiRequest({
+        method: 'post',
+        url: `${this.apiBaseUrl}/interactions/`,
+        data: interactionData,
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Tenant-Name': this.tenantName
+          'Content-Type': 'application/json'
         }
       });
 
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to create Corti interaction: ${error.message}`);
+      throw this.wrapError(error, 'Failed to create Corti interaction');
     }
   }
 
   /**
    * Get facts from an interaction
+   * @param {boolean} includeDiscarded - Also return discarded facts
    */
-  async getFacts(interactionId) {
+  async getFacts(interactionId, includeDiscarded = false) {
     try {
-      const token = await this.getAccessToken();
-      
-      const response = await axios.get(`${this.apiBaseUrl}/interactions/${interactionId}/facts`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Tenant-Name': this.tenantName
-        }
-      });
+      const response = await this.apiRequest({
+        method: 'get',
+        url: `${this.apiBaseUrl}/interactions/${interactionId}/facts`
+      }, { idempotent: true });
 
       if (response.status !== 200) {
         throw new Error(`Failed to get facts: ${response.status}`);
@@ -123,9 +372,9 @@ class CortiService {
 
       // Filter out discarded facts
       const facts = response.data.facts || [];
-      return facts.filter(fact => !fact.isDiscarded);
+      return includeDiscarded ? facts : facts.filter(fact => !fact.isDiscarded);
     } catch (error) {
-      throw new Error(`Failed to get facts from Corti: ${error.message}`);
+      throw this.wrapError(error, 'Failed to get facts from Corti');
     }
   }
 
@@ -134,8 +383,6 @@ class CortiService {
    */
   async addFact(interactionId, factData) {
     try {
-      const token = await this.getAccessToken();
-      
       const payload = {
         facts: [{
           text: factData.text,
@@ -144,11 +391,12 @@ class CortiService {
         }]
       };
 
-      const response = await axios.post(`${this.apiBaseUrl}/interactions/${interactionId}/facts/`, payload, {
+      const response = await this.apiRequest({
+        method: 'post',
+        url: `${this.apiBaseUrl}/interactions/${interactionId}/facts/`,
+        data: payload,
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Tenant-Name': this.tenantName
+          'Content-Type': 'application/json'
         }
       });
 
@@ -158,7 +406,7 @@ class CortiService {
 
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to add fact to Corti: ${error.message}`);
+      throw this.wrapError(error, 'Failed to add fact to Corti');
     }
   }
 
@@ -167,21 +415,21 @@ class CortiService {
    */
   async updateFact(interactionId, factId, updateData) {
     try {
-      const token = await this.getAccessToken();
-      
       const payload = {
         text: updateData.text,
         group: updateData.group,
         isDiscarded: updateData.isDiscarded || false
       };
 
-      const response = await axios.patch(`${this.apiBaseUrl}/interactions/${interactionId}/facts/${factId}`, payload, {
+      // Setting the same values twice is harmless, so PATCH is retried
+      const response = await this.apiRequest({
+        method: 'patch',
+        url: `${this.apiBaseUrl}/interactions/${interactionId}/facts/${factId}`,
+        data: payload,
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Tenant-Name': this.tenantName
+          'Content-Type': 'application/json'
         }
-      });
+      }, { idempotent: true });
 
       if (response.status !== 200) {
         throw new Error(`Failed to update fact: ${response.status}`);
@@ -189,7 +437,7 @@ class CortiService {
 
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to update fact in Corti: ${error.message}`);
+      throw this.wrapError(error, 'Failed to update fact in Corti');
     }
   }
 
@@ -200,53 +448,39 @@ class CortiService {
     try {
       return await this.updateFact(interactionId, factId, { isDiscarded: true });
     } catch (error) {
-      throw new Error(`Failed to discard fact in Corti: ${error.message}`);
+      throw this.wrapError(error, 'Failed to discard fact in Corti');
     }
   }
 
   /**
-   * Generate template from interaction facts
+   * Generate a document from interaction facts
+   * @param {string} interactionId - Corti interaction ID
+   * @param {Object} definition - Document definition (see documentTemplateService)
+   * @param {string} outputLanguage - Output language code
    */
-  async generateTemplate(interactionId, templateType = 'brief-clinical-note', outputLanguage) {
+  async generateTemplate(interactionId, definition, outputLanguage) {
     try {
-      const token = await this.getAccessToken();
-      
       // Get current facts from interaction
       const facts = await this.getFacts(interactionId);
-      
-      // Prepare template generation request
-      let templateKey, templateName;
-      if (templateType === 'soap') {
-        templateKey = 'corti-soap';
-        templateName = 'SOAP Note';
-      } else if (templateType === 'nursing-note') {
-        templateKey = 'corti-nursing-note';
-        templateName = 'Nursing Note';
-      } else if (templateType === 'referral') {
-        templateKey = 'corti-referral-c2f';
-        templateName = 'Referral Note';
-      } else {
-        templateKey = 'corti-brief-clinical-note';
-        templateName = 'Brief Clinical Note';
-      }
-      
+
       const payload = {
         context: [{
           type: 'facts',
           data: facts
         }],
-        templateKey,
-        name: templateName,
+        templateKey: definition.corti_template_key,
+        name: definition.name,
         outputLanguage
       };
 
-      const response = await axios.post(`${this.apiBaseUrl}/interactions/${interactionId}/documents/`, payload, {
+      const response = await this.apiRequest({
+        method: 'post',
+        url: `${this.apiBaseUrl}/interactions/${interactionId}/documents/`,
+        data: payload,
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Tenant-Name': this.tenantName
+          'Content-Type': 'application/json'
         }
-      });
+      }, { timeout: this.documentTimeoutMs });
 
 
       if (response.status !== 200 && response.status !== 201) {
@@ -254,50 +488,82 @@ class CortiService {
       }
 
       const templateData = response.data;
-      // Format the template content
-      let formattedContent = '';
-      if (templateType === 'soap' || templateType === 'nursing-note') {
-        // Format SOAP note and Nursing note sections (with section names)
-        formattedContent = templateData.sections
-          .sort((a, b) => a.sort - b.sort)
-          .map(section => `${section.name}:\n${section.text}`)
-          .join('\n\n');
-      } else if (templateType === 'referral') {
-        // Format Referral note (only text, no section names)
-        formattedContent = templateData.sections
-          .sort((a, b) => a.sort - b.sort)
-          .map(section => section.text)
-          .join('\n\n');
-      } else {
-        // Format Brief Clinical Note
-        formattedContent = templateData.sections[0]?.text || '';
-      }
+      // Pick the definition's sections and format the document as its layout describes
+      const { content, sections } = documentTemplateService.render(definition, templateData.sections);
 
       return {
-        content: formattedContent,
-        templateKey,
-        templateType,
+        content,
+        sections,
+        templateKey: definition.corti_template_key,
+        templateType: definition.type,
         facts: facts,
         rawData: templateData
       };
     } catch (error) {
-      throw new Error(`Failed to generate template from Corti: ${error.message}`);
+      throw this.wrapError(error, 'Failed to generate template from Corti');
     }
   }
 
   /**
-   * Get available fact groups
+   * Generate one section of a document from interaction facts
+   * Uses Corti's section-based documents (template.sectionKeys) instead of the template key
+   * @param {string} interactionId - Corti interaction ID
+   * @param {Object} definition - Document definition (see documentTemplateService)
+   * @param {string} sectionKey - Corti section key
+   * @param {string} outputLanguage - Output language code
    */
-  async getFactGroups() {
+  async generateSection(interactionId, definition, sectionKey, outputLanguage) {
     try {
-      const token = await this.getAccessToken();
-      
-      const response = await axios.get(`${this.apiBaseUrl}/factgroups/`, {
+      const facts = await this.getFacts(interactionId);
+
+      const payload = {
+        context: [{
+          type: 'facts',
+          data: facts
+        }],
+        template: {
+          sectionKeys: [sectionKey]
+        },
+        name: definition.name,
+        outputLanguage
+      };
+
+      const response = await this.apiRequest({
+        method: 'post',
+        url: `${this.apiBaseUrl}/interactions/${interactionId}/documents/`,
+        data: payload,
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'Tenant-Name': this.tenantName
+          'Content-Type': 'application/json'
         }
-      });
+      }, { timeout: this.documentTimeoutMs });
+
+      if (response.status !== 200 && response.status !== 201) {
+        throw new Error(`Failed to generate section: ${response.status}`);
+      }
+
+      const sections = response.data.sections || [];
+      const section = sections.find(candidate => candidate.key === sectionKey) || sections[0];
+
+      return {
+        section: { key: sectionKey, text: section ? section.text || '' : '' },
+        templateKey: definition.corti_template_key,
+        facts: facts,
+        rawData: response.data
+      };
+    } catch (error) {
+      throw this.wrapError(error, 'Failed to generate section from Corti');
+    }
+  }
+
+  /**
+   * Get available fact groups
+   */
+  async getFactGroups() {
+    try {
+      const response = await this.apiRequest({
+        method: 'get',
+        url: `${this.apiBaseUrl}/factgroups/`
+      }, { idempotent: true });
 
       if (response.status === 200 && response.data?.data) {
         return response.data.data;
@@ -315,21 +581,7 @@ class CortiService {
    * Fallback fact groups if API is unavailable
    */
   getFallbackFactGroups() {
-    return [
-      { key: 'symptoms', name: 'Symptoms' },
-      { key: 'diagnosis', name: 'Diagnosis' },
-      { key: 'medications', name: 'Medications' },
-      { key: 'allergies', name: 'Allergies' },
-      { key: 'vitals', name: 'Vital Signs' },
-      { key: 'procedures', name: 'Procedures' },
-      { key: 'family-history', name: 'Family History' },
-      { key: 'social-history', name: 'Social History' },
-      { key: 'physical-exam', name: 'Physical Exam' },
-      { key: 'lab-results', name: 'Lab Results' },
-      { key: 'imaging', name: 'Imaging' },
-      { key: 'treatment-plan', name: 'Treatment Plan' },
-      { key: 'other', name: 'Other' }
-    ];
+    return DEFAULT_FACT_GROUPS;
   }
 
   /**
@@ -362,17 +614,10 @@ class CortiService {
    */
   async listTranscripts(interactionId, full = false) {
     try {
-      const token = await this.getAccessToken();
-      
       // https://docs.corti.ai/api-reference/transcripts/list-transcripts
       const url = `${this.apiBaseUrl}/interactions/${interactionId}/transcripts/${full ? '?full=true' : ''}`;
       
-      const response = await axios.get(url, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Tenant-Name': this.tenantName
-        }
-      });
+      const response = await this.apiRequest({ method: 'get', url }, { idempotent: true });
 
       if (response.status !== 200) {
         throw new Error(`Failed to list transcripts: ${response.status}`);
@@ -380,7 +625,7 @@ class CortiService {
 
       return response.data;
     } catch (error) {
-      throw new Error(`Failed to list transcripts from Corti: ${error.message}`);
+      throw this.wrapError(error, 'Failed to list transcripts from Corti');
     }
   }
 
@@ -0,0 +1,346 @@
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const Template = require('../models/Template');
+const Transcript = require('../models/Transcript');
+const transcriptService = require('./transcriptService');
+const pdfService = require('./pdfService');
+const { EXPORT_FORMATS } = require('../config/exportFormats');
+const { buildDocx } = require('../utils/docx');
+
+/**
+ * Document Export Service
+ * Renders clinical notes - one template, or a whole session with all its templates and the
+ * transcript - as PDF, DOCX, plain text or Markdown, with a clinic-branded header.
+ *
+ * Every format is rendered from the same export document:
+ *   { title, header: { clinic_name, clinician, clinician_specialty, session_date, specialty, patient, signed }, parts: [{ title, sections: [{ name, text }] }] }
+ *   a section without a name is rendered as text only
+ */
+
+// Brand colors matching the application theme
+const BRAND_COLORS = {
+  primary: '#00A19D',
+  primaryDark: '#005F5E',
+  secondary: '#E8F9F8'
+};
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleString('da-DK', { timeZone: 'Europe/Copenhagen', dateStyle: 'long', timeStyle: 'short' })
+  : '');
+
+// mm:ss offset of a transcript segment
+const formatOffset = (ms) => {
+  const seconds = Math.floor((ms || 0) / 1000);
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class DocumentExportService {
+  /**
+   * Get the sections of a template as they appear in the document (per its layout)
+   * Templates without sections are exported as their content
+   */
+  templateSections(template) {
+    if (!template.sections || template.sections.length === 0) {
+      return [{ name: null, text: template.content || '' }];
+    }
+
+    const sections = [...template.sections].sort((a, b) => a.sort - b.sort);
+
+    if (template.layout === 'single') {
+      return [{ name: null, text: sections[0].text || '' }];
+    }
+
+    return sections.map(section => ({
+      name: template.layout === 'plain' ? null : section.name,
+      text: section.text || ''
+    }));
+  }
+
+  /**
+   * Build the clinic-branded header of a session's documents
+   * The clinic name is the clinic main user's workplace
+   */
+  async buildHeader(session, clinicianId) {
+    const clinician = await User.findById(clinicianId).select('name specialty workplace invited_by');
+    const clinic = clinician && clinician.invited_by
+      ? await User.findById(clinician.getClinicId()).select('name workplace')
+      : clinician;
+
+    const patient = session.patient_id
+      ? await Patient.findById(session.patient_id._id || session.patient_id).select('name identifier')
+      : null;
+
+    return {
+      clinic_name: (clinic && (clinic.workplace || clinic.name)) || 'CareNote',
+      clinician: clinician ? clinician.name : null,
+      clinician_specialty: clinician ? clinician.specialty || null : null,
+      session_date: session.started_at,
+      specialty: session.specialty || (clinician && clinician.specialty) || null,
+      patient: patient ? { name: patient.name, identifier: patient.identifier } : null,
+      signed: null
+    };
+  }
+
+  /**
+   * Get the transcript part of a session export
+   * Uses the local copy, and pulls it from the AI provider when there is none yet
+   */
+  async transcriptPart(session) {
+    let transcript = await Transcript.findOne({ session_id: session._id });
+
+    if (!transcript || transcript.sync_status !== 'synced') {
+      ({ transcript } = await transcriptService.syncSession(session));
+    }
+
+    const segments = transcript && transcript.sync_status === 'synced' ? transcript.segments || [] : [];
+    const text = segments.length > 0
+      ? segments
+        .map(segment => {
+          const speaker = segment.speaker !== null && segment.speaker !== undefined ? ` Taler ${segment.speaker}` : '';
+          return `[${formatOffset(segment.start_ms)}]${speaker}: ${segment.text}`;
+        })
+        .join('\n')
+      : 'Transskriptionen er ikke tilgængelig';
+
+    return { title: 'Transskription', sections: [{ name: null, text }] };
+  }
+
+  /**
+   * Build the export document of one template
+   */
+  async buildTemplateDocument(template, session) {
+    const header = await this.buildHeader(session, template.user_id);
+
+    if (template.isLocked()) {
+      const signer = await User.findById(template.signed_by).select('name');
+      header.signed = {
+        by: signer ? signer.name : null,
+        at: template.signed_at,
+        amended: template.status === 'amended'
+      };
+    }
+
+    return {
+      title: template.title,
+      header,
+      parts: [{ title: null, sections: this.templateSections(template) }]
+    };
+  }
+
+  /**
+   * Build the export document of a session: all its templates, then the transcript
+   */
+  async buildSessionDocument(session) {
+    const header = await this.buildHeader(session, session.user_id);
+    const templates = await Template.find({ session_id: session._id }).sort({ created_at: 1 });
+
+    const parts = templates.map(template => ({ title: template.title, sections: this.templateSections(template) }));
+    parts.push(await this.transcriptPart(session));
+
+    return { title: session.session_title, header, parts };
+  }
+
+  /**
+   * Header lines shared by the text formats
+   */
+  headerLines(header) {
+    const lines = [
+      `Kliniker: ${header.clinician || '-'}`,
+      `Dato: ${formatDate(header.session_date)}`,
+      `Speciale: ${header.specialty || '-'}`
+    ];
+    if (header.patient) {
+      lines.push(`Patient: ${header.patient.name} (${header.patient.identifier})`);
+    }
+    if (header.signed) {
+      const label = header.signed.amended ? 'Underskrevet (med tillæg)' : 'Underskrevet';
+      lines.push(`${label}: ${header.signed.by || '-'}, ${formatDate(header.signed.at)}`);
+    }
+    return lines;
+  }
+
+  renderText(document) {
+    const blocks = [
+      [document.header.clinic_name, ...this.headerLines(document.header)].join('\n'),
+      document.title
+    ];
+
+    for (const part of document.parts) {
+      if (part.title) {
+        blocks.push(`${part.title}\n${'='.repeat(part.title.length)}`);
+      }
+      for (const section of part.sections) {
+        blocks.push(section.name ? `${section.name}:\n${section.text}` : section.text);
+      }
+    }
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  renderMarkdown(document) {
+    const blocks = [
+      `**${document.header.clinic_name}**`,
+      this.headerLines(document.header).map(line => `- ${line}`).join('\n'),
+      `# ${document.title}`
+    ];
+
+    for (const part of document.parts) {
+      if (part.title) {
+        blocks.push(`## ${part.title}`);
+      }
+      // Section headings sit one level below the part title, if there is one
+      const heading = part.title ? '###' : '##';
+      for (const section of part.sections) {
+        blocks.push(section.name ? `${heading} ${section.name}\n\n${section.text}` : section.text);
+      }
+    }
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  renderHtml(document) {
+    const paragraphs = (text) => escapeHtml(text).split('\n').join('<br>');
+
+    const body = document.parts.map(part => [
+      part.title ? `<h2>${escapeHtml(part.title)}</h2>` : '',
+      ...part.sections.map(section => [
+        section.name ? `<h3>${escapeHtml(section.name)}</h3>` : '',
+        `<p>${paragraphs(section.text)}</p>`
+      ].join(''))
+    ].join('')).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${escapeHtml(document.title)}</title>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            margin: 0;
+            font-size: 12px;
+            line-height: 1.5;
+            color: #212529;
+          }
+          .document-header {
+            border-bottom: 2px solid ${BRAND_COLORS.primary};
+            padding-bottom: 10px;
+            margin-bottom: 20px;
+          }
+          .clinic-name {
+            color: ${BRAND_COLORS.primary};
+            font-size: 20px;
+            font-weight: bold;
+            margin: 0 0 6px 0;
+          }
+          .document-meta p {
+            margin: 2px 0;
+            color: ${BRAND_COLORS.primaryDark};
+            font-size: 11px;
+          }
+          h1 {
+            font-size: 18px;
+            margin: 0 0 12px 0;
+          }
+          h2 {
+            color: ${BRAND_COLORS.primaryDark};
+            background-color: ${BRAND_COLORS.secondary};
+            font-size: 15px;
+            padding: 6px 8px;
+            margin: 24px 0 8px 0;
+          }
+          h3 {
+            font-size: 13px;
+            margin: 14px 0 4px 0;
+          }
+          p {
+            margin: 0 0 8px 0;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="document-header">
+          <p class="clinic-name">${escapeHtml(document.header.clinic_name)}</p>
+          <div class="document-meta">
+            ${this.headerLines(document.header).map(line => `<p>${escapeHtml(line)}</p>`).join('')}
+          </div>
+        </div>
+        <h1>${escapeHtml(document.title)}</h1>
+        ${body}
+      </body>
+      </html>
+    `;
+  }
+
+  renderDocx(document) {
+    const paragraphs = [
+      { text: document.header.clinic_name, style: 'brand' },
+      { text: this.headerLines(document.header).join('\n'), style: 'meta', borderBottom: true },
+      { text: document.title, style: 'title' }
+    ];
+
+    for (const part of document.parts) {
+      if (part.title) {
+        paragraphs.push({ text: part.title, style: 'heading' });
+      }
+      for (const section of part.sections) {
+        if (section.name) {
+          paragraphs.push({ text: section.name, style: 'subheading' });
+        }
+        paragraphs.push({ text: section.text, style: 'normal' });
+      }
+    }
+
+    return buildDocx(paragraphs);
+  }
+
+  /**
+   * Render an export document in a format
+   * @param {Object} document - Export document (see above)
+   * @param {string} format - pdf, docx, txt or md
+   * @param {string} basename - File name without extension
+   * @returns {Promise<Object>} { buffer, filename, contentType }
+   */
+  async render(document, format, basename) {
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    const filename = `${basename}.${extension}`;
+
+    switch (format) {
+      case 'pdf':
+        return pdfService.generateDocumentPDF(this.renderHtml(document), filename);
+      case 'docx':
+        return { buffer: this.renderDocx(document), filename, contentType };
+      case 'md':
+        return { buffer: Buffer.from(this.renderMarkdown(document), 'utf8'), filename, contentType };
+      default:
+        return { buffer: Buffer.from(this.renderText(document), 'utf8'), filename, contentType };
+    }
+  }
+
+  /**
+   * Export one template
+   */
+  async exportTemplate(template, session, format) {
+    const document = await this.buildTemplateDocument(template, session);
+    const date = new Date(session.started_at).toISOString().slice(0, 10);
+    return this.render(document, format, `notat-${template.type}-${date}`);
+  }
+
+  /**
+   * Export a session with all its templates and the transcript
+   */
+  async exportSession(session, format) {
+    const document = await this.buildSessionDocument(session);
+    const date = new Date(session.started_at).toISOString().slice(0, 10);
+    return this.render(document, format, `session-${date}-${session._id.toString().slice(-6)}`);
+  }
+}
+
+module.exports = new DocumentExportService();
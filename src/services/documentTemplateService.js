@@ -0,0 +1,142 @@
+const DocumentTemplate = require('../models/DocumentTemplate');
+const {
+  BUILTIN_DOCUMENT_TEMPLATES,
+  DEFAULT_DOCUMENT_TEMPLATE
+} = require('../config/documentTemplates');
+const { renderDocumentText } = require('../utils/documentText');
+
+/**
+ * Document Template Service
+ * Resolves what kind of document to generate - a built-in type or a clinic's DocumentTemplate -
+ * into one definition object the AI providers understand, and turns the sections a provider
+ * returns into document text.
+ *
+ * Definition: { type, document_template_id, key, name, corti_template_key, layout, sections, output_language }
+ *   type is the built-in key, or 'custom' for clinic definitions (stored as Template.type)
+ */
+
+class DocumentTemplateService {
+  /**
+   * Get the keys of the built-in document types
+   */
+  getBuiltinTypes() {
+    return BUILTIN_DOCUMENT_TEMPLATES.map(template => template.key);
+  }
+
+  /**
+   * Build the definition for a built-in type
+   */
+  fromBuiltin(builtin) {
+    return {
+      type: builtin.key,
+      document_template_id: null,
+      key: builtin.key,
+      name: builtin.name,
+      corti_template_key: builtin.corti_template_key,
+      layout: builtin.layout,
+      sections: [],
+      output_language: null
+    };
+  }
+
+  /**
+   * Build the definition for a clinic's DocumentTemplate
+   */
+  fromDocumentTemplate(documentTemplate) {
+    return {
+      type: 'custom',
+      document_template_id: documentTemplate._id,
+      key: documentTemplate._id.toString(),
+      name: documentTemplate.name,
+      corti_template_key: documentTemplate.corti_template_key,
+      layout: documentTemplate.layout,
+      sections: documentTemplate.sections.map(section => ({ key: section.key, name: section.name })),
+      output_language: documentTemplate.output_language
+    };
+  }
+
+  /**
+   * Get the definition for a built-in type (unknown types get the default)
+   */
+  getBuiltin(type) {
+    const builtin = BUILTIN_DOCUMENT_TEMPLATES.find(template => template.key === type)
+      || BUILTIN_DOCUMENT_TEMPLATES.find(template => template.key === DEFAULT_DOCUMENT_TEMPLATE);
+    return this.fromBuiltin(builtin);
+  }
+
+  /**
+   * Resolve the definition a user asked to generate
+   * @param {Object} user - Requesting user
+   * @param {Object} options - { type, templateId } - templateId (a DocumentTemplate) wins over type
+   * @returns {Promise<Object|null>} Definition, or null when the DocumentTemplate isn't available to the user
+   */
+  async resolve(user, { type, templateId } = {}) {
+    if (!templateId) {
+      return this.getBuiltin(type || DEFAULT_DOCUMENT_TEMPLATE);
+    }
+
+    const query = { _id: templateId, deleted: false };
+    if (user.role !== 'super_admin') {
+      query.clinic_id = user.getClinicId();
+    }
+
+    const documentTemplate = await DocumentTemplate.findOne(query);
+    return documentTemplate ? this.fromDocumentTemplate(documentTemplate) : null;
+  }
+
+  /**
+   * Get the definition a generated Template was created with
+   * Deleted DocumentTemplates still resolve, so existing documents can be regenerated.
+   * @returns {Promise<Object|null>} Definition, or null when the DocumentTemplate no longer exists
+   */
+  async forTemplate(template) {
+    if (!template.document_template_id) {
+      return this.getBuiltin(template.type);
+    }
+
+    const documentTemplate = await DocumentTemplate.findById(template.document_template_id);
+    return documentTemplate ? this.fromDocumentTemplate(documentTemplate) : null;
+  }
+
+  /**
+   * List the document types available to a user: built-ins first, then the clinic's own
+   */
+  async listForUser(user) {
+    const custom = await DocumentTemplate.findForClinic(user.getClinicId());
+
+    return [
+      ...BUILTIN_DOCUMENT_TEMPLATES.map(builtin => this.fromBuiltin(builtin)),
+      ...custom.map(documentTemplate => this.fromDocumentTemplate(documentTemplate))
+    ];
+  }
+
+  /**
+   * Pick, rename and order the provider's sections for a definition, and render the document text
+   * @param {Object} definition - Document definition
+   * @param {Array} providerSections - [{ key, name, text, sort }] as returned by the provider
+   * @returns {Object} { content, sections }
+   */
+  render(definition, providerSections = []) {
+    let sections = [...providerSections].sort((a, b) => a.sort - b.sort);
+
+    if (definition.sections && definition.sections.length > 0) {
+      sections = definition.sections
+        .map(defined => {
+          const section = sections.find(candidate => candidate.key === defined.key);
+          return section ? { ...section, name: defined.name } : null;
+        })
+        .filter(Boolean);
+    }
+
+    sections = sections.map((section, index) => ({
+      key: section.key,
+      name: section.name,
+      text: section.text || '',
+      sort: index + 1
+    }));
+
+    return { content: renderDocumentText(definition.layout, sections), sections };
+  }
+}
+
+module.exports = new DocumentTemplateService();
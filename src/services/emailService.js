@@ -830,6 +830,136 @@ class EmailService {
       throw error;
     }
   }
+
+  /**
+   * Generate account locked notification template
+   */
+  generateAccountLockedTemplate(userData) {
+    const { name, email, lockedUntil, ipAddress } = userData;
+    const resetLink = `${this.frontendUrl}/forgot-password`;
+    const lockedUntilText = new Date(lockedUntil).toLocaleString('da-DK', { timeZone: 'Europe/Copenhagen' });
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Din konto er midlertidigt låst - ${this.companyName}</title>
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { text-align: center; padding: 30px 0; border-bottom: 2px solid ${this.colors.primary} !important; }
+          .logo { font-size: 32px; font-weight: 300; color: #333; }
+          .logo span { font-weight: 600; color: ${this.colors.primary} !important; }
+          .content { padding: 40px 0; }
+          .button { display: inline-block; padding: 14px 28px; background-color: ${this.colors.primary} !important; color: white !important; text-decoration: none; border-radius: 8px; font-weight: 600; margin: 20px 0; }
+          a.button { background-color: ${this.colors.primary} !important; color: white !important; text-decoration: none !important; }
+          .footer { border-top: 1px solid #eee; padding: 20px 0; font-size: 14px; color: #666; text-align: center; }
+          .warning-box { background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">Care<span>Note</span></div>
+          </div>
+          
+          <div class="content">
+            <h1>Din konto er midlertidigt låst</h1>
+            
+            <p>Hej ${name},</p>
+            
+            <p>Vi har registreret flere mislykkede loginforsøg på din ${this.companyName} konto. Af sikkerhedsmæssige årsager er kontoen låst indtil <strong>${lockedUntilText}</strong>.</p>
+            
+            <div class="warning-box">
+              <strong>Seneste forsøg kom fra IP-adresse:</strong> ${ipAddress || 'ukendt'}
+            </div>
+            
+            <p>Hvis det var dig, kan du prøve igen efter tidspunktet ovenfor. Hvis det ikke var dig, anbefaler vi at du nulstiller din adgangskode:</p>
+            
+            <div style="text-align: center;">
+              <a href="${resetLink}" class="button">Nulstil adgangskode</a>
+            </div>
+            
+            <p>Har du brug for at få låst kontoen op med det samme, kan du kontakte os på <a href="mailto:kontakt@carenote.dk">kontakt@carenote.dk</a>.</p>
+            
+            <p>Med venlig hilsen,<br>
+            ${this.companyName} teamet</p>
+          </div>
+          
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} ${this.companyName}. Alle rettigheder forbeholdes.</p>
+            <p>Denne e-mail blev sendt til ${email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+      Din konto er midlertidigt låst - ${this.companyName}
+      
+      Hej ${name},
+      
+      Vi har registreret flere mislykkede loginforsøg på din ${this.companyName} konto. Af sikkerhedsmæssige årsager er kontoen låst indtil ${lockedUntilText}.
+      
+      Seneste forsøg kom fra IP-adresse: ${ipAddress || 'ukendt'}
+      
+      Hvis det ikke var dig, anbefaler vi at du nulstiller din adgangskode:
+      ${resetLink}
+      
+      Spørgsmål? Kontakt os på kontakt@carenote.dk
+      
+      Med venlig hilsen,
+      ${this.companyName} teamet
+    `;
+
+    return { html, text };
+  }
+
+  /**
+   * Send account locked notification
+   */
+  async sendAccountLockedEmail(userData) {
+    try {
+      if (!this.isConfigured()) {
+        this.logger.error('Resend API key not configured');
+        throw new Error('Email service not configured');
+      }
+
+      const { email } = userData;
+      const { html, text } = this.generateAccountLockedTemplate(userData);
+
+      const result = await this.resend.emails.send({
+        from: this.fromEmail,
+        to: email,
+        subject: `Din konto er midlertidigt låst - ${this.companyName}`,
+        html,
+        text,
+        tags: [
+          { name: 'category', value: 'account_locked' },
+          { name: 'user_type', value: 'existing_user' }
+        ]
+      });
+
+      this.logger.info('Account locked email sent successfully', { 
+        email, 
+        messageId: result.data?.id,
+        userId: userData.userId 
+      });
+
+      return { success: true, messageId: result.data?.id };
+
+    } catch (error) {
+      this.logger.error('Failed to send account locked email', { 
+        email: userData.email, 
+        error: error.message,
+        userId: userData.userId 
+      });
+      throw error;
+    }
+  }
 }
 
 module.exports = new EmailService(); 
\ No newline at end of file
@@ -0,0 +1,400 @@
+const Fact = require('../models/Fact');
+const FactVersion = require('../models/FactVersion');
+const aiProviderService = require('./aiProviderService');
+const { AiProviderError } = require('../utils/providerErrors');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+/**
+ * Fact Service
+ * Keeps the local Fact collection and Corti in sync.
+ * Writes go to both stores (local first, so nothing is lost if Corti fails);
+ * reads push pending local changes to Corti and then pull Corti's current facts.
+ * Every change is recorded as a FactVersion.
+ */
+
+// Only provider errors can be told apart; anything else (e.g. a malformed response) is retried
+const isRetryable = (error) => !(error instanceof AiProviderError) || error.retryable;
+
+class FactService {
+  constructor() {
+    const concurrency = parseInt(process.env.BULK_FACT_CONCURRENCY, 10);
+    this.bulkConcurrency = Number.isNaN(concurrency) ? 4 : concurrency;
+  }
+
+  /**
+   * Take the fact's next version number and build a history entry for its current state
+   * Stored facts get the number from an atomic $inc, so concurrent changes never share a version.
+   * Save the fact first, then the returned FactVersion.
+   */
+  async recordVersion(fact, changeType, changedBy = null, restoredFromVersion = null) {
+    if (fact.isNew) {
+      fact.version += 1;
+    } else {
+      const reserved = await Fact.findOneAndUpdate(
+        { _id: fact._id },
+        { $inc: { version: 1 } },
+        { new: true, projection: { version: 1 } }
+      ).lean();
+      this.setStoredVersion(fact, reserved ? reserved.version : fact.version + 1);
+    }
+
+    return this.buildVersion(fact, changeType, changedBy, restoredFromVersion);
+  }
+
+  /**
+   * Set a version number that is already stored, so saving the fact doesn't write it back
+   * over a newer one from a concurrent change
+   */
+  setStoredVersion(fact, version) {
+    fact.version = version;
+    fact.unmarkModified('version');
+  }
+
+  /**
+   * Build a history entry for the fact's current state and version
+   */
+  buildVersion(fact, changeType, changedBy = null, restoredFromVersion = null) {
+    return new FactVersion({
+      fact_id: fact._id,
+      session_id: fact.session_id,
+      version: fact.version,
+      text: fact.text,
+      group: fact.group,
+      is_discarded: fact.is_discarded,
+      change_type: changeType,
+      changed_by: changedBy,
+      restored_from_version: restoredFromVersion
+    });
+  }
+
+  /**
+   * Record the current state of a fact that has no history yet (facts stored before versioning)
+   * Only the request that moves the stored version from 0 to 1 records it.
+   */
+  async ensureBaseline(fact) {
+    if (fact.version > 0 || fact.isNew) {
+      return;
+    }
+
+    const claimed = await Fact.updateOne({ _id: fact._id, version: { $in: [0, null] } }, { $set: { version: 1 } });
+    if (claimed.modifiedCount === 0) {
+      // Recorded by a concurrent request
+      const current = await Fact.findById(fact._id).select('version').lean();
+      if (current) {
+        this.setStoredVersion(fact, current.version);
+      }
+      return;
+    }
+
+    this.setStoredVersion(fact, 1);
+    const changeType = fact.origin === 'ai' ? 'extracted' : 'created';
+    await this.buildVersion(fact, changeType, fact.created_by).save();
+  }
+
+  /**
+   * Write a pending local fact to Corti
+   * A fact that was deleted in Corti is created again - the local change wins.
+   * Writes Corti refuses (not retryable) mark the fact failed instead of pending.
+   * @returns {Promise<string|null>} Error message, or null if Corti accepted the write
+   */
+  async pushFact(session, fact) {
+    try {
+      try {
+        await this.writeFact(session, fact);
+      } catch (error) {
+        if (!(error instanceof AiProviderError && error.upstreamStatus === 404 && fact.corti_fact_id)) {
+          throw error;
+        }
+        fact.corti_fact_id = null;
+        await this.writeFact(session, fact);
+      }
+      return null;
+    } catch (error) {
+      console.error(`Fact sync failed for session ${session._id}:`, error.message);
+      fact.markSyncFailed(error.message, isRetryable(error));
+      return error.message;
+    } finally {
+      await fact.save();
+    }
+  }
+
+  /**
+   * Create or update a fact in Corti and apply Corti's copy (not saved)
+   */
+  async writeFact(session, fact) {
+    if (!fact.corti_fact_id) {
+      const result = await aiProviderService.forSession(session).addFact(session.corti_interaction_id, {
+        text: fact.text,
+        group: fact.group,
+        source: fact.source
+      });
+
+      // Corti returns the created facts as { facts: [...] }
+      const created = result && Array.isArray(result.facts) ? result.facts[0] : null;
+      if (!created || !created.id) {
+        throw new Error('Corti returned no fact');
+      }
+      fact.corti_fact_id = created.id;
+
+      // Facts can't be created discarded
+      if (!fact.is_discarded) {
+        fact.applyCortiFact(created);
+        return;
+      }
+    }
+
+    const updated = await aiProviderService.forSession(session).updateFact(session.corti_interaction_id, fact.corti_fact_id, {
+      text: fact.text,
+      group: fact.group,
+      isDiscarded: fact.is_discarded
+    });
+    fact.applyCortiFact({ ...updated, id: fact.corti_fact_id });
+  }
+
+  /**
+   * Reconcile a session's local facts with Corti
+   * Pending local changes win over Corti's copy until they have been written, and changes Corti
+   * refused (failed) until the clinician changes the fact again. Facts deleted in Corti are
+   * discarded locally.
+   * @param {Object} session - Session document
+   * @returns {Promise<{ facts: Array, synced: boolean, error: string|null }>}
+   */
+  async reconcile(session) {
+    const facts = await Fact.find({ session_id: session._id }).sort({ created_at: 1 });
+
+    for (const fact of facts.filter(f => f.sync_status === 'pending')) {
+      const error = await this.pushFact(session, fact);
+      if (error && fact.sync_status === 'pending') {
+        // Corti is unavailable - serve the local copy
+        return { facts, synced: false, error };
+      }
+    }
+
+    let cortiFacts;
+    try {
+      cortiFacts = await aiProviderService.forSession(session).getFacts(session.corti_interaction_id, true);
+    } catch (error) {
+      console.error(`Fact reconciliation failed for session ${session._id}:`, error.message);
+      return { facts, synced: false, error: error.message };
+    }
+
+    const byCortiId = new Map(facts.filter(f => f.corti_fact_id).map(f => [f.corti_fact_id, f]));
+
+    for (const cortiFact of cortiFacts) {
+      let fact = byCortiId.get(cortiFact.id);
+
+      if (fact && (fact.sync_status !== 'synced' || !fact.isCortiFactChanged(cortiFact))) {
+        continue;
+      }
+
+      let version = null;
+      if (!fact) {
+        // Facts added by hand in Corti have source 'user'; everything else came from the AI
+        const origin = cortiFact.source === 'user' ? 'clinician' : 'ai';
+        fact = new Fact({ session_id: session._id, user_id: session.user_id, origin });
+        fact.applyCortiFact(cortiFact);
+        if (origin === 'ai') {
+          fact.ai_text = cortiFact.text;
+          fact.ai_group = cortiFact.group;
+        }
+        version = await this.recordVersion(fact, origin === 'ai' ? 'extracted' : 'created');
+      } else {
+        await this.ensureBaseline(fact);
+        const contentChanged = fact.isContentChanged(cortiFact);
+        fact.applyCortiFact(cortiFact);
+        if (contentChanged) {
+          version = await this.recordVersion(fact, 'corti_update');
+        }
+      }
+
+      try {
+        await fact.save();
+      } catch (error) {
+        // Another request stored the same Corti fact concurrently
+        if (error.code !== 11000) {
+          throw error;
+        }
+        continue;
+      }
+
+      if (!byCortiId.has(cortiFact.id)) {
+        facts.push(fact);
+      }
+      if (version) {
+        await version.save();
+      }
+    }
+
+    // Corti returns discarded facts too, so a synced fact that is missing was deleted there
+    // (providers that can forget facts don't report deletions this way)
+    const cortiIds = new Set(cortiFacts.map(cortiFact => cortiFact.id));
+    const deleted = !aiProviderService.forSession(session).persistsFacts ? [] : facts.filter(fact =>
+      fact.corti_fact_id && !cortiIds.has(fact.corti_fact_id) && fact.sync_status === 'synced' && !fact.corti_deleted_at
+    );
+
+    for (const fact of deleted) {
+      await this.ensureBaseline(fact);
+      fact.markCortiDeleted();
+      const version = await this.recordVersion(fact, 'corti_delete');
+      await fact.save();
+      await version.save();
+    }
+
+    return { facts, synced: true, error: null };
+  }
+
+  /**
+   * Add a fact to a session (always recorded as added by hand)
+   * @returns {Promise<{ fact: Object, error: string|null }>} error is set if Corti didn't accept the write yet
+   */
+  async addFact(session, { text, group }, user) {
+    const fact = new Fact({
+      session_id: session._id,
+      user_id: session.user_id,
+      text,
+      group,
+      source: 'user',
+      origin: 'clinician',
+      created_by: user._id,
+      updated_by: user._id
+    });
+    const version = await this.recordVersion(fact, 'created', user._id);
+    await fact.save();
+    await version.save();
+
+    const error = await this.pushFact(session, fact);
+    return { fact, error };
+  }
+
+  /**
+   * Update a session's fact
+   * @returns {Promise<{ fact: Object|null, error: string|null }>} fact is null if not found
+   */
+  async updateFact(session, factId, { text, group, isDiscarded }, user) {
+    const fact = await Fact.findOne({ _id: factId, session_id: session._id });
+    if (!fact) {
+      return { fact: null, error: null };
+    }
+
+    await this.ensureBaseline(fact);
+
+    // Keep the discarded flag unless it was sent
+    const discarded = isDiscarded === undefined ? fact.is_discarded : Boolean(isDiscarded);
+    const textChanged = text !== undefined && text !== fact.text;
+    const groupChanged = group !== undefined && group !== fact.group;
+
+    // Nothing to record if only the discarded flag was re-sent
+    if (!textChanged && !groupChanged && discarded === fact.is_discarded) {
+      return { fact, error: null };
+    }
+
+    if (textChanged) fact.text = text;
+    if (groupChanged) fact.group = group;
+    fact.is_discarded = discarded;
+    fact.is_edited = fact.is_edited || textChanged || groupChanged;
+
+    return this.saveChange(session, fact, textChanged || groupChanged ? 'edited' : 'discarded', user);
+  }
+
+  /**
+   * Restore an earlier version of a fact (recorded as a new version)
+   * @returns {Promise<{ fact: Object|null, restored: Object|null, error: string|null }>}
+   */
+  async restoreVersion(session, factId, versionNumber, user) {
+    const fact = await Fact.findOne({ _id: factId, session_id: session._id });
+    if (!fact) {
+      return { fact: null, restored: null, error: null };
+    }
+
+    const restored = await FactVersion.findOne({ fact_id: fact._id, version: versionNumber });
+    if (!restored) {
+      return { fact, restored: null, error: null };
+    }
+
+    fact.text = restored.text;
+    fact.group = restored.group;
+    fact.is_discarded = restored.is_discarded;
+    fact.is_edited = fact.origin === 'clinician' ||
+      restored.text !== fact.ai_text ||
+      restored.group !== fact.ai_group;
+
+    const { error } = await this.saveChange(session, fact, 'restored', user, restored.version);
+    return { fact, restored, error };
+  }
+
+  /**
+   * Record a clinician's change and write it to both stores
+   */
+  async saveChange(session, fact, changeType, user, restoredFromVersion = null) {
+    fact.updated_by = user._id;
+    fact.sync_status = 'pending';
+
+    const version = await this.recordVersion(fact, changeType, user._id, restoredFromVersion);
+    await fact.save();
+    await version.save();
+
+    const error = await this.pushFact(session, fact);
+    return { fact, error };
+  }
+
+  /**
+   * Run a list of add/update/discard operations, at most bulkConcurrency at a time
+   * One failing operation doesn't stop the others.
+   * @param {Array} operations - [{ op: 'add'|'update'|'discard', id, text, group, isDiscarded }]
+   * @returns {Promise<Array>} Per-operation results in request order
+   */
+  async bulk(session, operations, user) {
+    return mapWithConcurrency(operations, this.bulkConcurrency, async (operation, index) => {
+      const result = { index, op: operation.op, id: operation.id || null };
+
+      try {
+        let outcome;
+        if (operation.op === 'add') {
+          outcome = await this.addFact(session, { text: operation.text, group: operation.group }, user);
+        } else {
+          const isDiscarded = operation.op === 'discard' ? true : operation.isDiscarded;
+          outcome = await this.updateFact(session, operation.id, {
+            text: operation.text,
+            group: operation.group,
+            isDiscarded
+          }, user);
+        }
+
+        if (!outcome.fact) {
+          return { ...result, status: 'failed', status_code: 404, error: 'Fakta ikke fundet' };
+        }
+
+        return {
+          ...result,
+          id: outcome.fact._id.toString(),
+          // Saved locally; written to Corti on the next read if Corti was unavailable,
+          // or after the next change if Corti refused it
+          status: !outcome.error ? 'ok' : (outcome.fact.sync_status === 'failed' ? 'sync_failed' : 'pending_sync'),
+          status_code: operation.op === 'add' ? 201 : 200,
+          fact: outcome.fact.toApiFact(),
+          sync_error: outcome.error
+        };
+      } catch (error) {
+        console.error(`Bulk fact operation ${index} failed for session ${session._id}:`, error);
+        return { ...result, status: 'failed', status_code: 500, error: 'Kunne ikke udføre handlingen' };
+      }
+    });
+  }
+
+  /**
+   * Get a fact with its version history
+   * @returns {Promise<{ fact: Object|null, versions: Array }>}
+   */
+  async getHistory(session, factId) {
+    const fact = await Fact.findOne({ _id: factId, session_id: session._id });
+    if (!fact) {
+      return { fact: null, versions: [] };
+    }
+
+    await this.ensureBaseline(fact);
+    const versions = await FactVersion.getHistory(fact._id);
+    return { fact, versions };
+  }
+}
+
+module.exports = new FactService();
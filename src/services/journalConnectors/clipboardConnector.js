@@ -0,0 +1,30 @@
+const { renderDocumentText } = require('../../utils/documentText');
+
+/**
+ * Clipboard Connector
+ * Plain text laid out for pasting into a journal's note field: a one-line header followed by
+ * the note. Journal systems run on Windows, so lines end in CRLF.
+ */
+
+const formatDate = (date) => new Date(date).toLocaleDateString('da-DK', { timeZone: 'Europe/Copenhagen' });
+
+module.exports = {
+  key: 'clipboard',
+  name: 'Udklipsholder (tekst)',
+  extension: 'txt',
+  contentType: 'text/plain; charset=utf-8',
+
+  render(payload) {
+    const header = [
+      payload.document.title,
+      formatDate(payload.session.date),
+      payload.clinician.name
+    ].filter(Boolean).join(' - ');
+
+    const body = payload.document.has_sections
+      ? renderDocumentText(payload.document.layout, payload.sections)
+      : payload.content;
+
+    return `${header}\n\n${body}\n`.replace(/\r?\n/g, '\r\n');
+  }
+};
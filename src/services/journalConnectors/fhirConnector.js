@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { escapeXml } = require('../../utils/docx');
+
+/**
+ * FHIR Connector
+ * HL7 FHIR R4 document Bundle: a Composition with one section per note section, plus the
+ * Patient (identified by CPR number when known), Practitioner and Organization it references.
+ * https://hl7.org/fhir/R4/documents.html
+ */
+
+// Danish CPR number identifier system
+const CPR_SYSTEM = 'urn:oid:1.2.208.176.1.2';
+
+// Template sign-off status -> Composition.status
+const COMPOSITION_STATUS = {
+  draft: 'preliminary',
+  signed: 'final',
+  amended: 'amended'
+};
+
+const narrative = (text) => ({
+  status: 'generated',
+  div: `<div xmlns="http://www.w3.org/1999/xhtml">${String(text || '')
+    .split('\n')
+    .map(line => `<p>${escapeXml(line)}</p>`)
+    .join('')}</div>`
+});
+
+module.exports = {
+  key: 'fhir',
+  name: 'HL7 FHIR R4 (JSON)',
+  extension: 'json',
+  contentType: 'application/fhir+json; charset=utf-8',
+
+  render(payload) {
+    const { document, clinic, clinician, session, patient, sections } = payload;
+    const ids = {
+      composition: crypto.randomUUID(),
+      patient: crypto.randomUUID(),
+      practitioner: crypto.randomUUID(),
+      organization: crypto.randomUUID()
+    };
+
+    const composition = {
+      resourceType: 'Composition',
+      identifier: { system: 'urn:carenote:template', value: `${document.id}/${document.version}` },
+      status: COMPOSITION_STATUS[document.status] || 'preliminary',
+      type: {
+        coding: [{ system: 'http://loinc.org', code: '11506-3', display: 'Progress note' }],
+        text: document.title
+      },
+      ...(patient && { subject: { reference: `urn:uuid:${ids.patient}` } }),
+      encounter: { identifier: { system: 'urn:carenote:session', value: session.id } },
+      date: new Date(document.signed_at || document.updated_at || document.created_at).toISOString(),
+      author: [{ reference: `urn:uuid:${ids.practitioner}` }],
+      title: document.title,
+      custodian: { reference: `urn:uuid:${ids.organization}` },
+      ...(document.signed_at && {
+        attester: [{
+          mode: 'legal',
+          time: new Date(document.signed_at).toISOString(),
+          party: { reference: `urn:uuid:${ids.practitioner}` }
+        }]
+      }),
+      section: sections.map(section => ({
+        title: section.name,
+        code: { text: section.key },
+        text: narrative(section.text)
+      }))
+    };
+
+    const resources = [
+      { id: ids.composition, resource: composition },
+      {
+        id: ids.practitioner,
+        resource: {
+          resourceType: 'Practitioner',
+          name: [{ text: clinician.name }],
+          ...(clinician.specialty && { qualification: [{ code: { text: clinician.specialty } }] })
+        }
+      },
+      { id: ids.organization, resource: { resourceType: 'Organization', name: clinic.name } }
+    ];
+
+    if (patient) {
+      resources.push({
+        id: ids.patient,
+        resource: {
+          resourceType: 'Patient',
+          identifier: [
+            ...(patient.cpr ? [{ system: CPR_SYSTEM, value: patient.cpr }] : []),
+            { system: 'urn:carenote:patient', value: patient.identifier }
+          ],
+          name: [{ text: patient.name }],
+          gender: patient.gender,
+          ...(patient.birth_date && { birthDate: patient.birth_date })
+        }
+      });
+    }
+
+    const bundle = {
+      resourceType: 'Bundle',
+      identifier: { system: 'urn:carenote:journal-export', value: crypto.randomUUID() },
+      type: 'document',
+      timestamp: new Date().toISOString(),
+      entry: resources.map(({ id, resource }) => ({ fullUrl: `urn:uuid:${id}`, resource }))
+    };
+
+    return JSON.stringify(bundle, null, 2);
+  }
+};
@@ -0,0 +1,57 @@
+const { escapeXml } = require('../../utils/docx');
+
+/**
+ * XML Connector
+ * Structured CareNote journal XML (urn:carenote:journal:1) for journal systems with a file import.
+ * Sections are kept separate so the journal can map them to its own keywords.
+ */
+
+const element = (name, value, indent = '  ') => (value === null || value === undefined || value === ''
+  ? ''
+  : `${indent}<${name}>${escapeXml(value)}</${name}>\n`);
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+module.exports = {
+  key: 'xml',
+  name: 'Struktureret XML',
+  extension: 'xml',
+  contentType: 'application/xml; charset=utf-8',
+
+  render(payload) {
+    const { document, clinic, clinician, session, patient, sections } = payload;
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += `<JournalNote xmlns="urn:carenote:journal:1" id="${escapeXml(document.id)}" version="${document.version}" status="${document.status}">\n`;
+    xml += element('Title', document.title);
+    xml += element('Type', document.type);
+    xml += element('Created', toIso(document.created_at));
+
+    if (document.signed_at) {
+      xml += `  <Signature signedBy="${escapeXml(document.signed_by)}" signedAt="${toIso(document.signed_at)}" contentHash="sha256:${document.content_hash}"/>\n`;
+    }
+
+    xml += '  <Clinic>\n' + element('Name', clinic.name, '    ') + '  </Clinic>\n';
+    xml += '  <Author>\n' + element('Name', clinician.name, '    ') + element('Specialty', clinician.specialty, '    ') + '  </Author>\n';
+    xml += `  <Encounter id="${escapeXml(session.id)}" date="${toIso(session.date)}" type="${escapeXml(session.encounter_type)}" specialty="${escapeXml(session.specialty)}"/>\n`;
+
+    if (patient) {
+      xml += '  <Patient>\n' +
+        element('Cpr', patient.cpr, '    ') +
+        element('Identifier', patient.identifier, '    ') +
+        element('Name', patient.name, '    ') +
+        element('BirthDate', patient.birth_date, '    ') +
+        element('Gender', patient.gender, '    ') +
+        '  </Patient>\n';
+    }
+
+    xml += '  <Sections>\n';
+    for (const section of sections) {
+      xml += `    <Section key="${escapeXml(section.key)}" name="${escapeXml(section.name)}">${escapeXml(section.text)}</Section>\n`;
+    }
+    xml += '  </Sections>\n';
+    xml += '</JournalNote>\n';
+
+    return xml;
+  }
+};
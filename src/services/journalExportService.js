@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const documentExportService = require('./documentExportService');
+const clipboardConnector = require('./journalConnectors/clipboardConnector');
+const xmlConnector = require('./journalConnectors/xmlConnector');
+const fhirConnector = require('./journalConnectors/fhirConnector');
+const { JOURNAL_SYSTEMS, DEFAULT_JOURNAL_SYSTEM } = require('../config/journalSystems');
+const { JournalDeliveryError } = require('../utils/journalErrors');
+
+/**
+ * Journal Export Service
+ * Exports notes to the clinic's journal system (EPJ). The journal system decides the connector
+ * (the file format), the delivery decides where the file goes; every export is recorded on the
+ * template (Template.journal_exports) with its status.
+ *
+ * Connector interface:
+ *   key, name, extension, contentType
+ *   render(payload) -> string
+ *
+ * Payload:
+ *   document: { id, type, title, version, status, layout, has_sections, created_at, updated_at, signed_by, signed_at, content_hash }
+ *   clinic: { name }, clinician: { name, specialty }, session: { id, date, specialty, encounter_type }
+ *   patient: { name, identifier, cpr, birth_date, gender } | null
+ *   sections: [{ key, name, text }] in document order, content: plain-text note
+ */
+
+const CONNECTORS = {
+  clipboard: clipboardConnector,
+  xml: xmlConnector,
+  fhir: fhirConnector
+};
+
+const CONNECTOR_PROPERTIES = ['key', 'name', 'extension', 'contentType', 'render'];
+
+// Fail at startup rather than on the first export
+for (const [name, connector] of Object.entries(CONNECTORS)) {
+  const missing = CONNECTOR_PROPERTIES.filter(property => connector[property] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Journal connector "${name}" is missing: ${missing.join(', ')}`);
+  }
+}
+for (const system of JOURNAL_SYSTEMS) {
+  if (!CONNECTORS[system.connector]) {
+    throw new Error(`Journal system "${system.key}" uses unknown connector "${system.connector}"`);
+  }
+}
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+class JournalExportService {
+  constructor() {
+    // Delivery targets: one folder per clinic below these roots (unset = delivery unavailable)
+    this.dropFolder = process.env.JOURNAL_DROP_FOLDER || null;
+    this.sftpDir = process.env.JOURNAL_SFTP_DIR || null;
+  }
+
+  /**
+   * List the journal systems with the connector each one uses
+   */
+  listSystems() {
+    return JOURNAL_SYSTEMS.map(system => ({
+      key: system.key,
+      name: system.name,
+      connector: system.connector,
+      format: CONNECTORS[system.connector].extension
+    }));
+  }
+
+  /**
+   * Get the delivery methods that are configured on this server
+   */
+  getDeliveryMethods() {
+    return [
+      'download',
+      ...(this.dropFolder ? ['drop_folder'] : []),
+      ...(this.sftpDir ? ['sftp'] : [])
+    ];
+  }
+
+  /**
+   * Find a journal system by key, name or alias (as typed at registration)
+   * @returns {Object|null} Journal system, or null when unknown
+   */
+  findSystem(value) {
+    const wanted = String(value ?? '').trim().toLowerCase();
+    return JOURNAL_SYSTEMS.find(system =>
+      system.key === wanted || system.name.toLowerCase() === wanted || system.aliases.includes(wanted)
+    ) || null;
+  }
+
+  /**
+   * Get the journal system a user exports to
+   * Invited users without their own setting follow their clinic's
+   */
+  async systemForUser(user) {
+    let system = this.findSystem(user.journalSystem);
+
+    if ((!system || system.key === DEFAULT_JOURNAL_SYSTEM) && user.invited_by) {
+      const clinic = await User.findById(user.invited_by).select('journalSystem').lean();
+      system = clinic ? this.findSystem(clinic.journalSystem) : null;
+    }
+
+    return system || this.findSystem(DEFAULT_JOURNAL_SYSTEM);
+  }
+
+  /**
+   * Build the connector payload for a template
+   */
+  async buildPayload(template, session) {
+    const header = await documentExportService.buildHeader(session, template.user_id);
+    const title = template.title;
+
+    const patient = session.patient_id
+      ? await Patient.findById(session.patient_id._id || session.patient_id).select('+cpr_number')
+      : null;
+    const signer = template.signed_by ? await User.findById(template.signed_by).select('name') : null;
+
+    const hasSections = Boolean(template.sections && template.sections.length > 0);
+    const sections = hasSections
+      ? [...template.sections].sort((a, b) => a.sort - b.sort)
+        .map(section => ({ key: section.key, name: section.name, text: section.text || '' }))
+      : [{ key: 'note', name: title, text: template.content || '' }];
+
+    return {
+      document: {
+        id: template._id.toString(),
+        type: template.type,
+        title,
+        version: template.version || 0,
+        status: template.status,
+        layout: template.layout,
+        has_sections: hasSections,
+        created_at: template.created_at,
+        updated_at: template.updated_at,
+        signed_by: signer ? signer.name : null,
+        signed_at: template.signed_at,
+        content_hash: template.content_hash
+      },
+      clinic: { name: header.clinic_name },
+      clinician: { name: header.clinician, specialty: header.clinician_specialty },
+      session: {
+        id: session._id.toString(),
+        date: session.started_at,
+        specialty: session.specialty,
+        encounter_type: session.encounter_type
+      },
+      patient: patient ? {
+        name: patient.name,
+        identifier: patient.identifier,
+        cpr: patient.cpr_number,
+        birth_date: patient.birth_date ? patient.birth_date.toISOString().slice(0, 10) : null,
+        gender: patient.gender
+      } : null,
+      sections,
+      content: template.content || ''
+    };
+  }
+
+  /**
+   * Write a file into a folder below a delivery root
+   * Written under a temporary name and renamed, so the journal never picks up half a file
+   * @returns {Promise<string>} Location relative to the root
+   */
+  async writeToFolder(root, folder, filename, data) {
+    await fs.mkdir(path.join(root, folder), { recursive: true });
+
+    const target = path.join(root, folder, filename);
+    await fs.writeFile(`${target}.part`, data);
+    await fs.rename(`${target}.part`, target);
+
+    return path.join(folder, filename);
+  }
+
+  /**
+   * Deliver an export file
+   * sftp is a local stand-in with the same contract as an SFTP upload: the file lands in the
+   * clinic's inbox with a .sha256 checksum next to it
+   * @returns {Promise<string>} Location the file was delivered to
+   */
+  async deliver(delivery, clinicId, file, contentHash) {
+    if (delivery === 'drop_folder') {
+      if (!this.dropFolder) {
+        throw new JournalDeliveryError('JOURNAL_DROP_FOLDER is not configured', 'delivery_not_configured');
+      }
+      return this.writeToFolder(this.dropFolder, clinicId.toString(), file.filename, file.buffer);
+    }
+
+    if (delivery === 'sftp') {
+      if (!this.sftpDir) {
+        throw new JournalDeliveryError('JOURNAL_SFTP_DIR is not configured', 'delivery_not_configured');
+      }
+      const inbox = path.join(clinicId.toString(), 'inbox');
+      const location = await this.writeToFolder(this.sftpDir, inbox, file.filename, file.buffer);
+      await this.writeToFolder(this.sftpDir, inbox, `${file.filename}.sha256`, `${contentHash}  ${file.filename}\n`);
+      return location;
+    }
+
+    throw new JournalDeliveryError(`Unknown delivery method "${delivery}"`);
+  }
+
+  /**
+   * Export a template to a journal system and record the export on the template
+   * @param {Object} options - { journalSystem (key, defaults to the user's), delivery (default download) }
+   * @returns {Promise<Object>} { file, journalExport, error } - error is set when delivery failed
+   */
+  async exportTemplate(template, session, user, { journalSystem, delivery = 'download' } = {}) {
+    const system = journalSystem ? this.findSystem(journalSystem) : await this.systemForUser(user);
+    const connector = CONNECTORS[system.connector];
+
+    const payload = await this.buildPayload(template, session);
+    const buffer = Buffer.from(connector.render(payload), 'utf8');
+    const file = {
+      buffer,
+      filename: `${system.key}-${template._id}-v${payload.document.version}.${connector.extension}`,
+      contentType: connector.contentType
+    };
+    const contentHash = sha256(buffer);
+
+    const entry = {
+      journal_system: system.key,
+      connector: connector.key,
+      delivery,
+      status: 'downloaded',
+      filename: file.filename,
+      template_version: payload.document.version,
+      template_status: template.status,
+      content_hash: contentHash,
+      exported_by: user._id
+    };
+
+    let error = null;
+    if (delivery !== 'download') {
+      // Deliver to the clinic of the note's author
+      const author = await User.findById(template.user_id).select('invited_by');
+      const clinicId = author ? author.getClinicId() : template.user_id;
+
+      try {
+        entry.location = await this.deliver(delivery, clinicId, file, contentHash);
+        entry.status = 'delivered';
+        entry.delivered_at = new Date();
+      } catch (deliveryError) {
+        error = deliveryError;
+        entry.status = 'failed';
+        entry.error = deliveryError.message;
+      }
+    }
+
+    const journalExport = template.addJournalExport(entry);
+    await template.save();
+
+    return { file, journalExport, error };
+  }
+}
+
+module.exports = new JournalExportService();
@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const emailService = require('./emailService');
+const { securityConfig } = require('../config/security');
+
+/**
+ * Login Protection Service
+ * Brute-force protection for password and second-factor login steps:
+ * - Per-IP failure counter across all accounts
+ * - Per-account failure counter on User with progressive backoff and temporary lockout
+ * - Notification email when an account gets locked (at most one per lockNotificationHours)
+ *
+ * On the password step a locked account answers like a wrong password without checking it, so the
+ * lock neither shows which emails exist nor tells whether a guess was right. 423 is only sent for
+ * the failure that locks the account.
+ */
+
+class LoginProtectionService {
+  constructor() {
+    this.ipWindowMs = securityConfig.loginIp.windowMinutes * 60 * 1000;
+  }
+
+  /**
+   * Counter key for failed logins from an IP
+   */
+  getIpKey(ipAddress) {
+    return `login-ip:${ipAddress}`;
+  }
+
+  /**
+   * Check whether an IP has exceeded the failed login limit
+   * @returns {Promise<number>} Seconds until the IP may try again (0 if allowed)
+   */
+  async getIpRetryAfterSeconds(ipAddress) {
+    const failures = await RateLimitCounter.peek(this.getIpKey(ipAddress), this.ipWindowMs);
+    if (failures < securityConfig.loginIp.maxFailures) {
+      return 0;
+    }
+    return RateLimitCounter.secondsUntilReset(this.ipWindowMs);
+  }
+
+  /**
+   * Get the response for a locked account
+   * @returns {Object|null} { status, message, retryAfter } if locked, otherwise null
+   */
+  getLockBlock(user) {
+    if (!user.isLocked()) {
+      return null;
+    }
+    return {
+      status: 423,
+      message: 'Kontoen er midlertidigt låst på grund af for mange mislykkede loginforsøg. Prøv venligst igen senere.',
+      retryAfter: user.getLoginRetryAfterSeconds()
+    };
+  }
+
+  /**
+   * Check whether a login attempt is allowed right now
+   * @param {Object} req - Express request (for IP)
+   * @param {Object|null} user - User being logged in to, if known
+   * @param {Object} options - { hideLock } - true answers a locked account like a wrong password (401, no retryAfter)
+   * @returns {Promise<Object|null>} { status, message, retryAfter } if blocked, otherwise null
+   */
+  async checkAttempt(req, user, { hideLock = false } = {}) {
+    const ipRetryAfter = await this.getIpRetryAfterSeconds(req.ip);
+    if (ipRetryAfter > 0) {
+      return {
+        status: 429,
+        message: 'For mange mislykkede loginforsøg. Prøv venligst igen senere.',
+        retryAfter: ipRetryAfter
+      };
+    }
+
+    if (!user) {
+      return null;
+    }
+
+    if (user.isLocked()) {
+      return hideLock
+        ? { status: 401, message: 'Ugyldig e-mail eller adgangskode', retryAfter: null }
+        : this.getLockBlock(user);
+    }
+
+    const backoffRetryAfter = user.getLoginRetryAfterSeconds();
+    if (backoffRetryAfter > 0) {
+      return {
+        status: 429,
+        message: `For mange mislykkede loginforsøg. Vent ${backoffRetryAfter} sekunder før du prøver igen.`,
+        retryAfter: backoffRetryAfter
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a failed attempt for the IP and (if known) the account
+   * Sends a notification email when this failure locks the account
+   * @returns {Promise<boolean>} Whether the account was locked by this failure
+   */
+  async registerFailure(req, user) {
+    await RateLimitCounter.hit(this.getIpKey(req.ip), this.ipWindowMs);
+
+    if (!user) {
+      return false;
+    }
+
+    const { user: updatedUser, locked } = await User.recordFailedLogin(user._id, req.ip);
+
+    if (locked) {
+      console.warn(`Account ${updatedUser.email} locked until ${updatedUser.locked_until.toISOString()} after ${updatedUser.failed_login_attempts} failed logins`);
+    }
+
+    // At most one email per lockNotificationHours, so repeated locks don't flood the inbox
+    if (locked && await User.claimLockNotification(updatedUser._id)) {
+      try {
+        await emailService.sendAccountLockedEmail({
+          name: updatedUser.name,
+          email: updatedUser.email,
+          lockedUntil: updatedUser.locked_until,
+          ipAddress: req.ip,
+          userId: updatedUser._id
+        });
+      } catch (emailError) {
+        // Log email error but don't fail the request
+        console.error('Failed to send account locked email:', emailError.message);
+      }
+    }
+
+    return locked;
+  }
+
+  /**
+   * Clear the account's failure counter after a successful login
+   */
+  async registerSuccess(user) {
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+      await User.resetFailedLogins(user._id);
+    }
+  }
+}
+
+module.exports = new LoginProtectionService();
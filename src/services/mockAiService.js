@@ -0,0 +1,241 @@
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_FACT_GROUPS } = require('../config/factGroups');
+const documentTemplateService = require('./documentTemplateService');
+const { AiProviderError } = require('../utils/providerErrors');
+
+/**
+ * Mock AI Service
+ * Fully local AI provider for development and integration tests - no network or credentials needed.
+ * Every interaction starts with the same facts and transcript, and documents are built
+ * from the current facts, so results are deterministic.
+ * State lives in memory for at most MOCK_AI_MAX_INTERACTIONS interactions (least recently used
+ * are dropped). Unknown interactions (e.g. after a restart) start from the seed data again, and
+ * updates to facts it has forgotten recreate them, so clients keep working with their fact IDs.
+ * Because of that, a fact missing from getFacts isn't a deletion (persistsFacts: false).
+ * Registered as the 'mock' AI provider (see aiProviderService)
+ */
+
+const SEED_FACTS = [
+  { group: 'symptoms', text: 'Hovedpine gennem 3 dage, værst om morgenen' },
+  { group: 'vitals', text: 'Blodtryk 128/82 mmHg, puls 72' },
+  { group: 'medications', text: 'Paracetamol 1 g op til 3 gange dagligt' },
+  { group: 'allergies', text: 'Ingen kendte allergier' },
+  { group: 'treatment-plan', text: 'Kontrol hos egen læge om 2 uger' }
+];
+
+const SEED_TRANSCRIPT = [
+  { participant: 'doctor', text: 'Hvad kan jeg hjælpe dig med i dag?' },
+  { participant: 'patient', text: 'Jeg har haft hovedpine de sidste tre dage, især om morgenen.' },
+  { participant: 'doctor', text: 'Tager du noget for det?' },
+  { participant: 'patient', text: 'Lidt paracetamol. Jeg har ingen allergier.' },
+  { participant: 'doctor', text: 'Dit blodtryk er 128 over 82. Vi ser dig igen om to uger.' }
+];
+
+// Fixed timestamp so seeded data is identical on every run
+const SEED_TIME = '2024-01-01T00:00:00.000Z';
+
+const maxInteractions = parseInt(process.env.MOCK_AI_MAX_INTERACTIONS, 10);
+const MAX_INTERACTIONS = Number.isNaN(maxInteractions) ? 1000 : maxInteractions;
+
+class MockAiService {
+  constructor() {
+    this.name = 'mock';
+    this.supportsStreaming = false;
+    this.persistsFacts = false;
+    this.interactions = new Map(); // interactionId -> { facts }, in least recently used order
+  }
+
+  /**
+   * Get (or seed) the in-memory state of an interaction
+   */
+  getInteraction(interactionId) {
+    let interaction = this.interactions.get(interactionId);
+
+    if (interaction) {
+      // Move to the end - the first entry is the least recently used
+      this.interactions.delete(interactionId);
+    } else {
+      interaction = {
+        facts: SEED_FACTS.map((fact, index) => ({
+          id: `${interactionId}-fact-${index + 1}`,
+          text: fact.text,
+          group: fact.group,
+          source: 'core',
+          isDiscarded: false,
+          createdAt: SEED_TIME,
+          updatedAt: SEED_TIME
+        }))
+      };
+    }
+    this.interactions.set(interactionId, interaction);
+
+    if (this.interactions.size > MAX_INTERACTIONS) {
+      this.interactions.delete(this.interactions.keys().next().value);
+    }
+
+    return interaction;
+  }
+
+  /**
+   * Create a new interaction (the context is accepted but not used)
+   */
+  async createInteraction(context = {}) {
+    const interactionId = `mock-${uuidv4()}`;
+    this.getInteraction(interactionId);
+
+    return {
+      interactionId,
+      websocketUrl: `mock://interactions/${interactionId}/streams`
+    };
+  }
+
+  /**
+   * Streaming is not supported by the mock provider
+   */
+  async getStreamAccessToken() {
+    throw new Error('Streaming is not supported by the mock AI provider');
+  }
+
+  /**
+   * Get facts from an interaction
+   */
+  async getFacts(interactionId, includeDiscarded = false) {
+    const facts = this.getInteraction(interactionId).facts.map(fact => ({ ...fact }));
+    return includeDiscarded ? facts : facts.filter(fact => !fact.isDiscarded);
+  }
+
+  /**
+   * Add a new fact to an interaction
+   */
+  async addFact(interactionId, factData) {
+    const interaction = this.getInteraction(interactionId);
+    const now = new Date().toISOString();
+
+    // Random IDs, so facts added after a restart never reuse the ID of a forgotten one
+    const fact = {
+      id: `${interactionId}-fact-${uuidv4()}`,
+      text: factData.text,
+      group: factData.group,
+      source: factData.source || 'user',
+      isDiscarded: false,
+      createdAt: now,
+      updatedAt: now
+    };
+    interaction.facts.push(fact);
+
+    return { facts: [{ ...fact }] };
+  }
+
+  /**
+   * Update an existing fact
+   * A fact of this interaction that was forgotten (restart or eviction) is recreated with its ID
+   */
+  async updateFact(interactionId, factId, updateData) {
+    const interaction = this.getInteraction(interactionId);
+    let fact = interaction.facts.find(f => f.id === factId);
+
+    if (!fact) {
+      if (!factId.startsWith(`${interactionId}-fact-`)) {
+        // Same as Corti's answer for an unknown fact
+        throw new AiProviderError(`Failed to update fact in mock provider: fact ${factId} not found`, { upstreamStatus: 404 });
+      }
+      fact = { id: factId, text: '', group: 'other', source: 'user', isDiscarded: false, createdAt: new Date().toISOString() };
+      interaction.facts.push(fact);
+    }
+
+    if (updateData.text !== undefined) fact.text = updateData.text;
+    if (updateData.group !== undefined) fact.group = updateData.group;
+    fact.isDiscarded = updateData.isDiscarded || false;
+    fact.updatedAt = new Date().toISOString();
+
+    return { ...fact };
+  }
+
+  /**
+   * Discard (soft delete) a fact
+   */
+  async discardFact(interactionId, factId) {
+    return this.updateFact(interactionId, factId, { isDiscarded: true });
+  }
+
+  /**
+   * Generate a document from the interaction's current facts
+   * Sections are fact groups: the definition's sections if it has any, otherwise the default groups.
+   * Single-section documents get every fact in one section.
+   */
+  async generateTemplate(interactionId, definition, outputLanguage) {
+    const facts = await this.getFacts(interactionId);
+    const groups = definition.sections && definition.sections.length > 0 ? definition.sections : DEFAULT_FACT_GROUPS;
+
+    let sections;
+    if (definition.layout === 'single') {
+      sections = [{ key: 'note', name: definition.name, text: facts.map(fact => fact.text).join('. '), sort: 1 }];
+    } else {
+      sections = groups
+        .map(group => ({
+          key: group.key,
+          name: group.name,
+          text: facts.filter(fact => fact.group === group.key).map(fact => fact.text).join('\n')
+        }))
+        .filter(section => section.text)
+        .map((section, index) => ({ ...section, sort: index + 1 }));
+    }
+
+    const rendered = documentTemplateService.render(definition, sections);
+
+    return {
+      content: rendered.content,
+      sections: rendered.sections,
+      templateKey: `mock-${definition.key}`,
+      templateType: definition.type,
+      facts,
+      rawData: { sections, outputLanguage }
+    };
+  }
+
+  /**
+   * Generate one section of a document (the section as it appears in a full generation)
+   */
+  async generateSection(interactionId, definition, sectionKey, outputLanguage) {
+    const document = await this.generateTemplate(interactionId, definition, outputLanguage);
+    const section = document.sections.find(candidate => candidate.key === sectionKey);
+
+    return {
+      section: { key: sectionKey, text: section ? section.text : '' },
+      templateKey: document.templateKey,
+      facts: document.facts,
+      rawData: document.rawData
+    };
+  }
+
+  /**
+   * Get available fact groups
+   */
+  async getFactGroups() {
+    return DEFAULT_FACT_GROUPS;
+  }
+
+  /**
+   * List transcripts for an interaction
+   */
+  async listTranscripts(interactionId, full = false) {
+    const transcript = {
+      id: `${interactionId}-transcript-1`,
+      interactionId
+    };
+
+    if (full) {
+      transcript.transcript = SEED_TRANSCRIPT.map((line, index) => ({
+        channel: line.participant === 'doctor' ? 0 : 1,
+        participant: line.participant,
+        text: line.text,
+        start: index * 4000,
+        end: index * 4000 + 3500
+      }));
+    }
+
+    return { transcripts: [transcript] };
+  }
+}
+
+module.exports = new MockAiService();
@@ -83,6 +83,30 @@ class PDFService {
     }
   }
 
+  /**
+   * Generate PDF of a clinical document (note or session export) from HTML
+   */
+  async generateDocumentPDF(documentHTML, filename) {
+    try {
+      const pdfBuffer = await this.generatePDF(documentHTML, {
+        format: 'A4',
+        printBackground: true,
+        displayHeaderFooter: true,
+        headerTemplate: '<span></span>',
+        footerTemplate: '<div style="width:100%;font-size:8px;color:#005F5E;text-align:center;"><span class="pageNumber"></span> / <span class="totalPages"></span></div>'
+      });
+
+      return {
+        buffer: Buffer.from(pdfBuffer),
+        filename,
+        contentType: 'application/pdf'
+      };
+    } catch (error) {
+      console.error('PDF generation error:', error);
+      throw new Error(`Failed to generate PDF: ${error.message}`);
+    }
+  }
+
   /**
    * Save PDF to temporary file
    */
@@ -0,0 +1,438 @@
+const WebSocket = require('ws');
+const Session = require('../models/Session');
+const aiProviderService = require('./aiProviderService');
+const transcriptService = require('./transcriptService');
+const auditService = require('./auditService');
+const { verifySessionStreamToken, findActiveSubscription } = require('../middleware/auth');
+
+/**
+ * Stream Relay Service
+ * WebSocket endpoint that relays browser microphone audio to the session's Corti stream:
+ *   ws(s)://<host>/api/sessions/:sessionId/stream?token=<stream token>
+ *
+ * Only a stream token for this session is accepted (GET /api/sessions/:id/stream-credentials),
+ * never the API access token, which would end up in proxy and access logs.
+ *
+ * The browser speaks Corti's stream protocol (config message, binary audio, {"type":"end"}).
+ * The relay adds Corti credentials server-side, forwards transcript and fact events back,
+ * and keeps Session.status and the recording times in sync with the stream:
+ * - Corti connection opened           -> 'started'
+ * - Stream ended by the client/Corti  -> 'completed' (transcript stored locally)
+ * - Corti connection lost or refused  -> 'failed'
+ * - Browser connection dropped        -> stays 'started' so the client can reconnect
+ *
+ * Active relays are tracked in memory, so one session can only stream once per server instance.
+ */
+
+// Lowercase only, so the id in the path is the same key as session._id.toString()
+const STREAM_PATH = /^\/api\/sessions\/([a-f0-9]{24})\/stream\/?$/;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const END_TIMEOUT_MS = 15 * 1000; // Wait for Corti to flush results after "end"
+const MAX_PENDING_BYTES = 5 * 1024 * 1024; // Audio buffered while the Corti connection opens
+const MAX_EARLY_MESSAGES = 50; // Messages buffered while the connection is authenticated
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// Close codes sent to the browser (4000-4999 are application defined)
+const CLOSE_CODES = {
+  UNAUTHORIZED: 4401,
+  FORBIDDEN: 4403,
+  NOT_FOUND: 4404,
+  CONFLICT: 4409,
+  UPSTREAM_ERROR: 4502
+};
+
+// HTTP status equivalents, used for audit outcomes
+const CLOSE_CODE_STATUS = {
+  [CLOSE_CODES.UNAUTHORIZED]: 401,
+  [CLOSE_CODES.FORBIDDEN]: 403,
+  [CLOSE_CODES.NOT_FOUND]: 404,
+  [CLOSE_CODES.CONFLICT]: 409,
+  [CLOSE_CODES.UPSTREAM_ERROR]: 502
+};
+
+class StreamRelayService {
+  constructor() {
+    this.wss = null;
+    this.relays = new Map(); // sessionId -> relay state
+    this.heartbeat = null;
+  }
+
+  /**
+   * Attach the WebSocket endpoint to the HTTP server
+   */
+  attach(server) {
+    if (this.wss) {
+      return;
+    }
+
+    this.wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      const match = url.pathname.match(STREAM_PATH);
+
+      if (!match) {
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (client) => {
+        this.handleConnection(client, req, match[1], url.searchParams.get('token'));
+      });
+    });
+
+    // Drop browser connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      for (const client of this.wss.clients) {
+        if (client.isAlive === false) {
+          client.terminate();
+          continue;
+        }
+        client.isAlive = false;
+        client.ping();
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Close all relays (server shutdown). Recordings stay 'started' so clients can reconnect.
+   */
+  close() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    for (const relay of this.relays.values()) {
+      relay.client.close(1001, 'Server shutting down');
+    }
+
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  /**
+   * Authenticate a new browser connection and start relaying
+   */
+  async handleConnection(client, req, sessionId, token) {
+    const context = {
+      ipAddress: req.socket.remoteAddress,
+      userAgent: req.headers['user-agent'] || null,
+      path: `/api/sessions/${sessionId}/stream`,
+      user: null,
+      session: null
+    };
+
+    // Hold messages sent while we authenticate (clients send their config right after connecting)
+    // Capped, so unauthenticated connections can't make us buffer unbounded audio
+    const earlyMessages = [];
+    let earlyBytes = 0;
+    const bufferEarlyMessage = (data, isBinary) => {
+      earlyBytes += data.length;
+      if (earlyMessages.length >= MAX_EARLY_MESSAGES || earlyBytes > MAX_PENDING_BYTES) {
+        client.off('message', bufferEarlyMessage);
+        client.close(1009, 'Streaming buffer overflow');
+        return;
+      }
+      earlyMessages.push({ data, isBinary });
+    };
+    client.on('message', bufferEarlyMessage);
+
+    try {
+      if (!token) {
+        return this.reject(client, context, CLOSE_CODES.UNAUTHORIZED, 'Access denied. No token provided.');
+      }
+
+      const { user, error } = await verifySessionStreamToken(token, sessionId, context.ipAddress);
+      if (error) {
+        return this.reject(client, context, CLOSE_CODES.UNAUTHORIZED, error);
+      }
+      context.user = user;
+
+      const { subscription } = await findActiveSubscription(user);
+      if (!subscription) {
+        return this.reject(client, context, CLOSE_CODES.FORBIDDEN, 'Aktivt abonnement påkrævet');
+      }
+
+      const session = await Session.findById(sessionId);
+      if (!session || session.deleted) {
+        return this.reject(client, context, CLOSE_CODES.NOT_FOUND, 'Session ikke fundet');
+      }
+      context.session = session;
+
+      // Only the clinician who owns the session may record to it
+      if (session.user_id.toString() !== user._id.toString()) {
+        return this.reject(client, context, CLOSE_CODES.FORBIDDEN, 'Kun sessionens ejer kan optage');
+      }
+
+      if (!['active', 'started'].includes(session.status)) {
+        return this.reject(client, context, CLOSE_CODES.CONFLICT, 'Sessionen er afsluttet og kan ikke længere optages');
+      }
+
+      if (!aiProviderService.forSession(session).supportsStreaming) {
+        return this.reject(client, context, CLOSE_CODES.CONFLICT, 'Sessionens AI-udbyder understøtter ikke streaming');
+      }
+
+      if (this.relays.has(sessionId)) {
+        return this.reject(client, context, CLOSE_CODES.CONFLICT, 'Sessionen optages allerede fra en anden forbindelse');
+      }
+
+      client.off('message', bufferEarlyMessage);
+      await this.startRelay(client, session, earlyMessages, (statusCode) => this.audit(context, statusCode));
+    } catch (error) {
+      console.error('Stream relay connection error:', error);
+      this.reject(client, context, CLOSE_CODES.UPSTREAM_ERROR, 'Kunne ikke starte streaming');
+    }
+  }
+
+  /**
+   * Close a browser connection that was refused
+   */
+  reject(client, context, code, reason) {
+    // Unauthenticated attempts are not audited (same as HTTP routes)
+    if (context.user) {
+      this.audit(context, CLOSE_CODE_STATUS[code]);
+    }
+
+    if (client.readyState === WebSocket.OPEN) {
+      client.close(code, reason);
+    }
+  }
+
+  /**
+   * Record the connection attempt in the audit log
+   */
+  audit(context, statusCode) {
+    const { user, session } = context;
+    const subjectUserId = session ? session.user_id : null;
+
+    auditService.record({
+      user_id: user._id,
+      user_email: user.email,
+      user_role: auditService.getUserRole(user),
+      action: 'session.stream',
+      resource_type: 'session',
+      resource_id: session ? session._id.toString() : null,
+      session_id: session ? session._id : null,
+      subject_user_id: subjectUserId,
+      access_type: auditService.getAccessType(user, subjectUserId),
+      outcome: auditService.getOutcome(statusCode),
+      status_code: statusCode,
+      ip_address: context.ipAddress,
+      user_agent: context.userAgent,
+      method: 'GET',
+      path: context.path
+    });
+  }
+
+  /**
+   * Open the Corti stream and relay messages in both directions
+   * @param {Function} auditOutcome - Records the connection's outcome once known: 200 when Corti
+   *   opened, 502 when it refused (a failure before startRelay returns is audited by the caller)
+   */
+  async startRelay(client, session, earlyMessages = [], auditOutcome = () => {}) {
+    const sessionId = session._id.toString();
+
+    // The browser gave up while we were authenticating
+    if (client.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const relay = {
+      client,
+      upstream: null,
+      pending: earlyMessages,
+      pendingBytes: earlyMessages.reduce((total, message) => total + message.data.length, 0),
+      connectedAt: null,
+      auditOutcome,
+      clientClosed: false,
+      endRequested: false, // Client asked to stop recording
+      upstreamEnded: false // Corti confirmed the stream ended
+    };
+    this.relays.set(sessionId, relay);
+
+    client.isAlive = true;
+    client.on('pong', () => {
+      client.isAlive = true;
+    });
+
+    relay.endRequested = earlyMessages.some(({ data, isBinary }) => !isBinary && this.parseMessageType(data) === 'end');
+
+    client.on('message', (data, isBinary) => {
+      if (!isBinary && this.parseMessageType(data) === 'end') {
+        relay.endRequested = true;
+      }
+
+      if (relay.upstream && relay.upstream.readyState === WebSocket.OPEN) {
+        relay.upstream.send(data, { binary: isBinary });
+        return;
+      }
+
+      relay.pending.push({ data, isBinary });
+      relay.pendingBytes += data.length;
+      if (relay.pendingBytes > MAX_PENDING_BYTES) {
+        client.close(1009, 'Streaming buffer overflow');
+      }
+    });
+
+    client.on('close', (code) => {
+      relay.clientClosed = true;
+      // A normal close means the clinician stopped recording
+      if (code === 1000) {
+        relay.endRequested = true;
+      }
+      this.closeUpstream(relay);
+    });
+
+    client.on('error', (error) => {
+      console.error(`Stream relay client error (session ${sessionId}):`, error.message);
+    });
+
+    // Fetch a fresh stream-only token for the upstream connection
+    let accessToken;
+    try {
+      ({ accessToken } = await aiProviderService.forSession(session).getStreamAccessToken());
+    } catch (error) {
+      this.relays.delete(sessionId);
+      throw error;
+    }
+
+    if (relay.clientClosed) {
+      this.relays.delete(sessionId);
+      return;
+    }
+
+    const separator = session.websocket_url.includes('?') ? '&' : '?';
+    const upstreamUrl = `${session.websocket_url}${separator}token=${encodeURIComponent(`Bearer ${accessToken}`)}`;
+
+    const upstream = new WebSocket(upstreamUrl);
+    relay.upstream = upstream;
+
+    upstream.on('open', () => {
+      relay.connectedAt = Date.now();
+      relay.auditOutcome(200);
+
+      for (const { data, isBinary } of relay.pending) {
+        upstream.send(data, { binary: isBinary });
+      }
+      relay.pending = [];
+      relay.pendingBytes = 0;
+
+      Session.markRecordingStarted(session._id).catch(error => {
+        console.error('Mark recording started error:', error);
+      });
+
+      // The client may have gone away while we were connecting
+      if (relay.clientClosed) {
+        this.closeUpstream(relay);
+      }
+    });
+
+    upstream.on('message', (data, isBinary) => {
+      if (!isBinary && this.parseMessageType(data) === 'ENDED') {
+        relay.upstreamEnded = true;
+      }
+
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(data, { binary: isBinary });
+      }
+    });
+
+    upstream.on('close', () => {
+      this.finishRelay(sessionId, relay);
+    });
+
+    upstream.on('error', (error) => {
+      console.error(`Corti stream error (session ${sessionId}):`, error.message);
+    });
+  }
+
+  /**
+   * Stop the Corti side after the browser disconnected
+   * A requested end lets Corti flush its final results first; a dropped connection closes immediately
+   */
+  closeUpstream(relay) {
+    const { upstream } = relay;
+    if (!upstream) {
+      return;
+    }
+
+    if (upstream.readyState === WebSocket.CONNECTING) {
+      // Handled by the 'open' listener once connected
+      return;
+    }
+
+    if (upstream.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (relay.endRequested) {
+      upstream.send(JSON.stringify({ type: 'end' }));
+      setTimeout(() => upstream.terminate(), END_TIMEOUT_MS).unref();
+    } else {
+      upstream.close(1000);
+    }
+  }
+
+  /**
+   * Update the session from how the stream ended and close the browser side
+   * A Corti connection that never opened (refused or errored) fails the session too,
+   * unless the browser had already gone away
+   */
+  finishRelay(sessionId, relay) {
+    this.relays.delete(sessionId);
+
+    let status = 'failed';
+    if (relay.connectedAt && (relay.upstreamEnded || relay.endRequested)) {
+      status = 'completed';
+    } else if (relay.clientClosed) {
+      status = null; // Dropped browser connection - allow reconnect
+    }
+
+    if (!relay.connectedAt) {
+      relay.auditOutcome(CLOSE_CODE_STATUS[CLOSE_CODES.UPSTREAM_ERROR]);
+    }
+
+    if (relay.connectedAt || status === 'failed') {
+      const streamedSeconds = relay.connectedAt ? Math.round((Date.now() - relay.connectedAt) / 1000) : 0;
+      Session.markRecordingStopped(sessionId, streamedSeconds, status)
+        .then(async () => {
+          // Store the finished transcript locally
+          if (status === 'completed') {
+            const session = await Session.findById(sessionId);
+            if (session) {
+              await transcriptService.syncSession(session);
+            }
+          }
+        })
+        .catch(error => {
+          console.error('Mark recording stopped error:', error);
+        });
+    }
+
+    if (relay.client.readyState === WebSocket.OPEN) {
+      if (status === 'failed') {
+        relay.client.close(CLOSE_CODES.UPSTREAM_ERROR, 'Forbindelsen til Corti blev afbrudt');
+      } else {
+        relay.client.close(1000, 'Stream ended');
+      }
+    }
+  }
+
+  /**
+   * Get the "type" of a JSON text message (null if not JSON)
+   */
+  parseMessageType(data) {
+    try {
+      const message = JSON.parse(data.toString());
+      return message && typeof message.type === 'string' ? message.type : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new StreamRelayService();
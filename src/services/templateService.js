@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+const Template = require('../models/Template');
+const TemplateVersion = require('../models/TemplateVersion');
+const aiProviderService = require('./aiProviderService');
+const { diffLines } = require('../utils/textDiff');
+const { TemplateVersionConflictError } = require('../utils/templateErrors');
+
+/**
+ * Template Service
+ * Generates documents and records every change to them as a TemplateVersion.
+ * Call ensureBaseline before changing a document, then saveChange after.
+ * Saves are conditional on the version the document was loaded with, so concurrent
+ * writes fail with TemplateVersionConflictError instead of overwriting each other.
+ */
+
+class TemplateService {
+  /**
+   * Bump the template's version and build a history entry for its current state
+   * Save the template first, then the returned TemplateVersion.
+   */
+  recordVersion(template, cause, changedBy = null, { sectionKey = null, restoredFromVersion = null, reason = null } = {}) {
+    template.version = (template.version || 0) + 1;
+
+    return new TemplateVersion({
+      template_id: template._id,
+      session_id: template.session_id._id || template.session_id,
+      version: template.version,
+      content: template.content,
+      sections: template.sections || [],
+      facts_snapshot: template.facts_snapshot || [],
+      is_edited: template.is_edited,
+      cause,
+      section_key: sectionKey,
+      changed_by: changedBy,
+      restored_from_version: restoredFromVersion,
+      reason
+    });
+  }
+
+  /**
+   * Save a template only if nobody else saved it since it was loaded
+   * A new template conflicts when a concurrent request already created the same document
+   * @param {number} expectedVersion - Version the template had when it was loaded
+   */
+  async saveIfUnchanged(template, expectedVersion) {
+    if (!template.isNew) {
+      // Documents from before versioning have no version field
+      template.$where = { version: expectedVersion > 0 ? expectedVersion : { $in: [0, null] } };
+    }
+
+    try {
+      await template.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError || error.code === 11000) {
+        throw new TemplateVersionConflictError();
+      }
+      throw error;
+    } finally {
+      template.$where = undefined;
+    }
+  }
+
+  /**
+   * Record the current state of a template that has no history yet (documents stored before versioning)
+   */
+  async ensureBaseline(template) {
+    if (template.version > 0) {
+      return;
+    }
+
+    const baseline = this.recordVersion(template, 'baseline');
+    await this.saveIfUnchanged(template, 0);
+    await baseline.save();
+  }
+
+  /**
+   * Save a change to a template and record it in the history
+   * @param {Object} options - { sectionKey, restoredFromVersion, reason }
+   */
+  async saveChange(template, cause, user, options = {}) {
+    const expectedVersion = template.version;
+    const version = this.recordVersion(template, cause, user._id, options);
+    await this.saveIfUnchanged(template, expectedVersion);
+    await version.save();
+    return template;
+  }
+
+  /**
+   * Find the user's document of a kind for a session (one per session, user and definition)
+   */
+  findForDefinition(session, user, definition) {
+    return Template.findOne({
+      session_id: session._id,
+      user_id: user._id,
+      type: definition.type,
+      document_template_id: definition.document_template_id || null
+    });
+  }
+
+  /**
+   * Generate a document for a session, or regenerate the user's existing one of the same kind
+   * @param {Object} session - Session document
+   * @param {Object} user - Requesting user (owner of the document)
+   * @param {Object} definition - Document definition (see documentTemplateService)
+   * @param {string} outputLanguage - Output language code
+   * @param {Object} options - { template: existing document (see findForDefinition), mode: 'replace'|'merge' }
+   * @returns {Promise<{ template: Object, templateData: Object }>}
+   */
+  async generate(session, user, definition, outputLanguage, { template = null, mode = 'replace' } = {}) {
+    const templateData = await aiProviderService.forSession(session).generateTemplate(
+      session.corti_interaction_id,
+      definition,
+      outputLanguage
+    );
+
+    if (!template) {
+      template = new Template({
+        session_id: session._id,
+        user_id: user._id,
+        type: definition.type,
+        document_template_id: definition.document_template_id || null
+      });
+    }
+
+    template.title = definition.name;
+    template.output_language = outputLanguage;
+    await this.applyGeneration(template, templateData, definition, user, mode);
+
+    return { template, templateData };
+  }
+
+  /**
+   * Regenerate an existing document from the session's current facts
+   * @param {Object} template - Template document
+   * @param {Object} session - The template's session
+   * @param {string} mode - 'replace' (whole document) or 'merge' (only sections not edited by hand)
+   * @returns {Promise<Object>} Provider result ({ content, sections, facts, ... })
+   */
+  async regenerate(template, session, user, definition, mode = 'replace') {
+    const templateData = await aiProviderService.forSession(session).generateTemplate(
+      session.corti_interaction_id,
+      definition,
+      template.output_language
+    );
+
+    await this.applyGeneration(template, templateData, definition, user, mode);
+    return templateData;
+  }
+
+  /**
+   * Put a provider result into a document and record it
+   */
+  async applyGeneration(template, templateData, definition, user, mode) {
+    let cause = 'generated';
+    if (!template.isNew) {
+      await this.ensureBaseline(template);
+      cause = mode === 'merge' ? 'merged' : 'regenerated';
+    }
+
+    template.layout = definition.layout;
+    template.template_key = templateData.templateKey;
+
+    if (mode === 'merge' && !template.isNew) {
+      template.mergeRegenerated(templateData.facts, templateData.sections);
+    } else {
+      template.regenerate(templateData.content, templateData.facts, templateData.sections);
+    }
+
+    await this.saveChange(template, cause, user);
+  }
+
+  /**
+   * Restore an earlier version of a template (recorded as a new version)
+   * @returns {Promise<Object|null>} The restored TemplateVersion, or null if it doesn't exist
+   */
+  async restoreVersion(template, versionNumber, user) {
+    const restored = await TemplateVersion.findOne({ template_id: template._id, version: versionNumber });
+    if (!restored) {
+      return null;
+    }
+
+    await this.ensureBaseline(template);
+
+    template.content = restored.content;
+    template.sections = restored.sections || [];
+    template.facts_snapshot = restored.facts_snapshot || [];
+    template.is_edited = restored.is_edited;
+    template.last_edited_at = new Date();
+
+    await this.saveChange(template, 'restored', user, { restoredFromVersion: restored.version });
+    return restored;
+  }
+
+  /**
+   * Sign a document: hash its content and lock it
+   */
+  async sign(template, user) {
+    await this.ensureBaseline(template);
+
+    // saveChange records the signed state as the next version
+    template.sign(user._id, template.version + 1);
+    return this.saveChange(template, 'signed', user);
+  }
+
+  /**
+   * Amend a signed document; the signed version stays in the history
+   * @param {string} reason - Why the signed document is changed (required)
+   * @param {Object} changes - { content } or { sections: [{ key, text }] }
+   */
+  async amend(template, user, reason, changes) {
+    await this.ensureBaseline(template);
+
+    // saveChange records the amended state as the next version
+    template.amend(user._id, reason, changes, template.version, template.version + 1);
+    return this.saveChange(template, 'amended', user, { reason });
+  }
+
+  /**
+   * Compare two versions of a template: the whole text line by line, and section by section
+   * @returns {Object} { content, sections: [{ key, name, status, changes }] }
+   */
+  diffVersions(from, to) {
+    const fromSections = from.sections || [];
+    const toSections = to.sections || [];
+    const keys = [...new Set([...fromSections, ...toSections].map(section => section.key))];
+
+    const sections = keys.map(key => {
+      const before = fromSections.find(section => section.key === key);
+      const after = toSections.find(section => section.key === key);
+
+      let status;
+      if (!before) status = 'added';
+      else if (!after) status = 'removed';
+      else status = before.text === after.text ? 'unchanged' : 'changed';
+
+      return {
+        key,
+        name: (after || before).name,
+        status,
+        changes: status === 'unchanged' ? [] : diffLines(before ? before.text : '', after ? after.text : '')
+      };
+    });
+
+    return {
+      content: diffLines(from.content, to.content),
+      sections
+    };
+  }
+}
+
+module.exports = new TemplateService();
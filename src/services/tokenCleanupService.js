@@ -0,0 +1,63 @@
+const User = require('../models/User');
+const { securityConfig } = require('../config/security');
+
+/**
+ * Token Cleanup Service
+ * Periodically purges expired verification, password reset and invitation tokens from User.
+ * Each pass first hashes legacy plaintext tokens and gives them an expiry (User.migrateLegacyTokens).
+ */
+
+class TokenCleanupService {
+  constructor() {
+    this.intervalMs = securityConfig.accountTokens.cleanupIntervalMinutes * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Run one cleanup pass
+   * @returns {Promise<number>} Number of tokens purged
+   */
+  async run() {
+    try {
+      const migrated = await User.migrateLegacyTokens();
+      if (migrated > 0) {
+        console.log(`Token cleanup: hashed ${migrated} legacy account token(s)`);
+      }
+
+      const purged = await User.purgeExpiredTokens();
+      if (purged > 0) {
+        console.log(`Token cleanup: purged ${purged} expired account token(s)`);
+      }
+      return purged;
+    } catch (error) {
+      console.error('Token cleanup error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Start the cleanup job (runs once immediately, then on an interval)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.run();
+    this.timer = setInterval(() => this.run(), this.intervalMs);
+    // Don't keep the process alive just for cleanup
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the cleanup job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new TokenCleanupService();
@@ -0,0 +1,160 @@
+const Session = require('../models/Session');
+const Transcript = require('../models/Transcript');
+const aiProviderService = require('./aiProviderService');
+
+/**
+ * Transcript Service
+ * Pulls session transcripts from the session's AI provider into the local Transcript collection
+ * and retries failed syncs in the background
+ */
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+class TranscriptService {
+  constructor() {
+    this.retryIntervalMs = toInt(process.env.TRANSCRIPT_SYNC_INTERVAL_MINUTES, 5) * 60 * 1000;
+    this.retryBaseMs = toInt(process.env.TRANSCRIPT_SYNC_RETRY_MINUTES, 2) * 60 * 1000;
+    this.retryMaxMs = 6 * 60 * 60 * 1000;
+    this.maxAttempts = toInt(process.env.TRANSCRIPT_SYNC_MAX_ATTEMPTS, 10);
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Flatten Corti transcripts into speaker/timestamp segments sorted by start time
+   */
+  normalizeSegments(transcripts) {
+    const segments = [];
+
+    for (const transcript of transcripts) {
+      const entries = transcript.transcript || transcript.segments || [];
+      for (const entry of entries) {
+        const time = entry.time || {};
+        segments.push({
+          transcript_id: transcript.id || null,
+          speaker: entry.speakerId ?? entry.participant ?? entry.channel ?? null,
+          channel: entry.channel ?? null,
+          text: entry.text || '',
+          start_ms: entry.start ?? time.start ?? null,
+          end_ms: entry.end ?? time.end ?? null
+        });
+      }
+    }
+
+    return segments.sort((a, b) => (a.start_ms || 0) - (b.start_ms || 0));
+  }
+
+  /**
+   * Get when to retry after a number of consecutive failures (null = give up)
+   */
+  getNextRetryAt(attempts) {
+    if (attempts >= this.maxAttempts) {
+      return null;
+    }
+    const delay = Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+    return new Date(Date.now() + delay);
+  }
+
+  /**
+   * Fetch a session's transcript from Corti and store it
+   * Never throws - failures (including database errors) are recorded on the Transcript when
+   * possible and retried in the background
+   * @param {Object} session - Session document
+   * @returns {Promise<{ transcript: Object, error: Error|null }>} transcript is unsaved if it couldn't be stored
+   */
+  async syncSession(session) {
+    let transcript = null;
+
+    try {
+      // Upsert, so concurrent syncs of a new session share one document (session_id is unique)
+      transcript = await Transcript.findOneAndUpdate(
+        { session_id: session._id },
+        { $setOnInsert: { user_id: session.user_id, corti_interaction_id: session.corti_interaction_id } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      const data = await aiProviderService.forSession(session).listTranscripts(session.corti_interaction_id, true);
+      const transcripts = data.transcripts || [];
+
+      transcript.markSynced(transcripts, this.normalizeSegments(transcripts));
+      await transcript.save();
+
+      return { transcript, error: null };
+    } catch (error) {
+      console.error(`Transcript sync failed for session ${session._id}:`, error.message);
+
+      if (!transcript) {
+        transcript = new Transcript({
+          session_id: session._id,
+          user_id: session.user_id,
+          corti_interaction_id: session.corti_interaction_id
+        });
+      }
+
+      try {
+        transcript.markSyncFailed(error.message, this.getNextRetryAt(transcript.sync_attempts + 1));
+        await transcript.save();
+      } catch (saveError) {
+        console.error(`Transcript sync failure for session ${session._id} could not be stored:`, saveError.message);
+      }
+
+      return { transcript, error };
+    }
+  }
+
+  /**
+   * Retry syncs that failed (or never completed)
+   */
+  async retryFailedSyncs() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      const due = await Transcript.findDueForRetry();
+      for (const transcript of due) {
+        const session = await Session.findById(transcript.session_id);
+        if (!session || session.deleted) {
+          // Nothing left to sync for
+          transcript.next_sync_at = null;
+          await transcript.save();
+          continue;
+        }
+        await this.syncSession(session);
+      }
+    } catch (error) {
+      console.error('Transcript retry error:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the background retry job
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.retryFailedSyncs(), this.retryIntervalMs);
+    // Don't keep the process alive just for retries
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the background retry job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new TranscriptService();
@@ -0,0 +1,73 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing dependency for a while so requests fail fast:
+ * - closed: calls go through; consecutive failures are counted
+ * - open: calls are refused until resetTimeoutMs has passed
+ * - half_open: one trial call is let through; success closes the circuit, failure re-opens it
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - How long to stay open before a trial call
+   */
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check if a call may go through (reserves the trial call when half open)
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Seconds until the next trial call is allowed (0 if not open)
+   */
+  getRetryAfterSeconds() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000), 1);
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,32 @@
+/**
+ * Concurrency Helpers
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the order of the input
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
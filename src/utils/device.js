@@ -0,0 +1,45 @@
+/**
+ * Device Helpers
+ * Builds a human readable device label from a User-Agent header
+ */
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\// },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Safari', pattern: /Safari\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iPhone', pattern: /iPhone/ },
+  { name: 'iPad', pattern: /iPad/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Describe the device a request came from
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} Label such as "Chrome på Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Ukendt enhed';
+  }
+
+  const browser = BROWSERS.find(b => b.pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(o => o.pattern.test(userAgent));
+
+  if (browser && os) {
+    return `${browser.name} på ${os.name}`;
+  }
+
+  return (browser && browser.name) || (os && os.name) || 'Ukendt enhed';
+};
+
+module.exports = {
+  describeDevice
+};
@@ -0,0 +1,25 @@
+/**
+ * Document Text Helpers
+ */
+
+/**
+ * Render a document's sections as plain text
+ * @param {string} layout - 'headings' ("Name:\ntext" per section), 'plain' (text only) or 'single' (first section only)
+ * @param {Array} sections - [{ name, text }] in document order
+ * @returns {string} Document text
+ */
+const renderDocumentText = (layout, sections = []) => {
+  if (layout === 'single') {
+    return sections[0]?.text || '';
+  }
+
+  if (layout === 'plain') {
+    return sections.map(section => section.text).join('\n\n');
+  }
+
+  return sections.map(section => `${section.name}:\n${section.text}`).join('\n\n');
+};
+
+module.exports = {
+  renderDocumentText
+};
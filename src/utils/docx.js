@@ -0,0 +1,83 @@
+const { createZip } = require('./zipArchive');
+
+/**
+ * DOCX Helpers
+ * Builds a minimal Word document (Office Open XML) from a list of styled paragraphs
+ */
+
+// Paragraph styles as Word run/paragraph properties (sizes are in half-points)
+const PARAGRAPH_STYLES = {
+  brand: { size: 32, bold: true, color: '00A19D' },
+  meta: { size: 18, color: '005F5E' },
+  title: { size: 28, bold: true, spacingBefore: 240 },
+  heading: { size: 24, bold: true, color: '005F5E', spacingBefore: 240 },
+  subheading: { size: 22, bold: true, spacingBefore: 160 },
+  normal: { size: 22 }
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// One paragraph; line breaks in the text become <w:br/>
+const renderParagraph = ({ text, style = 'normal', borderBottom = false }) => {
+  const props = PARAGRAPH_STYLES[style] || PARAGRAPH_STYLES.normal;
+
+  const paragraphProps = [
+    `<w:spacing w:before="${props.spacingBefore || 0}" w:after="120"/>`,
+    borderBottom ? '<w:pBdr><w:bottom w:val="single" w:sz="12" w:space="4" w:color="00A19D"/></w:pBdr>' : ''
+  ].join('');
+
+  const runProps = [
+    props.bold ? '<w:b/>' : '',
+    props.color ? `<w:color w:val="${props.color}"/>` : '',
+    `<w:sz w:val="${props.size}"/>`
+  ].join('');
+
+  const runs = String(text ?? '').split('\n')
+    .map((line, index) => `${index > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+    .join('');
+
+  return `<w:p><w:pPr>${paragraphProps}</w:pPr><w:r><w:rPr>${runProps}</w:rPr>${runs}</w:r></w:p>`;
+};
+
+/**
+ * Build a .docx file
+ * @param {Array} paragraphs - [{ text, style, borderBottom }] - style is a PARAGRAPH_STYLES key
+ * @returns {Buffer} DOCX file
+ */
+const buildDocx = (paragraphs) => {
+  const documentXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    paragraphs.map(renderParagraph).join('') +
+    '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>' +
+    '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/>' +
+    '</w:sectPr></w:body></w:document>';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        '</Relationships>'
+    },
+    { name: 'word/document.xml', data: documentXml }
+  ]);
+};
+
+module.exports = {
+  buildDocx,
+  escapeXml
+};
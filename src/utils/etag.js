@@ -0,0 +1,32 @@
+/**
+ * ETag Helpers
+ * Optimistic concurrency for versioned documents: the ETag is the document's version,
+ * and writes with an If-Match header only go through if it is still current.
+ */
+
+/**
+ * Build the ETag for a version number
+ */
+const toEtag = (version) => `"${version || 0}"`;
+
+/**
+ * Check a request's If-Match header against the current version
+ * No header (or *) always matches - the header is opt-in for clients
+ * @returns {boolean} True if the write may go ahead
+ */
+const ifMatchSatisfied = (req, version) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') {
+    return true;
+  }
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(toEtag(version));
+};
+
+module.exports = {
+  toEtag,
+  ifMatchSatisfied
+};
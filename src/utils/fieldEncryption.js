@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+
+/**
+ * Field Encryption
+ * AES-256-GCM encryption of individual document fields at rest.
+ *
+ * Keys come from FIELD_ENCRYPTION_KEYS as a comma-separated list of "keyId:base64Key"
+ * (32-byte keys). The first key encrypts new values; all keys can decrypt, so a key is
+ * rotated by putting a new one first and running `npm run rotate:encryption`.
+ *
+ * Stored format: enc:v1:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts).
+ * Values without the prefix are treated as legacy plaintext and returned unchanged.
+ * The setters always encrypt what they are given (even text that looks encrypted) - only
+ * reEncrypt works on stored values, for the rotation script.
+ * The keyring is checked at startup (validateKeyring), not on the first write.
+ *
+ * Encrypted values can't be searched, so fields that must be looked up exactly (e.g. CPR numbers)
+ * also store a blind index: HMAC-SHA256 with FIELD_HASH_KEY. That key is not rotated with the
+ * encryption keys - changing it breaks lookups of existing values.
+ */
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let keyring = null;
+
+/**
+ * Parse FIELD_ENCRYPTION_KEYS (cached after first use)
+ * @returns {{ activeKeyId: string|null, keys: Map<string, Buffer> }}
+ */
+const getKeyring = () => {
+  if (keyring) {
+    return keyring;
+  }
+
+  const keys = new Map();
+  let activeKeyId = null;
+
+  const entries = (process.env.FIELD_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must be "keyId:base64Key" with a 32-byte key');
+    }
+
+    keys.set(keyId, key);
+    if (!activeKeyId) {
+      activeKeyId = keyId;
+    }
+  }
+
+  keyring = { activeKeyId, keys };
+  return keyring;
+};
+
+/**
+ * Check that FIELD_ENCRYPTION_KEYS is configured and valid
+ * Throws with the reason otherwise - call at startup
+ */
+const validateKeyring = () => {
+  const { activeKeyId } = getKeyring();
+  if (!activeKeyId) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not configured - cannot store sensitive fields');
+  }
+};
+
+/**
+ * Check if a stored value is encrypted
+ */
+const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+};
+
+/**
+ * Get the ID of the key a stored value was encrypted with (null for plaintext)
+ */
+const getKeyId = (value) => {
+  if (!isEncrypted(value)) {
+    return null;
+  }
+  return value.slice(PREFIX.length).split(':')[0];
+};
+
+/**
+ * Check if a stored value should be re-encrypted with the active key
+ * (legacy plaintext or encrypted with an older key)
+ */
+const needsReEncryption = (value) => {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  return getKeyId(value) !== getKeyring().activeKeyId;
+};
+
+/**
+ * Encrypt a string with the active key
+ * null/undefined are returned unchanged
+ */
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined) {
+    return plaintext;
+  }
+
+  const { activeKeyId, keys } = getKeyring();
+  if (!activeKeyId) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not configured - cannot store sensitive fields');
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return `${PREFIX}${activeKeyId}:${iv.toString('base64')}:${authTag.toString('base64')}:${ciphertext.toString('base64')}`;
+};
+
+/**
+ * Decrypt a stored value
+ * Plaintext (legacy) values are returned unchanged
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, iv, authTag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+/**
+ * Encrypt any JSON-serializable value (for arrays/objects such as facts snapshots)
+ */
+const encryptJson = (value) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  return encrypt(JSON.stringify(value));
+};
+
+/**
+ * Decrypt a value stored with encryptJson
+ * Legacy unencrypted values are returned unchanged
+ */
+const decryptJson = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+  return JSON.parse(decrypt(value));
+};
+
+/**
+ * Re-encrypt a stored (raw) value with the active key - for key rotation only
+ * Encrypted values keep their plaintext (text or JSON); legacy plaintext is encrypted, with
+ * non-string values (legacy encryptJson fields) serialized as JSON
+ */
+const reEncrypt = (stored) => {
+  if (stored === null || stored === undefined) {
+    return stored;
+  }
+  if (isEncrypted(stored)) {
+    return encrypt(decrypt(stored));
+  }
+  return encrypt(typeof stored === 'string' ? stored : JSON.stringify(stored));
+};
+
+/**
+ * Keyed hash of a value for exact-match lookups of encrypted fields
+ * null/undefined are returned unchanged
+ */
+const blindIndex = (value) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (!process.env.FIELD_HASH_KEY) {
+    throw new Error('FIELD_HASH_KEY is not configured - cannot index sensitive fields');
+  }
+
+  return crypto.createHmac('sha256', process.env.FIELD_HASH_KEY).update(String(value)).digest('hex');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  encryptJson,
+  decryptJson,
+  isEncrypted,
+  needsReEncryption,
+  reEncrypt,
+  validateKeyring,
+  blindIndex
+};
@@ -0,0 +1,17 @@
+/**
+ * Journal Export Errors
+ * Thrown when an export to a journal system (EPJ) can't be delivered
+ */
+
+class JournalDeliveryError extends Error {
+  constructor(message = 'Journal export could not be delivered', code = 'delivery_failed') {
+    super(message);
+    this.name = 'JournalDeliveryError';
+    this.statusCode = code === 'delivery_not_configured' ? 503 : 502;
+    this.code = code;
+  }
+}
+
+module.exports = {
+  JournalDeliveryError
+};
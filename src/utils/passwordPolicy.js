@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { securityConfig } = require('../config/security');
+
+/**
+ * Password Policy
+ * Checks new passwords against the configured rules and a bundled list of
+ * common/breached passwords (works offline - no external lookups)
+ */
+
+const BUNDLED_BLOCKLIST = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+let commonPasswords = null;
+
+/**
+ * Read a blocklist file into the set (lines starting with # are comments)
+ */
+const loadBlocklistFile = (filePath, set) => {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  for (const line of lines) {
+    const entry = line.trim().toLowerCase();
+    if (entry && !entry.startsWith('#')) {
+      set.add(entry);
+    }
+  }
+};
+
+/**
+ * Get the common password set (loaded once on first use)
+ */
+const getCommonPasswords = () => {
+  if (commonPasswords) {
+    return commonPasswords;
+  }
+
+  commonPasswords = new Set();
+  loadBlocklistFile(BUNDLED_BLOCKLIST, commonPasswords);
+
+  const { blocklistFile } = securityConfig.password;
+  if (blocklistFile) {
+    try {
+      loadBlocklistFile(blocklistFile, commonPasswords);
+    } catch (error) {
+      console.error(`Could not load password blocklist ${blocklistFile}:`, error.message);
+    }
+  }
+
+  return commonPasswords;
+};
+
+/**
+ * Check if a password is on the blocklist
+ * Also catches common words with digits/symbols appended, e.g. "Sommer2024!"
+ */
+const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  const normalized = password.toLowerCase();
+  if (list.has(normalized)) {
+    return true;
+  }
+
+  const base = normalized.replace(/[\d\W_]+$/, '');
+  return base.length >= 4 && list.has(base);
+};
+
+/**
+ * Get the parts of the user's email and name that must not appear in the password
+ */
+const getPersonalTerms = ({ email, name } = {}) => {
+  const terms = [];
+
+  if (email) {
+    const normalizedEmail = String(email).toLowerCase();
+    terms.push(normalizedEmail, normalizedEmail.split('@')[0]);
+  }
+
+  if (name) {
+    terms.push(...String(name).toLowerCase().split(/\s+/));
+  }
+
+  return terms.filter(term => term.length >= 3);
+};
+
+/**
+ * Validate a new password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} personalInfo - { email, name } of the account owner
+ * @returns {Array<Object>} Violations as { rule, msg } (empty if the password is accepted)
+ */
+const validatePassword = (password, personalInfo = {}) => {
+  const policy = securityConfig.password;
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ rule: 'required', msg: 'Adgangskode er påkrævet' }];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push({ rule: 'min_length', msg: `Adgangskode skal være mindst ${policy.minLength} tegn` });
+  }
+
+  if (password.length > policy.maxLength) {
+    errors.push({ rule: 'max_length', msg: `Adgangskode må højst være ${policy.maxLength} tegn` });
+  }
+
+  if (policy.requireLowercase && !/[a-zæøå]/.test(password)) {
+    errors.push({ rule: 'lowercase', msg: 'Adgangskode skal indeholde mindst ét lille bogstav' });
+  }
+
+  if (policy.requireUppercase && !/[A-ZÆØÅ]/.test(password)) {
+    errors.push({ rule: 'uppercase', msg: 'Adgangskode skal indeholde mindst ét stort bogstav' });
+  }
+
+  if (policy.requireDigit && !/\d/.test(password)) {
+    errors.push({ rule: 'digit', msg: 'Adgangskode skal indeholde mindst ét tal' });
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9æøåÆØÅ]/.test(password)) {
+    errors.push({ rule: 'symbol', msg: 'Adgangskode skal indeholde mindst ét specialtegn' });
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const lowered = password.toLowerCase();
+    if (getPersonalTerms(personalInfo).some(term => lowered.includes(term))) {
+      errors.push({ rule: 'personal_info', msg: 'Adgangskode må ikke indeholde din e-mail eller dit navn' });
+    }
+  }
+
+  if (policy.checkCommonPasswords && isCommonPassword(password)) {
+    errors.push({ rule: 'common', msg: 'Adgangskoden er for almindelig eller har været lækket. Vælg en anden.' });
+  }
+
+  return errors;
+};
+
+/**
+ * Get the policy in a form the frontend can display
+ */
+const getPasswordRequirements = () => {
+  const policy = securityConfig.password;
+  return {
+    min_length: policy.minLength,
+    max_length: policy.maxLength,
+    require_lowercase: policy.requireLowercase,
+    require_uppercase: policy.requireUppercase,
+    require_digit: policy.requireDigit,
+    require_symbol: policy.requireSymbol,
+    disallow_personal_info: policy.disallowPersonalInfo,
+    check_common_passwords: policy.checkCommonPasswords,
+    history_size: policy.historySize
+  };
+};
+
+module.exports = {
+  validatePassword,
+  isCommonPassword,
+  getPasswordRequirements
+};
@@ -0,0 +1,79 @@
+/**
+ * AI Provider Errors
+ * Typed errors thrown by AI provider clients so controllers can answer with
+ * a meaningful status (503/504) instead of a generic 500
+ */
+
+class AiProviderError extends Error {
+  /**
+   * @param {string} message - Technical message (logged)
+   * @param {Object} options
+   * @param {number} options.statusCode - HTTP status to answer the client with
+   * @param {string} options.code - Machine-readable error code
+   * @param {boolean} options.retryable - Whether repeating the call may succeed
+   * @param {number|null} options.retryAfterSeconds - Suggested wait before retrying
+   * @param {number|null} options.upstreamStatus - HTTP status returned by the provider, if any
+   * @param {string} options.userMessage - Message shown to the user (Danish)
+   */
+  constructor(message, {
+    statusCode = 502,
+    code = 'provider_error',
+    retryable = false,
+    retryAfterSeconds = null,
+    upstreamStatus = null,
+    userMessage = 'AI-tjenesten kunne ikke behandle forespørgslen'
+  } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.upstreamStatus = upstreamStatus;
+    this.userMessage = userMessage;
+  }
+}
+
+// Provider is down, overloaded or the circuit breaker is open
+class AiProviderUnavailableError extends AiProviderError {
+  constructor(message, options = {}) {
+    super(message, {
+      statusCode: 503,
+      code: 'provider_unavailable',
+      retryable: true,
+      userMessage: 'AI-tjenesten er midlertidigt utilgængelig. Prøv igen om lidt.',
+      ...options
+    });
+  }
+}
+
+// Provider is rate limiting us (429)
+class AiProviderRateLimitError extends AiProviderUnavailableError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'provider_rate_limited',
+      userMessage: 'AI-tjenesten er overbelastet. Prøv igen om lidt.',
+      ...options
+    });
+  }
+}
+
+// Provider didn't answer in time
+class AiProviderTimeoutError extends AiProviderError {
+  constructor(message, options = {}) {
+    super(message, {
+      statusCode: 504,
+      code: 'provider_timeout',
+      retryable: true,
+      userMessage: 'AI-tjenesten svarede ikke i tide. Prøv igen.',
+      ...options
+    });
+  }
+}
+
+module.exports = {
+  AiProviderError,
+  AiProviderUnavailableError,
+  AiProviderRateLimitError,
+  AiProviderTimeoutError
+};
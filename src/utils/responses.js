@@ -1,3 +1,5 @@
+const { toEtag } = require('./etag');
+
 /**
  * Reusable Response Functions
  * Simple success and error response handlers
@@ -33,7 +35,51 @@ const errorResponse = (res, message = 'Something went wrong', statusCode = 500,
   });
 };
 
+/**
+ * Send an error response for a failed AI provider call (503/504 etc.)
+ * @param {Object} res - Express response object
+ * @param {AiProviderError} error - Typed provider error (see providerErrors.js)
+ */
+const providerErrorResponse = (res, error) => {
+  if (error.retryAfterSeconds) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  }
+  return errorResponse(res, error.userMessage, error.statusCode, { code: error.code });
+};
+
+/**
+ * Send a 412 response for a write based on an outdated version (If-Match)
+ * @param {Object} res - Express response object
+ * @param {number|null} currentVersion - Current version, when known
+ */
+const preconditionFailedResponse = (res, currentVersion = null) => {
+  if (currentVersion !== null) {
+    res.set('ETag', toEtag(currentVersion));
+  }
+  return errorResponse(res, 'Dokumentet er blevet ændret siden du hentede det. Hent det igen og prøv på ny', 412, {
+    code: 'version_conflict',
+    current_version: currentVersion
+  });
+};
+
+/**
+ * Send a file download
+ * @param {Object} res - Express response object
+ * @param {Object} file - { buffer, filename, contentType }
+ */
+const fileResponse = (res, { buffer, filename, contentType }) => {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': String(buffer.length)
+  });
+  return res.status(200).send(buffer);
+};
+
 module.exports = {
   successResponse,
-  errorResponse
+  errorResponse,
+  providerErrorResponse,
+  preconditionFailedResponse,
+  fileResponse
 }; 
\ No newline at end of file
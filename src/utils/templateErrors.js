@@ -0,0 +1,43 @@
+/**
+ * Template Errors
+ * Thrown when a document changed while it was being written, when a signed
+ * document would be changed without an amendment, or when a whole-text edit
+ * would throw away a document's sections
+ */
+
+class TemplateVersionConflictError extends Error {
+  constructor(message = 'Template was changed by another request') {
+    super(message);
+    this.name = 'TemplateVersionConflictError';
+    this.statusCode = 412;
+    this.code = 'version_conflict';
+  }
+}
+
+class TemplateLockedError extends Error {
+  /**
+   * @param {string|null} templateStatus - Status of the locked template (signed or amended)
+   */
+  constructor(templateStatus = null, message = 'Template is signed - changes require an amendment') {
+    super(message);
+    this.name = 'TemplateLockedError';
+    this.statusCode = 409;
+    this.code = 'template_locked';
+    this.templateStatus = templateStatus;
+  }
+}
+
+class TemplateSectionsError extends Error {
+  constructor(message = 'Template has sections - edit them one by one or replace them explicitly') {
+    super(message);
+    this.name = 'TemplateSectionsError';
+    this.statusCode = 409;
+    this.code = 'template_has_sections';
+  }
+}
+
+module.exports = {
+  TemplateVersionConflictError,
+  TemplateLockedError,
+  TemplateSectionsError
+};
@@ -0,0 +1,57 @@
+/**
+ * Text Diff Helpers
+ */
+
+// Above this many line comparisons the diff falls back to "all removed, all added"
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Line-based diff of two texts (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} [{ type: 'equal'|'removed'|'added', text }] in document order
+ */
+const diffLines = (before = '', after = '') => {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'removed', text: a[i++] });
+    } else {
+      changes.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) changes.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) changes.push({ type: 'added', text: b[j++] });
+
+  return changes;
+};
+
+module.exports = {
+  diffLines
+};
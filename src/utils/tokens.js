@@ -0,0 +1,200 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const LoginSession = require('../models/LoginSession');
+const UsedChallengeToken = require('../models/UsedChallengeToken');
+const { describeDevice } = require('./device');
+
+/**
+ * Token Helpers
+ * Issues access/refresh token pairs, device logins, short-lived two-factor challenge tokens
+ * and session stream tokens
+ */
+
+// Challenge token purposes
+const CHALLENGE_TYPES = {
+  LOGIN: '2fa_login', // Password verified, TOTP code still required
+  SETUP: '2fa_setup' // Password verified, user must enroll in 2FA before getting tokens
+};
+
+// Stream tokens only open the stream relay of one session
+const STREAM_TOKEN_TYPE = 'session_stream';
+
+/**
+ * Generate JWT tokens
+ * Persists the refresh token so it can be rotated and revoked server-side.
+ * All tokens issued for the same login share its family ID.
+ */
+const generateTokens = async (userId, familyId) => {
+  const accessToken = jwt.sign(
+    { userId, fid: familyId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+  );
+
+  const jti = crypto.randomUUID();
+  const refreshToken = jwt.sign(
+    { userId, fid: familyId, type: 'refresh' },
+    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d', jwtid: jti }
+  );
+
+  const { exp } = jwt.decode(refreshToken);
+  const refreshExpiresAt = new Date(exp * 1000);
+  await RefreshToken.create({
+    user_id: userId,
+    jti,
+    family_id: familyId,
+    expires_at: refreshExpiresAt
+  });
+
+  return { accessToken, refreshToken, jti, refreshExpiresAt };
+};
+
+/**
+ * Start a new device login and issue its first token pair
+ */
+const createLoginSession = async (req, userId) => {
+  const familyId = crypto.randomUUID();
+  const tokens = await generateTokens(userId, familyId);
+  const userAgent = req.get('User-Agent') || null;
+
+  await LoginSession.create({
+    user_id: userId,
+    family_id: familyId,
+    device: describeDevice(userAgent),
+    ip_address: req.ip,
+    user_agent: userAgent,
+    last_seen_at: new Date(),
+    expires_at: tokens.refreshExpiresAt
+  });
+
+  return tokens;
+};
+
+/**
+ * Verify a refresh token signature and shape
+ * Returns the decoded payload or null if the token is invalid
+ */
+const verifyRefreshToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
+    if (decoded.type !== 'refresh' || !decoded.jti || !decoded.fid) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create a short-lived challenge token proving the password step succeeded
+ * Single-use: its jti is consumed when it is exchanged for a login (consumeChallengeToken)
+ */
+const createChallengeToken = (userId, type) => {
+  return jwt.sign(
+    { userId, type },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m', jwtid: crypto.randomUUID() }
+  );
+};
+
+/**
+ * Verify a challenge token of the given type
+ * Returns the decoded payload or null if the token is invalid
+ * Doesn't check whether it was used - consumeChallengeToken does that atomically
+ */
+const verifyChallengeToken = (token, type) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === type && decoded.jti ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Mark a verified challenge token as used before issuing the login it proves
+ * @param {Object} decoded - Payload returned by verifyChallengeToken
+ * @returns {Promise<boolean>} false if the token was already used
+ */
+const consumeChallengeToken = (decoded) => {
+  return UsedChallengeToken.consume(decoded.jti, decoded.userId, new Date(decoded.exp * 1000));
+};
+
+/**
+ * Create a short-lived token for the stream relay of one session
+ * Goes in the WebSocket URL instead of the access token, so a logged URL can't be used for anything else
+ * @param {string|null} familyId - Login the token belongs to; revoking the login revokes the token
+ * @returns {Object} { token, expiresAt }
+ */
+const createStreamToken = (userId, sessionId, familyId) => {
+  const token = jwt.sign(
+    { userId, sid: sessionId.toString(), fid: familyId || undefined, type: STREAM_TOKEN_TYPE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.STREAM_TOKEN_EXPIRES_IN || '2m' }
+  );
+
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Verify a stream token for a session
+ * Returns the decoded payload or null if the token is invalid or for another session
+ */
+const verifyStreamToken = (token, sessionId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === STREAM_TOKEN_TYPE && decoded.sid === sessionId ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Finish a successful password login
+ * Returns full tokens, or a challenge token when the user must verify or enroll in 2FA first
+ */
+const completeLogin = async (req, user) => {
+  if (user.two_factor_enabled) {
+    return {
+      two_factor: {
+        status: 'verification_required',
+        challenge_token: createChallengeToken(user._id, CHALLENGE_TYPES.LOGIN)
+      }
+    };
+  }
+
+  if (user.requiresTwoFactor()) {
+    return {
+      two_factor: {
+        status: 'setup_required',
+        challenge_token: createChallengeToken(user._id, CHALLENGE_TYPES.SETUP)
+      }
+    };
+  }
+
+  const { accessToken, refreshToken } = await createLoginSession(req, user._id);
+
+  return {
+    tokens: {
+      access: accessToken,
+      refresh: refreshToken
+    }
+  };
+};
+
+module.exports = {
+  CHALLENGE_TYPES,
+  generateTokens,
+  createLoginSession,
+  verifyRefreshToken,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+  createStreamToken,
+  verifyStreamToken,
+  completeLogin
+};
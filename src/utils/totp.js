@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP Helpers (RFC 6238)
+ * Time-based one-time passwords compatible with Google Authenticator, Microsoft Authenticator, 1Password etc.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (padding and spaces ignored)
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret (160 bits, base32 encoded)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calculate the HOTP code for a counter value
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return binary.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Get the current time step
+ */
+const currentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Verify a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: allowed clock drift in steps, lastUsedStep: reject steps at or before this }
+ * @returns {number|null} The matched time step, or null if the code is invalid
+ */
+const verifyTotp = (secret, code, { window = 1, lastUsedStep = null } = {}) => {
+  const normalizedCode = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalizedCode)) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let candidate = step - window; candidate <= step + window; candidate++) {
+    if (lastUsedStep !== null && candidate <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateHotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URL rendered as a QR code by the frontend
+ */
+const buildOtpauthUrl = (secret, accountName, issuer = 'CareNote') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateHotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  currentStep
+};
@@ -0,0 +1,100 @@
+const zlib = require('zlib');
+
+/**
+ * ZIP Archive Helpers
+ * Minimal ZIP writer (deflate, no encryption) - enough for Office Open XML files like .docx
+ */
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields used by ZIP headers
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a ZIP archive
+ * @param {Array} entries - [{ name, data }] - data is a string (UTF-8) or Buffer
+ * @returns {Buffer} ZIP file
+ */
+const createZip = (entries) => {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    local.writeUInt16LE(20, 4); // Version needed to extract
+    local.writeUInt16LE(0x0800, 6); // Flags: UTF-8 file names
+    local.writeUInt16LE(8, 8); // Compression: deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // Extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6); // Version needed to extract
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number and attributes stay 0
+    central.writeUInt32LE(offset, 42); // Offset of the local header
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+  end.writeUInt16LE(entries.length, 8); // Entries on this disk
+  end.writeUInt16LE(entries.length, 10); // Entries in total
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16); // Offset of the central directory
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = {
+  createZip,
+  crc32
+};